@@ -0,0 +1,571 @@
+
+/*
+Animations: tweens, keyframes, sequences and parallel groups, run from one behavior.
+
+Behaviors are fine for things that go on forever, but anything that should start, stop, run in order or be waited
+for is easier to describe as an animation. Animations are built from descriptions, and played by an animator:
+
+    var A = Animate;
+    scene.animator.play(A.sequence([
+        A.tween('text1', {position: {x: 2, y: 1, z: 3}}, {duration: 800, easing: 'easeOutCubic'}),
+        A.parallel([
+            A.tween('text1', {orientation: {x: 0, y: Math.PI, z: 0}}, {duration: 500}),
+            A.tween(A.light(0), {diffuse: [1, 0.2, 0.2]}, {duration: 500})
+        ]),
+        A.wait(1000),
+        A.call(() => console.log('done'))
+    ], {loop: 3, yoyo: true})).finished.then(completed => ...);
+
+The descriptions are
+- Animate.tween(target, to, options)       from wherever the target is when the tween starts (or options.from)
+- Animate.keyframes(target, frames, opts)  frames are [{t: ms, easing, ...values}, ...], t counting from the start
+- Animate.sequence(list, options)          one after another
+- Animate.parallel(list, options)          all at once; finished when the longest is
+- Animate.wait(ms), Animate.call(fn)
+and every one of them takes these options:
+- duration      (tweens) milliseconds
+- easing        (tweens) a name from Animate.easing, or a function from 0..1 to 0..1; 'easeInOutQuad' by default
+- delay         milliseconds to wait before starting
+- loop          how many times to play: a number, or true for ever
+- yoyo          play every other time backwards, for ping-pong
+- onComplete    called each time it finishes
+
+Targets are a component, a drawable, a label (or a path, see compose.js) that's looked up each time the animation
+starts, or Animate.light(i) for scene.lights[i]. What can be animated:
+- position, orientation     {x, y, z} (orientation in radians, as for draw configs)
+- scale                     a number
+- color                     {r, g, b}, [r, g, b] or '#rrggbb'; for drawables that keep a texture, such as the
+                            basic shapes. Textures are made in steps of 1/64 per channel, and re-used.
+- lights: position, ambient, diffuse, specular, as arrays. The scene's lighting is updated after every frame in
+  which a light has changed.
+
+animator.play() returns an Animation, which can be paused, resumed and cancelled, and has a finished promise that
+resolves true when it completes or false if it's cancelled. animator.pause(target), resume(target) and cancel(target)
+do the same for every animation that moves the target. animator.tween(), keyframes() and so on play straight away.
+
+The animator runs from a behavior (animator.behavior) that the scene puts on a controller; it's safe to put it on
+more than one thing, it only moves animations on once a frame. It uses the timestamps behaviors are given, so
+animations play back the same under replay.js.
+*/
+
+window.Animate = (function () {
+    "use strict";
+
+    var TAU = Math.PI * 2;
+    var COLOR_STEPS = 64;
+
+
+    /* === Easing === */
+
+    var easing = {
+        linear: p => p,
+        easeInQuad: p => p*p,
+        easeOutQuad: p => p*(2 - p),
+        easeInOutQuad: p => p < 0.5 ? 2*p*p : -1 + (4 - 2*p)*p,
+        easeInCubic: p => p*p*p,
+        easeOutCubic: p => 1 - Math.pow(1 - p, 3),
+        easeInOutCubic: p => p < 0.5 ? 4*p*p*p : 1 - Math.pow(-2*p + 2, 3)/2,
+        easeInSine: p => 1 - Math.cos(p*Math.PI/2),
+        easeOutSine: p => Math.sin(p*Math.PI/2),
+        easeInOutSine: p => -(Math.cos(Math.PI*p) - 1)/2,
+        easeOutBack: p => 1 + 2.70158*Math.pow(p - 1, 3) + 1.70158*Math.pow(p - 1, 2),
+        easeOutElastic: p => (p === 0 || p === 1) ? p : Math.pow(2, -10*p)*Math.sin((p*10 - 0.75)*TAU/3) + 1,
+        easeOutBounce: p => {
+            var n = 7.5625, d = 2.75;
+            if (p < 1/d) return n*p*p;
+            if (p < 2/d) return n*(p -= 1.5/d)*p + 0.75;
+            if (p < 2.5/d) return n*(p -= 2.25/d)*p + 0.9375;
+            return n*(p -= 2.625/d)*p + 0.984375;
+        }
+    };
+
+    var easingFunction = e => {
+        if (typeof e === 'function') return e;
+        var name = e || 'easeInOutQuad';
+        if (!easing[name]) throw new Error(`Unknown easing "${name}"`);
+        return easing[name];
+    }
+
+
+    /* === Values === */
+
+    var lerp = (a, b, p) => a + (b - a)*p;
+
+    var parseColor = c => {
+        if (Array.isArray(c)) return {r: c[0], g: c[1], b: c[2]};
+        if (typeof c === 'string') {
+            var m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(c);
+            if (!m) throw new Error(`Can't animate to colour "${c}"`);
+            return {r: parseInt(m[1], 16)/255, g: parseInt(m[2], 16)/255, b: parseInt(m[3], 16)/255};
+        }
+        return {r: c.r, g: c.g, b: c.b};
+    }
+
+    /* Read, write and blend each kind of value; values are copied in and out, never shared with the target */
+    var xyzProperty = key => ({
+        get: d => ({x: d[key].x, y: d[key].y, z: d[key].z}),
+        set: (d, v) => {
+            d[key] = d[key] || {};
+            d[key].x = v.x;
+            d[key].y = v.y;
+            d[key].z = v.z;
+        },
+        parse: v => Array.isArray(v) ? {x: v[0], y: v[1], z: v[2]} : {x: v.x, y: v.y, z: v.z},
+        blend: (a, b, p) => ({x: lerp(a.x, b.x, p), y: lerp(a.y, b.y, p), z: lerp(a.z, b.z, p)})
+    });
+
+    var drawableProperties = {
+        position: xyzProperty('pos'),
+        orientation: Object.assign(xyzProperty('currentOrientation'), {
+            get: d => {
+                var o = d.currentOrientation || {x: 0, y: 0, z: 0};
+                return {x: o.x, y: o.y, z: o.z};
+            },
+            set: (d, v) => {d.currentOrientation = {x: v.x, y: v.y, z: v.z};}
+        }),
+        scale: {
+            get: d => typeof d.scale === 'number' ? d.scale : ((d.scale && typeof d.scale.x === 'number') ? d.scale.x : 1),
+            set: (d, s) => {
+                if (d.scale && typeof d.scale === 'object') d.scale.x = d.scale.y = d.scale.z = s;
+                else d.scale = s;
+            },
+            parse: s => s,
+            blend: lerp
+        },
+        color: {
+            get: d => d.animatedColor || {r: 1, g: 1, b: 1},
+            set: (d, c, animator) => {
+                d.animatedColor = c;
+                d.texture = animator.colorTexture(c);
+            },
+            parse: parseColor,
+            blend: (a, b, p) => ({r: lerp(a.r, b.r, p), g: lerp(a.g, b.g, p), b: lerp(a.b, b.b, p)})
+        }
+    };
+
+    var arrayProperty = key => ({
+        get: light => (light[key] || []).slice(),
+        set: (light, v) => {
+            light[key] = light[key] || [];
+            v.forEach((x, i) => {light[key][i] = x;});
+        },
+        parse: v => Array.isArray(v) ? v.slice() : [v.x, v.y, v.z],
+        blend: (a, b, p) => b.map((x, i) => lerp(a[i] === undefined ? x : a[i], x, p))
+    });
+
+    var lightProperties = {
+        position: arrayProperty('position'),
+        ambient: arrayProperty('ambient'),
+        diffuse: arrayProperty('diffuse'),
+        specular: arrayProperty('specular')
+    };
+
+    function LightTarget(index) {
+        this.light = index;
+    }
+
+    /* A target for tweening scene.lights[index] */
+    var light = index => new LightTarget(index);
+
+
+    /* === Nodes === */
+
+    /*  Descriptions are turned into trees of nodes when they're played. A node has
+        - start(animation, reversed)    get ready to play, forwards or backwards
+        - step(dt)                      move on dt milliseconds; returns null while running, or the time left over
+                                        once finished
+        - duration()                    how long it takes, which may be Infinity
+        - targets                       (tweens) what's being moved, for pausing and cancelling by target
+    */
+
+    function Tween(spec) {
+        this.spec = spec;
+        this.ease = easingFunction(spec.options.easing);
+        this.from = null;
+        this.to = null;
+        this.target = null;
+        this.startValues = null;
+    }
+
+    Tween.prototype.resolve = function (animation) {
+        var t = this.spec.target, scene = animation.animator.scene;
+        if (t instanceof LightTarget) {
+            var def = scene.lights[t.light];
+            if (!def) throw new Error(`Can't animate light ${t.light}: it's switched off`);
+            return {object: def, properties: lightProperties, light: true};
+        }
+        var found = typeof t === 'string' ? scene.getObjectByLabel(t) : t;
+        var d = found && (found.drawable || found);
+        if (!(d && d.pos)) throw new Error(`Can't animate ${typeof t === 'string' ? '"' + t + '"' : 'that'}: it isn't in the scene`);
+        return {object: d, properties: drawableProperties, light: false};
+    }
+
+    Tween.prototype.start = function (animation, reversed) {
+        this.animation = animation;
+        this.target = this.resolve(animation);
+        this.elapsed = 0;
+        var props = this.target.properties;
+        var keys = Object.keys(this.spec.to);
+        keys.forEach(k => {
+            if (!props[k]) throw new Error(`Can't animate "${k}"`);
+        });
+        var given = {}, start = {}, from = this.spec.options.from || {};
+        keys.forEach(k => {
+            given[k] = props[k].parse(this.spec.to[k]);
+            /* Loops go back to where the first time round started */
+            start[k] = from[k] !== undefined ? props[k].parse(from[k])
+                : (this.startValues ? this.startValues[k] : props[k].get(this.target.object));
+        });
+        this.startValues = start;
+        this.from = reversed ? given : start;
+        this.to = reversed ? start : given;
+    }
+
+    Tween.prototype.step = function (dt) {
+        this.elapsed += dt;
+        var duration = this.duration();
+        var p = duration > 0 ? Math.min(1, this.elapsed/duration) : 1;
+        var e = this.ease(p), props = this.target.properties, obj = this.target.object;
+        Object.keys(this.to).forEach(k => props[k].set(obj, props[k].blend(this.from[k], this.to[k], e), this.animation.animator));
+        if (this.target.light) this.animation.animator.lightsChanged = true;
+        return this.elapsed >= duration ? this.elapsed - duration : null;
+    }
+
+    Tween.prototype.duration = function () {
+        return this.spec.options.duration === undefined ? 500 : this.spec.options.duration;
+    }
+
+    /* A tween that hasn't started yet only has what it was given, which may be the component rather than its drawable */
+    Tween.prototype.touches = function (object) {
+        var t = this.spec.target;
+        return (!!this.target && this.target.object === object) || t === object || (!!t && t.drawable === object);
+    }
+
+    function Wait(ms) {
+        this.ms = ms;
+    }
+
+    Wait.prototype.start = function () {
+        this.elapsed = 0;
+    }
+
+    Wait.prototype.step = function (dt) {
+        this.elapsed += dt;
+        return this.elapsed >= this.ms ? this.elapsed - this.ms : null;
+    }
+
+    Wait.prototype.duration = function () {
+        return this.ms;
+    }
+
+    function Call(fn) {
+        this.fn = fn;
+    }
+
+    Call.prototype.start = function () {}
+
+    Call.prototype.step = function (dt) {
+        this.fn();
+        return dt;
+    }
+
+    Call.prototype.duration = () => 0;
+
+    function Sequence(children) {
+        this.children = children;
+    }
+
+    Sequence.prototype.start = function (animation, reversed) {
+        this.animation = animation;
+        this.order = reversed ? this.children.slice().reverse() : this.children;
+        this.reversed = reversed;
+        this.index = 0;
+        if (this.order.length) this.order[0].start(animation, reversed);
+    }
+
+    Sequence.prototype.step = function (dt) {
+        while (this.index < this.order.length) {
+            var left = this.order[this.index].step(dt);
+            if (left === null) return null;
+            dt = left;
+            this.index++;
+            if (this.index < this.order.length) this.order[this.index].start(this.animation, this.reversed);
+        }
+        return dt;
+    }
+
+    Sequence.prototype.duration = function () {
+        return this.children.reduce((sum, c) => sum + c.duration(), 0);
+    }
+
+    function Parallel(children) {
+        this.children = children;
+    }
+
+    /* Backwards, the shorter ones wait so that everything still ends together where it started */
+    Parallel.prototype.start = function (animation, reversed) {
+        var longest = this.duration();
+        this.running = this.children.map(c => {
+            var d = c.duration();
+            var node = (reversed && d < longest && isFinite(longest)) ? new Sequence([new Wait(longest - d), c]) : c;
+            node.start(animation, reversed);
+            return node;
+        });
+    }
+
+    Parallel.prototype.step = function (dt) {
+        var left = null;
+        this.running = this.running.filter(node => {
+            var l = node.step(dt);
+            if (l === null) return true;
+            left = left === null ? l : Math.min(left, l);
+            return false;
+        });
+        return this.running.length ? null : (left === null ? dt : left);
+    }
+
+    Parallel.prototype.duration = function () {
+        return this.children.reduce((longest, c) => Math.max(longest, c.duration()), 0);
+    }
+
+    /* Delay, looping, ping-pong and the completion callback, around any other node */
+    function Repeat(child, options) {
+        this.child = child;
+        this.times = options.loop === true ? Infinity : Math.max(1, options.loop || 1);
+        this.yoyo = !!options.yoyo;
+        this.delay = options.delay || 0;
+        this.onComplete = options.onComplete || null;
+        if (this.times === Infinity && child.duration() === 0) throw new Error(`Can't loop forever over something that takes no time`);
+    }
+
+    Repeat.prototype.start = function (animation, reversed) {
+        this.animation = animation;
+        this.count = 0;
+        this.backwards = reversed;
+        this.waiting = this.delay;
+        this.started = false;
+    }
+
+    Repeat.prototype.step = function (dt) {
+        if (!this.started) {
+            if (dt < this.waiting) {
+                this.waiting -= dt;
+                return null;
+            }
+            dt -= this.waiting;
+            this.child.start(this.animation, this.backwards);
+            this.started = true;
+        }
+        for (;;) {
+            var left = this.child.step(dt);
+            if (left === null) return null;
+            if (this.onComplete) this.onComplete();
+            if (++this.count >= this.times) return left;
+            if (this.yoyo) this.backwards = !this.backwards;
+            this.child.start(this.animation, this.backwards);
+            dt = left;
+        }
+    }
+
+    Repeat.prototype.duration = function () {
+        return this.delay + this.child.duration() * this.times;
+    }
+
+    /* Every tween in the tree */
+    var tweensIn = node => {
+        if (node instanceof Tween) return [node];
+        if (node instanceof Repeat) return tweensIn(node.child);
+        if (node.children) return node.children.reduce((all, c) => all.concat(tweensIn(c)), []);
+        return [];
+    }
+
+
+    /* === Descriptions === */
+
+    function Description(kind, args, options) {
+        this.kind = kind;
+        this.args = args;
+        this.options = options || {};
+    }
+
+    var makeNode = spec => {
+        var node;
+        if (spec.kind === 'tween') node = new Tween({target: spec.args.target, to: spec.args.to, options: spec.options});
+        else if (spec.kind === 'wait') node = new Wait(spec.args.ms);
+        else if (spec.kind === 'call') node = new Call(spec.args.fn);
+        else if (spec.kind === 'sequence') node = new Sequence(spec.args.list.map(makeNode));
+        else if (spec.kind === 'parallel') node = new Parallel(spec.args.list.map(makeNode));
+        else throw new Error(`Can't play "${spec.kind}"`);
+        var opts = spec.options;
+        return (opts.loop || opts.yoyo || opts.delay || opts.onComplete) ? new Repeat(node, opts) : node;
+    }
+
+    var tween = (target, to, options) => new Description('tween', {target: target, to: to}, options);
+    var wait = ms => new Description('wait', {ms: ms});
+    var call = fn => new Description('call', {fn: fn});
+    var sequence = (list, options) => new Description('sequence', {list: list}, options);
+    var parallel = (list, options) => new Description('parallel', {list: list}, options);
+
+    /* Keyframes become a sequence of tweens from each frame to the next, the first one setting where it starts */
+    var keyframes = function (target, frames, options) {
+        var sorted = frames.slice().sort((a, b) => a.t - b.t);
+        var values = f => {
+            var v = Object.assign({}, f);
+            delete v.t;
+            delete v.easing;
+            return v;
+        };
+        var list = [tween(target, values(sorted[0]), {duration: 0, from: values(sorted[0])})];
+        if (sorted[0].t > 0) list.unshift(wait(sorted[0].t));
+        for (var i=1; i<sorted.length; i++) {
+            list.push(tween(target, values(sorted[i]), {
+                duration: sorted[i].t - sorted[i-1].t,
+                easing: sorted[i].easing || (options || {}).easing || 'linear',
+                from: Object.assign({}, values(sorted[i-1]))
+            }));
+        }
+        return sequence(list, options);
+    }
+
+
+    /* === Playing === */
+
+    function Animation(animator, root) {
+        this.animator = animator;
+        this.root = root;
+        this.state = 'running';
+        this.speed = 1;
+        this.started = false;
+        this.tweens = tweensIn(root);
+        this.finished = new Promise(resolve => {this.resolveFinished = resolve;});
+    }
+
+    Animation.prototype.pause = function () {
+        if (this.state === 'running') this.state = 'paused';
+        return this;
+    }
+
+    Animation.prototype.resume = function () {
+        if (this.state === 'paused') this.state = 'running';
+        return this;
+    }
+
+    Animation.prototype.cancel = function () {
+        this.end(false);
+        return this;
+    }
+
+    Animation.prototype.end = function (completed) {
+        if (this.state === 'finished' || this.state === 'cancelled') return;
+        this.state = completed ? 'finished' : 'cancelled';
+        this.animator.animations = this.animator.animations.filter(a => a !== this);
+        this.resolveFinished(completed);
+    }
+
+    Animation.prototype.step = function (dt) {
+        if (this.state !== 'running') return;
+        try {
+            if (!this.started) {
+                this.root.start(this, false);
+                this.started = true;
+            }
+            if (this.root.step(dt * this.speed) !== null) this.end(true);
+        }
+        catch (err) {
+            console.error(err);
+            this.end(false);
+        }
+    }
+
+    /* Whether the animation moves target: a component, drawable, label or light */
+    Animation.prototype.touches = function (target) {
+        var object = target instanceof LightTarget ? this.animator.scene.lights[target.light] : (target && target.drawable) || target;
+        return this.tweens.some(t => t.touches(object)
+            || (target instanceof LightTarget && t.spec.target instanceof LightTarget && t.spec.target.light === target.light));
+    }
+
+    function Animator(scene) {
+        this.scene = scene;
+        this.animations = [];
+        this.lastTimePoint = null;
+        this.lightsChanged = false;
+        this.textures = {};
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    /* Start playing a description; returns the Animation */
+    Animator.prototype.play = function (description) {
+        var animation = new Animation(this, makeNode(description));
+        this.animations.push(animation);
+        return animation;
+    }
+
+    Animator.prototype.tween = function (target, to, options) {
+        return this.play(tween(target, to, options));
+    }
+
+    Animator.prototype.keyframes = function (target, frames, options) {
+        return this.play(keyframes(target, frames, options));
+    }
+
+    Animator.prototype.sequence = function (list, options) {
+        return this.play(sequence(list, options));
+    }
+
+    Animator.prototype.parallel = function (list, options) {
+        return this.play(parallel(list, options));
+    }
+
+    /* Every animation that moves target */
+    Animator.prototype.animationsOf = function (target) {
+        return this.animations.filter(a => a.touches(target));
+    }
+
+    Animator.prototype.pause = function (target) {
+        this.animationsOf(target).forEach(a => a.pause());
+    }
+
+    Animator.prototype.resume = function (target) {
+        this.animationsOf(target).forEach(a => a.resume());
+    }
+
+    Animator.prototype.cancel = function (target) {
+        this.animationsOf(target).forEach(a => a.cancel());
+    }
+
+    /* Textures for animated colours, rounded so there's a limited number of them */
+    Animator.prototype.colorTexture = function (c) {
+        var q = v => Math.round(Math.max(0, Math.min(1, v)) * COLOR_STEPS) / COLOR_STEPS;
+        var rgb = {r: q(c.r), g: q(c.g), b: q(c.b)};
+        var key = `${rgb.r},${rgb.g},${rgb.b}`;
+        this.textures[key] = this.textures[key] || this.scene.addTextureFromColor(rgb);
+        return this.textures[key];
+    }
+
+    /* Move every animation on to timePoint; runs once per frame however many things have the behavior */
+    Animator.prototype.update = function (timePoint) {
+        if (timePoint === this.lastTimePoint) return;
+        var dt = this.lastTimePoint === null ? 0 : Math.max(0, timePoint - this.lastTimePoint);
+        this.lastTimePoint = timePoint;
+        this.animations.slice().forEach(a => a.step(dt));
+        if (this.lightsChanged) {
+            this.lightsChanged = false;
+            this.scene.updateLighting();
+        }
+        Diagnostics.set('animations', this.animations.length);
+    }
+
+    return {
+        Animator: Animator,
+        Animation: Animation,
+        easing: easing,
+        registerEasing: (name, fn) => {easing[name] = fn;},
+        light: light,
+        tween: tween,
+        keyframes: keyframes,
+        sequence: sequence,
+        parallel: parallel,
+        wait: wait,
+        call: call
+    };
+})();
@@ -0,0 +1,113 @@
+
+/*
+Service worker for AssetResolver (see assets.js) - don't load this directly; AssetResolver registers it.
+
+Its configuration arrives in the query string of its own URL:
+    {sources: [[base, base, ...], ...], prefixes: [prefix, ...], hashes: {url or path: sha256, ...}}
+Each member of sources is the ordered list of bases for one kind of asset. hashes come from the manifests: a file
+pinned by one is only accepted (from a source or from the cache) if its content has that SHA-256. They're keyed by
+absolute URL, or by path relative to the bases for the pins in the top-level manifest, which apply to every source.
+
+For a request under one of the source bases, the same path is tried from that base and then from each of the
+following bases in turn; the first good response is kept in the cache and returned. If none of them works, the
+cached copy is returned. Requests under one of the other prefixes are simply fetched, with the cached copy as the
+fallback. Anything else is left alone.
+
+Only responses the page could read are kept. A no-cors request (a <script> tag, say) is made with CORS instead, and
+if the host doesn't allow that, it's made as it was and passed on without being cached: an opaque response can't be
+checked, so an error page would be cached just as readily as the file.
+*/
+
+"use strict";
+
+var CACHE_NAME = 'carnival-assets-v1';
+var config = JSON.parse(new URL(self.location.href).searchParams.get('config') || '{}');
+var sources = config.sources || [];
+var prefixes = config.prefixes || [];
+var hashes = config.hashes || {};
+
+var isGood = response => response && response.ok;
+
+/* The pinned hash for a URL, if there is one. The ?v= that pins a version isn't part of the key. */
+var hashFor = url => {
+    var bare = url.split('?')[0];
+    if (hashes[bare]) return hashes[bare];
+    var base = [].concat.apply([], sources).find(b => bare.indexOf(b) === 0);
+    return base ? hashes[bare.slice(base.length)] : undefined;
+};
+
+var hex = buf => Array.from(new Uint8Array(buf)).map(b => ('0' + b.toString(16)).slice(-2)).join('');
+
+/* Resolves to the response if it's good and matches its pinned hash (if any), or to null if not */
+var checked = (response, url) => {
+    var hash = hashFor(url);
+    if (!isGood(response)) return Promise.resolve(null);
+    if (!hash) return Promise.resolve(response);
+    return response.clone().arrayBuffer()
+    .then(buf => crypto.subtle.digest('SHA-256', buf))
+    .then(digest => hex(digest) === hash ? response : null);
+};
+
+/* Every URL that the request could be served from, in order of preference */
+var candidatesFor = url => {
+    for (var i=0; i<sources.length; i++) {
+        var bases = sources[i];
+        for (var j=0; j<bases.length; j++) {
+            if (url.indexOf(bases[j]) === 0) {
+                var rel = url.slice(bases[j].length);
+                return bases.slice(j).map(b => b + rel);
+            }
+        }
+    }
+    return prefixes.some(p => url.indexOf(p) === 0) ? [url] : null;
+};
+
+var fetchFirstGood = (request, candidates) => {
+    var tryFrom = idx => {
+        if (idx >= candidates.length) return Promise.reject(new Error('no source has ' + request.url));
+        var attempt = request.mode === 'no-cors'
+            ? new Request(candidates[idx], {mode: 'cors', credentials: 'same-origin'})
+            : candidates[idx] === request.url
+                ? request.clone()
+                : new Request(candidates[idx], {mode: request.mode, credentials: request.credentials});
+        return fetch(attempt)
+        .then(response => checked(response, candidates[idx]), () => null)
+        .then(response => response || tryFrom(idx + 1));
+    };
+    return tryFrom(0);
+};
+
+var fromCache = (request, candidates) => caches.open(CACHE_NAME).then(cache => {
+    var tryFrom = idx => {
+        if (idx >= candidates.length) return Promise.reject(new Error('not cached: ' + request.url));
+        return cache.match(candidates[idx]).then(hit => checked(hit, candidates[idx])).then(hit => hit || tryFrom(idx + 1));
+    };
+    return cache.match(request).then(hit => checked(hit, request.url)).then(hit => hit || tryFrom(0));
+});
+
+self.addEventListener('install', evt => {
+    evt.waitUntil(self.skipWaiting());
+});
+
+self.addEventListener('activate', evt => {
+    evt.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', evt => {
+    var request = evt.request;
+    if (request.method !== 'GET' || request.url.indexOf('__probe') >= 0) return;
+    var candidates = candidatesFor(request.url);
+    if (!candidates) return;
+
+    evt.respondWith(
+        fetchFirstGood(request, candidates)
+        .then(response => {
+            var copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            return response;
+        })
+        .catch(() => fromCache(request, candidates))
+        /* A pinned file can't be passed on unchecked */
+        .catch(err => hashFor(request.url) ? Promise.reject(err) : fetch(request))
+    );
+});
@@ -0,0 +1,217 @@
+
+/*
+AssetResolver decides where shaders, textures, meshes and components are loaded from.
+
+Each kind of asset has an ordered list of sources - typically a local mirror folder first and the meta4vr hosts as a
+fallback:
+
+    AssetResolver.configure({
+        sources: {
+            assets: ['mirror/assets', '//assets.meta4vr.net'],              <- shaders and textures
+            meshes: ['mirror/meshbase', '//meshbase.meta4vr.net'],
+            components: ['mirror/components', 'http://components.meta4vr.net']
+        },
+        manifest: 'mirror/manifest.json',
+        cache: true
+    }).then(...)
+
+configure() returns a promise which resolves once the resolver has worked out which sources are reachable. Until then
+(or if configure() is never called) URLs are built from the first source of each kind. index.html waits for it before
+building the scene.
+
+- A same-origin source (ie. a local folder) counts as present if it contains a manifest.json. This may just be {},
+  but it can also pin versions (see below) for the files in that folder.
+- A remote source counts as present if its host can be reached at all.
+- If no source for a kind can be reached (eg. when offline) the one that worked last time is used, so that the
+  cache below can serve it.
+
+The manifest pins asset versions. It maps asset paths to versions, and the version is added to the URL so that a
+pinned asset is never confused (by a cache, say) with some other version of the same file:
+    {"versions": {"shaders/lightingmodel/ads_v1/shader.vs": "3", "textures/surfaces/manmade/concrete01.jpg": "2"}}
+A host is free to ignore the ?v= though, so to be sure of what's loaded, give the SHA-256 of the file's content too:
+    {"sha256": {"textures/surfaces/manmade/concrete01.jpg": "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"}}
+A file that doesn't match is treated as missing from that source, so the next source (and then the cache) is tried.
+The check is made by the cache worker below, so it needs cache: true; without it there's a warning and no check.
+
+With cache: true a service worker (assetcache.sw.js) is installed which keeps a copy of everything loaded from the
+sources. Whenever a source fails, the same file is tried from the following sources, and then from the cache; so a
+scene that has loaded once will load again offline. Service workers only run on https:// pages or on localhost;
+elsewhere the cache is skipped with a warning and everything else still works.
+To make the whole page work offline, add the framework's host to cachePrefixes, eg. cachePrefixes:
+['http://codebase.meta4vr.net/']. Only files a host serves with CORS are cached; others still load, but not offline.
+
+In scene code, build URLs with AssetResolver.url(kind, path) and AssetResolver.base(kind).
+*/
+
+window.AssetResolver = (function () {
+    "use strict";
+
+    var defaultSources = {
+        assets: ['//assets.meta4vr.net'],
+        meshes: ['//meshbase.meta4vr.net'],
+        components: ['http://components.meta4vr.net']
+    };
+
+    var LAST_GOOD_KEY = 'carnival.assets.lastGood';
+
+    var trimSlash = s => s.replace(/\/+$/, '');
+    var absolute = base => new URL(base + '/', window.location.href).href;
+    var isSameOrigin = base => new URL(absolute(base)).origin === window.location.origin;
+
+    /* Rejects if the promise hasn't settled after ms milliseconds */
+    var withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+        let timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+        promise.then(
+            val => {clearTimeout(timer); resolve(val);},
+            err => {clearTimeout(timer); reject(err);}
+        );
+    });
+
+    function Resolver(options) {
+        var opts = options || {};
+        this.sources = {};
+        var src = Object.assign({}, defaultSources, opts.sources || {});
+        Object.keys(src).forEach(kind => {this.sources[kind] = src[kind].map(trimSlash);});
+        this.manifestURL = opts.manifest || null;
+        this.useCache = !!opts.cache;
+        this.cachePrefixes = opts.cachePrefixes || [];
+        this.probeTimeout = opts.probeTimeout || 3000;
+        this.versions = {};
+        this.hashes = {};
+        this.active = {};
+        Object.keys(this.sources).forEach(kind => {this.active[kind] = this.sources[kind][0];});
+    }
+
+    /* Load the manifest(s), probe the sources and (optionally) install the cache. */
+    /* The cache comes last because it's given the hashes from all the manifests to check against. */
+    Resolver.prototype.ready = function () {
+        var resolver = this;
+        /* A missing manifest only means nothing is pinned */
+        return resolver.loadManifest(resolver.manifestURL).catch(() => null)
+        .then(() => Promise.all(Object.keys(resolver.sources).map(kind => resolver.chooseSource(kind))))
+        .then(() => resolver.useCache ? resolver.installCache() : false)
+        .then(checking => {
+            let pinned = Object.keys(resolver.hashes).length;
+            if (pinned && !checking) console.warn(`${pinned} assets are pinned by sha256, but only the asset cache checks them`);
+            return resolver;
+        });
+    }
+
+    Resolver.prototype.loadManifest = function (url, pathPrefix) {
+        var resolver = this;
+        if (!url) return Promise.resolve(null);
+        return withTimeout(fetch(url, {cache: 'no-cache'}), resolver.probeTimeout)
+        .then(response => {
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            return response.json();
+        })
+        .then(manifest => {
+            let versions = manifest.versions || {};
+            Object.keys(versions).forEach(p => {resolver.versions[(pathPrefix || '') + p] = String(versions[p]);});
+            /* Hashes go to the cache worker, which sees absolute URLs */
+            let hashes = manifest.sha256 || {}, hashPrefix = pathPrefix ? new URL(pathPrefix, window.location.href).href : '';
+            Object.keys(hashes).forEach(p => {resolver.hashes[hashPrefix + p] = String(hashes[p]).toLowerCase();});
+            return manifest;
+        })
+        .catch(err => {
+            if (!pathPrefix) console.warn(`Asset manifest ${url} couldn't be loaded (${err.message}); versions are not pinned`);
+            throw err;
+        });
+    }
+
+    Resolver.prototype.probe = function (base) {
+        /* The probe query tells the cache worker to leave this request alone, so a dead source looks dead */
+        if (isSameOrigin(base)) {
+            return this.loadManifest(`${base}/manifest.json?__probe`, base + '/');
+        }
+        return withTimeout(fetch(`${absolute(base)}?__probe`, {mode: 'no-cors', cache: 'no-store'}), this.probeTimeout);
+    }
+
+    /* Pick the first reachable source for a kind of asset */
+    Resolver.prototype.chooseSource = function (kind) {
+        var resolver = this;
+        var candidates = resolver.sources[kind];
+        var tryFrom = idx => {
+            if (idx >= candidates.length) {
+                let lastGood = resolver.lastGood()[kind];
+                resolver.active[kind] = candidates.indexOf(lastGood) >= 0 ? lastGood : candidates[0];
+                console.warn(`No source for ${kind} is reachable; using ${resolver.active[kind]} (cached copies only)`);
+                return resolver.active[kind];
+            }
+            return resolver.probe(candidates[idx])
+            .then(() => {
+                resolver.active[kind] = candidates[idx];
+                resolver.rememberGood(kind, candidates[idx]);
+                return candidates[idx];
+            }, () => tryFrom(idx + 1));
+        };
+        return tryFrom(0);
+    }
+
+    Resolver.prototype.lastGood = function () {
+        try {
+            return JSON.parse(window.localStorage.getItem(LAST_GOOD_KEY)) || {};
+        }
+        catch (err) {
+            return {};
+        }
+    }
+
+    Resolver.prototype.rememberGood = function (kind, base) {
+        var good = this.lastGood();
+        good[kind] = base;
+        try {
+            window.localStorage.setItem(LAST_GOOD_KEY, JSON.stringify(good));
+        }
+        catch (err) {/* Storage may be unavailable (private browsing etc); not a big deal */}
+    }
+
+    /* Register the cache worker and wait until it controls the page, so that this page load is cached too */
+    Resolver.prototype.installCache = function () {
+        var resolver = this;
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            console.warn('Asset cache needs service workers (https:// or localhost); assets will not be available offline');
+            return Promise.resolve(false);
+        }
+        var config = {
+            sources: Object.keys(resolver.sources).map(kind => resolver.sources[kind].map(absolute)),
+            prefixes: resolver.cachePrefixes.map(p => new URL(p, window.location.href).href),
+            hashes: resolver.hashes
+        };
+        var swURL = 'assetcache.sw.js?config=' + encodeURIComponent(JSON.stringify(config));
+        var controlled = navigator.serviceWorker.controller
+            ? Promise.resolve()
+            : new Promise(resolve => navigator.serviceWorker.addEventListener('controllerchange', resolve));
+        return navigator.serviceWorker.register(swURL)
+        .then(() => withTimeout(controlled, resolver.probeTimeout))
+        .then(() => true)
+        .catch(err => {
+            console.warn(`Asset cache unavailable (${err.message})`);
+            return false;
+        });
+    }
+
+    Resolver.prototype.base = function (kind) {
+        return this.active[kind];
+    }
+
+    Resolver.prototype.url = function (kind, path) {
+        var version = this.versions[`${this.active[kind]}/${path}`] || this.versions[path];
+        var url = `${this.active[kind]}/${path}`;
+        return version ? `${url}${url.indexOf('?') < 0 ? '?' : '&'}v=${encodeURIComponent(version)}` : url;
+    }
+
+
+    var api = {
+        Resolver: Resolver,
+        instance: new Resolver(),
+        /* Replace the resolver and return a promise that resolves when it's ready */
+        configure: function (options) {
+            api.instance = new Resolver(options);
+            return api.instance.ready();
+        },
+        url: (kind, path) => api.instance.url(kind, path),
+        base: kind => api.instance.base(kind)
+    };
+    return api;
+})();
@@ -0,0 +1,235 @@
+
+/*
+The chaperone: walls that appear at the edge of the play area when the player gets close to it.
+
+The play area is the stage the headset reports (scene.stageParams.sizeX / sizeZ), centred on the raft, so the walls
+go wherever the raft goes when the player teleports. Each frame the head and controllers are checked against every
+wall; a wall fades in as any of them comes within fadeDistance of it, and is at full strength when they touch it.
+If any of them goes outside the play area altogether, every wall is shown.
+
+Without stage parameters (a seated or standing setup, or a headset that doesn't report them) the play area is taken
+to be a circle of defaultRadius around the middle of the raft, and the walls are drawn around that instead.
+
+Options (all optional):
+- fadeDistance      metres from a wall at which it starts to appear
+- color             {r, g, b} at full strength; the walls fade in from background
+- style             'grid' (posts and rails), 'posts' (upright bars only) or 'rails' (level bars only)
+- height            of the walls
+- spacing           between the bars
+- thickness         of the bars
+- fadeSteps         how many steps the fade goes through; each step is a set of bars of its own colour
+- defaultRadius     of the play area when there are no stage parameters
+- sides             of the polygon the circular play area is drawn as
+- gamepadIndices    the controllers to watch, as well as the head
+- raftLabel         the walls follow this component, or the player location if there isn't one
+
+    scene.chaperone = new Chaperone.Boundary(scene, {fadeDistance: 0.5, color: {r:1, g:0.5, b:0}});
+and attach scene.chaperone.behavior to a controller. The nearest distance to a wall is in the 'chaperone'
+diagnostics channel.
+*/
+
+window.Chaperone = (function () {
+    "use strict";
+
+    var defaults = {
+        fadeDistance: 0.4,
+        color: {r:0.3, g:0.8, b:1.0},
+        background: {r:0, g:0, b:0},
+        style: 'grid',
+        height: 2.4,
+        spacing: 0.4,
+        thickness: 0.01,
+        fadeSteps: 3,
+        defaultRadius: 1.0,
+        minStageSize: 0.1,          /* stages smaller than this are treated as missing */
+        sides: 16,
+        gamepadIndices: [0, 1],
+        raftLabel: 'raft'
+    };
+
+    var STYLES = ['grid', 'posts', 'rails'];
+
+    function Boundary(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        if (STYLES.indexOf(this.options.style) < 0) throw new Error(`Unknown chaperone style "${this.options.style}"`);
+        this.shape = null;          /* {mode: 'stage' or 'radius', points: [[x, z], ...]} in stage coordinates */
+        this.walls = [];            /* per edge: {from, to, steps: [[bar drawables] per fade step], shown} */
+        this.origin = null;         /* where the walls were last put */
+        this.enabled = true;
+        this.built = false;
+        this.lastTimePoint = null;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    /* The outline of the play area, going round it */
+    Boundary.prototype.outline = function () {
+        var opts = this.options, sp = this.scene.stageParams;
+        if (sp && sp.sizeX > opts.minStageSize && sp.sizeZ > opts.minStageSize) {
+            var x = sp.sizeX/2, z = sp.sizeZ/2;
+            return {mode: 'stage', points: [[-x, -z], [x, -z], [x, z], [-x, z]]};
+        }
+        var points = [];
+        for (var i=0; i<opts.sides; i++) {
+            var a = i * Math.PI*2 / opts.sides;
+            points.push([Math.cos(a) * opts.defaultRadius, Math.sin(a) * opts.defaultRadius]);
+        }
+        return {mode: 'radius', points: points};
+    }
+
+    var makeBar = (scene, size, tex) => {
+        var c = new FCShapes.SimpleCuboid({x:0, y:-10, z:0}, size, null, {texture:tex, shaderLabel:'basic', groupLabel:'chaperone'});
+        c.hidden = true;
+        scene.addObject(c);
+        return c;
+    }
+
+    var mix = (a, b, p) => ({r: a.r + (b.r - a.r)*p, g: a.g + (b.g - a.g)*p, b: a.b + (b.b - a.b)*p});
+
+    /* Bars along one edge, in stage coordinates: {size, local: [x, y, z], yaw} */
+    Boundary.prototype.barsFor = function (from, to) {
+        var opts = this.options, bars = [];
+        var dx = to[0] - from[0], dz = to[1] - from[1];
+        var len = Math.sqrt(dx*dx + dz*dz);
+        /* Turned about Y so that the bar's X axis runs along the edge */
+        var yaw = Math.atan2(-dz, dx);
+        if (opts.style !== 'rails') {
+            var posts = Math.max(1, Math.round(len / opts.spacing));
+            for (var i=0; i<posts; i++) {
+                var f = i / posts;
+                bars.push({
+                    size: {w: opts.thickness, h: opts.height, d: opts.thickness},
+                    local: [from[0] + dx*f, opts.height/2, from[1] + dz*f],
+                    yaw: yaw
+                });
+            }
+        }
+        if (opts.style !== 'posts') {
+            var rails = Math.max(1, Math.round(opts.height / opts.spacing));
+            for (var j=0; j<=rails; j++) {
+                bars.push({
+                    size: {w: len, h: opts.thickness, d: opts.thickness},
+                    local: [from[0] + dx/2, opts.height * j/rails, from[1] + dz/2],
+                    yaw: yaw
+                });
+            }
+        }
+        return bars;
+    }
+
+    /* Every wall gets a set of bars for each step of the fade, each set a little brighter than the last */
+    Boundary.prototype.build = function () {
+        var scene = this.scene, opts = this.options;
+        this.shape = this.outline();
+        var textures = [];
+        for (var s=1; s<=opts.fadeSteps; s++) {
+            textures.push(scene.addTextureFromColor(mix(opts.background, opts.color, s / opts.fadeSteps)));
+        }
+        var pts = this.shape.points;
+        this.walls = pts.map((from, i) => {
+            var to = pts[(i+1) % pts.length];
+            var bars = this.barsFor(from, to);
+            return {
+                from: from,
+                to: to,
+                bars: bars,
+                steps: textures.map(tex => bars.map(b => {
+                    var c = makeBar(scene, b.size, tex);
+                    c.currentOrientation = {x: 0, y: b.yaw, z: 0};
+                    return c;
+                })),
+                shown: -1
+            };
+        });
+        this.built = true;
+    }
+
+    /* Take the walls down, eg. to build them again after the stage has changed */
+    Boundary.prototype.teardown = function () {
+        this.scene.removeObjectsInGroup('chaperone');
+        this.walls = [];
+        this.built = false;
+        this.origin = null;
+    }
+
+    Boundary.prototype.setEnabled = function (state) {
+        this.enabled = state;
+        if (!state) this.walls.forEach(w => this.showWall(w, -1));
+    }
+
+    /* Where the middle of the play area is in the world */
+    Boundary.prototype.centre = function () {
+        var raft = this.options.raftLabel && this.scene.getObjectByLabel(this.options.raftLabel);
+        var p = raft && raft.drawable ? raft.drawable.pos : this.scene.playerLocation;
+        return [p.x, p.y, p.z];
+    }
+
+    /* Move the bars, if the play area has moved since they were put in place */
+    Boundary.prototype.follow = function (centre) {
+        if (this.origin && this.origin.every((v, i) => v === centre[i])) return;
+        this.origin = centre;
+        this.walls.forEach(w => w.steps.forEach(set => set.forEach((c, i) => {
+            var b = w.bars[i];
+            c.pos.x = centre[0] + b.local[0];
+            c.pos.y = centre[1] + b.local[1];
+            c.pos.z = centre[2] + b.local[2];
+        })));
+    }
+
+    /* Show one step of a wall's fade (0 is faintest), or none with -1 */
+    Boundary.prototype.showWall = function (wall, step) {
+        if (wall.shown === step) return;
+        wall.steps.forEach((set, s) => set.forEach(c => {c.hidden = s !== step;}));
+        wall.shown = step;
+    }
+
+    var distanceToEdge = (p, a, b) => {
+        var dx = b[0] - a[0], dz = b[1] - a[1];
+        var t = Math.max(0, Math.min(1, ((p[0] - a[0])*dx + (p[1] - a[1])*dz) / (dx*dx + dz*dz)));
+        var x = a[0] + dx*t - p[0], z = a[1] + dz*t - p[1];
+        return Math.sqrt(x*x + z*z);
+    }
+
+    var inside = (p, pts) => {
+        var odd = false;
+        for (var i=0, j=pts.length-1; i<pts.length; j=i++) {
+            if ((pts[i][1] > p[1]) !== (pts[j][1] > p[1])
+                && p[0] < (pts[j][0] - pts[i][0]) * (p[1] - pts[i][1]) / (pts[j][1] - pts[i][1]) + pts[i][0]) odd = !odd;
+        }
+        return odd;
+    }
+
+    /* The head and controllers, across the floor from the middle of the play area */
+    Boundary.prototype.trackedPoints = function (centre) {
+        var scene = this.scene;
+        var poses = [VRPose.head(scene)].concat(this.options.gamepadIndices.map(i => VRPose.controller(scene, i)));
+        return poses.filter(p => p).map(p => [p.position[0] - centre[0], p.position[2] - centre[2]]);
+    }
+
+    Boundary.prototype.update = function (timePoint) {
+        if (timePoint === this.lastTimePoint) return;
+        this.lastTimePoint = timePoint;
+        if (!this.enabled) return;
+        if (!this.built) this.build();
+        var opts = this.options;
+        var centre = this.centre();
+        this.follow(centre);
+        var points = this.trackedPoints(centre);
+        var outside = points.some(p => !inside(p, this.shape.points));
+        var nearest = Infinity;
+        this.walls.forEach(w => {
+            var d = points.reduce((m, p) => Math.min(m, distanceToEdge(p, w.from, w.to)), Infinity);
+            nearest = Math.min(nearest, d);
+            var strength = outside ? 1 : Math.max(0, 1 - d / opts.fadeDistance);
+            this.showWall(w, strength > 0 ? Math.min(opts.fadeSteps - 1, Math.floor(strength * opts.fadeSteps)) : -1);
+        });
+        if (!points.length) Diagnostics.clear('chaperone');
+        else Diagnostics.set('chaperone', outside ? 'outside' : `${nearest.toFixed(2)}m (${this.shape.mode})`);
+    }
+
+    return {
+        Boundary: Boundary,
+        defaults: defaults,
+        STYLES: STYLES
+    };
+})();
@@ -0,0 +1,182 @@
+
+/*
+Components made of components. A component's config can list child components under "children", which are made from
+the same library and carried around by their parent:
+
+    $clib.new('glyphtext')({
+        label: 'text2',
+        draw: {position: $xyz(-1.7, 0.3, -3), ...},
+        input: {text: '/meta4vr'},
+        children: [{
+            component: 'urlmesh',
+            label: 'fbLogo',
+            draw: {position: $xyz(-0.99, 0, 0), ...},       // relative to text2
+            config: {meshURL: ...}
+        }]
+    });
+
+- A child's draw position, orientation and scale are relative to its parent, so moving, turning or scaling the
+  parent takes the children with it. Children can have children of their own.
+- The parent's prepare() resolves only once all its children are prepared and attached to it, so adding the parent
+  to the scene adds the whole thing.
+- Children are labelled by their path from the top: the logo above is 'text2/fbLogo', and once Compose.attach(scene)
+  has been called, scene.getObjectByLabel('text2/fbLogo') finds it. A prepared parent has its children in
+  childComponents, by their own labels, and each child knows its parentComponent.
+- A child's behaviors are run along with its parent's (given the child's drawable), and appear in the diagnostics as
+  the parent's, eg. 'text2/fbLogo/spin'.
+- Compose.remove(scene, 'text2') (or scene.removeComponent('text2')) takes the parent out of the scene and tears
+  down its children: they stop behaving, are let go of and forgotten by the manipulator, and are detached. Removing
+  a child on its own just detaches that child.
+
+Call Compose.instrumentLibrary(library) on each component library after any other instrumentation, so that the
+others see children's behaviors as the parent's. Top-level components with children are put in a group of their
+own label unless they have a groupLabel already, which is how they're taken out of the scene again; anything else
+is taken out on its own, leaving the rest of its group alone (or, if the framework has no scene.removeObject, hidden
+and left where it is, having been torn down as above).
+*/
+
+window.Compose = (function () {
+    "use strict";
+
+    var SEPARATOR = '/';
+
+
+    /* === Making === */
+
+    /* Make the children listed in cfg, as {name, instance, behaviors, component (once prepared)} */
+    var makeChildren = (library, cfg) => cfg.children.map((childCfg, i) => {
+        var name = childCfg.label || `child${i}`;
+        if (name.indexOf(SEPARATOR) >= 0) throw new Error(`${cfg.label}: child label "${name}" can't contain "${SEPARATOR}"`);
+        var ownCfg = Object.assign({}, childCfg, {
+            label: `${cfg.label}${SEPARATOR}${name}`,
+            parent: cfg.label,
+            behaviors: []
+        });
+        delete ownCfg.component;
+        return {
+            name: name,
+            instance: library.new(childCfg.component)(ownCfg),
+            behaviors: childCfg.behaviors || [],
+            component: null
+        };
+    });
+
+    /* The children's behaviors, to be run by the parent with the children's drawables */
+    var childBehaviors = kids => kids.reduce((all, kid) => all.concat(kid.behaviors.filter(b => b.function).map((b, i) => ({
+        label: `${kid.name}${SEPARATOR}${b.label || 'behavior' + i}`,
+        child: true,
+        function: function (drawable, timePoint) {
+            if (!kid.component || kid.component.removed) return;
+            var args = Array.prototype.slice.call(arguments);
+            args[0] = kid.component.drawable;
+            return b.function.apply(this, args);
+        }
+    }))), []);
+
+    /* Let components in the library have children */
+    var instrumentLibrary = function (library) {
+        var makeFactory = library.new.bind(library);
+        library.new = function (componentName) {
+            var factory = makeFactory(componentName);
+            return function (cfg) {
+                if (!(cfg && Array.isArray(cfg.children) && cfg.children.length)) return factory(cfg);
+                if (!cfg.label) throw new Error(`A ${componentName} with children needs a label`);
+                var kids = makeChildren(library, cfg);
+                var parentCfg = Object.assign({}, cfg, {behaviors: (cfg.behaviors || []).concat(childBehaviors(kids))});
+                if (!cfg.parent && !cfg.groupLabel) {
+                    parentCfg.groupLabel = cfg.label;
+                    parentCfg.draw = Object.assign({groupLabel: cfg.label}, cfg.draw || {});
+                }
+                var inst = factory(parentCfg);
+                var prepare = inst.prepare.bind(inst);
+                var ready = null;
+                inst.prepare = function () {
+                    var args = arguments;
+                    ready = ready || Promise.all([prepare.apply(null, args)].concat(kids.map(k => k.instance.prepare())))
+                    .then(prepared => {
+                        var parent = prepared[0];
+                        parent.childComponents = {};
+                        kids.forEach((kid, i) => {
+                            var child = prepared[i+1];
+                            kid.component = child;
+                            child.parentComponent = parent;
+                            parent.childComponents[kid.name] = child;
+                            parent.drawable.addChild(child.drawable);
+                        });
+                        parent.groupLabel = parentCfg.groupLabel || null;
+                        /* Only a group made here is the component's alone to take out of the scene */
+                        parent.ownGroup = !cfg.parent && !cfg.groupLabel;
+                        return parent;
+                    });
+                    return ready;
+                };
+                return inst;
+            };
+        };
+        return library;
+    }
+
+
+    /* === Finding === */
+
+    /* Follow a path like 'text2/fbLogo' down from a top-level component found with findTop(label) */
+    var find = function (findTop, path) {
+        var names = String(path).split(SEPARATOR);
+        var component = findTop(names.shift());
+        while (component && names.length) {
+            component = (component.childComponents || {})[names.shift()] || null;
+        }
+        return component || null;
+    }
+
+    /* Make scene.getObjectByLabel understand paths */
+    var attach = function (scene) {
+        var findTop = scene.getObjectByLabel.bind(scene);
+        scene.getObjectByLabel = label => find(findTop, label);
+        return scene;
+    }
+
+
+    /* === Removing === */
+
+    var tearDown = (scene, component) => {
+        Object.keys(component.childComponents || {}).forEach(name => tearDown(scene, component.childComponents[name]));
+        component.removed = true;
+        if (scene.manipulator) scene.manipulator.remove(component);
+    }
+
+    /* Take a component (or the component at a path) and its children out of the scene */
+    var remove = function (scene, pathOrComponent) {
+        var component = typeof pathOrComponent === 'string' ? scene.getObjectByLabel(pathOrComponent) : pathOrComponent;
+        if (!component) return false;
+        tearDown(scene, component);
+        var parent = component.parentComponent;
+        if (parent) {
+            var siblings = parent.drawable.children || [];
+            if (siblings.indexOf(component.drawable) >= 0) siblings.splice(siblings.indexOf(component.drawable), 1);
+            Object.keys(parent.childComponents).forEach(name => {
+                if (parent.childComponents[name] === component) delete parent.childComponents[name];
+            });
+        }
+        else if (component.ownGroup) {
+            scene.removeObjectsInGroup(component.groupLabel);
+        }
+        else if (typeof scene.removeObject === 'function') {
+            /* Its group (if it has one) may have other things in it, so it goes on its own */
+            scene.removeObject(component);
+        }
+        else {
+            /* A framework that can't take single objects out: it stays in the scene, but hidden */
+            component.drawable.hidden = true;
+        }
+        return true;
+    }
+
+    return {
+        SEPARATOR: SEPARATOR,
+        instrumentLibrary: instrumentLibrary,
+        find: find,
+        attach: attach,
+        remove: remove
+    };
+})();
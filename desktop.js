@@ -0,0 +1,196 @@
+
+/*
+Desktop mode: drive the scene with a keyboard and mouse instead of a headset and Vive controllers.
+
+This works by installing VRShim (see vrshim.js) and writing the head pose, controller poses and button states into it
+every frame. Because the framework reads the shim exactly as it would read real hardware, the controller helpers
+(trackers, ray projectors, button handlers) and the floor collider behave just as they do in VR, and the
+c.buttons.grip/menu/trigger/trackpad structure passed to button handlers has the same shape and the same
+pressed/released/held and angle/radius/sector/segment semantics.
+
+Default controls (override any of them by passing {keymap: {...}} to DesktopMode.enable):
+- Drag with the right mouse button    look around
+- W / A / S / D                       move forward / left / back / right
+- Q / E                               move down / up
+- Shift                               move faster
+- Mouse pointer                       aim the active controller; its ray passes through the pointer
+- Left mouse button                   trigger
+- G                                   grip
+- M                                   menu
+- Arrow keys                          touch the trackpad at the edge in that direction (combine two for diagonals)
+- C                                   touch the centre of the trackpad
+- Space                               press the trackpad (at the current touch point)
+- 1 / 2                               make controller 0 / controller 1 the active controller
+
+The inactive controller is parked in front of the player, at roughly where a relaxed hand would be.
+*/
+
+window.DesktopMode = (function () {
+    "use strict";
+
+    var DEG = deg => deg*(Math.PI/180);
+
+    var defaultKeymap = {
+        forward: 'KeyW', back: 'KeyS', left: 'KeyA', right: 'KeyD', up: 'KeyE', down: 'KeyQ', run: 'ShiftLeft',
+        grip: 'KeyG', menu: 'KeyM',
+        padUp: 'ArrowUp', padDown: 'ArrowDown', padLeft: 'ArrowLeft', padRight: 'ArrowRight', padCenter: 'KeyC',
+        padPress: 'Space',
+        hand0: 'Digit1', hand1: 'Digit2'
+    };
+
+    var mode = {
+        enabled: false,
+        shim: null,
+        canvas: null,
+        keymap: null,
+        walkSpeed: 1.5,         /* metres per second */
+        runSpeed: 4.0,
+        lookSpeed: 0.005,       /* radians per pixel of mouse drag */
+        reach: 0.4,             /* how far along the pointer ray the active controller sits */
+        eyeHeight: 1.6,
+        activeHand: 0,
+        head: {pos: [0, 1.6, 0], yaw: 0, pitch: 0},
+        pointer: {x: 0, y: 0},  /* Normalised device coords within the eye viewport the pointer is over */
+        keys: {},
+        mouseButtons: {},
+        lastTime: null,
+        suspended: false        /* leave the shim alone, eg. while a recording is played back (see replay.js) */
+    };
+
+    var isDown = action => !!mode.keys[mode.keymap[action]];
+
+    /* yaw about Y first, then pitch about the (rotated) X axis */
+    var yawPitchQuat = (yaw, pitch) => {
+        var q = quat.create();
+        quat.rotateY(q, q, yaw);
+        quat.rotateX(q, q, pitch);
+        return q;
+    }
+
+    var onKey = down => evt => {
+        /* Don't steal keystrokes from form fields */
+        if (evt.target && (evt.target.tagName === 'INPUT' || evt.target.tagName === 'TEXTAREA')) return;
+        mode.keys[evt.code] = down;
+        if (down && evt.code === mode.keymap.hand0) mode.activeHand = 0;
+        if (down && evt.code === mode.keymap.hand1) mode.activeHand = 1;
+        if (evt.code === mode.keymap.padPress || evt.code.indexOf('Arrow') === 0) evt.preventDefault();
+    }
+
+    var onMouseMove = evt => {
+        var rect = mode.canvas.getBoundingClientRect();
+        var px = (evt.clientX - rect.left) / rect.width, py = (evt.clientY - rect.top) / rect.height;
+        /* While presenting, each eye gets half of the canvas */
+        if (mode.shim.display.isPresenting) px = (px * 2) % 1;
+        mode.pointer.x = px*2 - 1;
+        mode.pointer.y = 1 - py*2;
+        if (mode.mouseButtons[2]) {
+            mode.head.yaw -= evt.movementX * mode.lookSpeed;
+            mode.head.pitch = Math.max(DEG(-89), Math.min(DEG(89), mode.head.pitch - evt.movementY * mode.lookSpeed));
+        }
+    }
+
+    var onMouseButton = down => evt => {
+        mode.mouseButtons[evt.button] = down;
+    }
+
+    /* Direction, in stage coordinates, of the ray from the eye through the mouse pointer */
+    var pointerDirection = headQuat => {
+        var tanV = Math.tan(DEG(mode.shim.display.fieldOfView/2));
+        var tanH = tanV * mode.shim.display.getAspect();
+        var dir = vec3.fromValues(mode.pointer.x*tanH, mode.pointer.y*tanV, -1);
+        vec3.normalize(dir, dir);
+        return vec3.transformQuat(dir, dir, headQuat);
+    }
+
+    var updateHead = dt => {
+        var speed = (isDown('run') ? mode.runSpeed : mode.walkSpeed) * dt;
+        var fwd = [-Math.sin(mode.head.yaw), -Math.cos(mode.head.yaw)];
+        var rt = [-fwd[1], fwd[0]];
+        var mv = [0, 0, 0];
+        if (isDown('forward')) {mv[0] += fwd[0]; mv[2] += fwd[1];}
+        if (isDown('back')) {mv[0] -= fwd[0]; mv[2] -= fwd[1];}
+        if (isDown('right')) {mv[0] += rt[0]; mv[2] += rt[1];}
+        if (isDown('left')) {mv[0] -= rt[0]; mv[2] -= rt[1];}
+        if (isDown('up')) mv[1] += 1;
+        if (isDown('down')) mv[1] -= 1;
+        for (var i=0; i<3; i++) mode.head.pos[i] += mv[i] * speed;
+        mode.head.pos[1] = Math.max(0.1, mode.head.pos[1]);
+        var q = yawPitchQuat(mode.head.yaw, mode.head.pitch);
+        mode.shim.display.setPose(mode.head.pos, q);
+        return q;
+    }
+
+    var updateActiveController = (pad, headQuat) => {
+        var dir = pointerDirection(headQuat);
+        var pos = vec3.scaleAndAdd(vec3.create(), mode.head.pos, dir, mode.reach);
+        pad.setPose(pos, yawPitchQuat(Math.atan2(-dir[0], -dir[2]), Math.asin(dir[1])));
+
+        var padX = (isDown('padRight') ? 1 : 0) - (isDown('padLeft') ? 1 : 0);
+        var padY = (isDown('padUp') ? 1 : 0) - (isDown('padDown') ? 1 : 0);
+        var len = Math.sqrt(padX*padX + padY*padY) || 1;
+        var padTouched = !!(padX || padY || isDown('padCenter') || isDown('padPress'));
+        pad.setAxes(padX/len, padY/len);
+        pad.setButton('trackpad', isDown('padPress'), padTouched);
+        pad.setButton('trigger', !!mode.mouseButtons[0]);
+        pad.setButton('grip', isDown('grip'));
+        pad.setButton('menu', isDown('menu'));
+    }
+
+    var updateParkedController = (pad, side) => {
+        var yawQ = yawPitchQuat(mode.head.yaw, 0);
+        var offset = vec3.transformQuat(vec3.create(), [0.2*side, -0.45, -0.35], yawQ);
+        pad.setPose(vec3.add(offset, offset, mode.head.pos), yawPitchQuat(mode.head.yaw, DEG(-20)));
+        pad.setAxes(0, 0);
+        ['trackpad', 'trigger', 'grip', 'menu'].forEach(b => pad.setButton(b, false));
+    }
+
+    var update = timePoint => {
+        var dt = mode.lastTime === null ? 0 : Math.min(0.1, (timePoint - mode.lastTime) / 1000);
+        mode.lastTime = timePoint;
+        window.requestAnimationFrame(update);
+        if (mode.suspended) return;
+        var headQuat = updateHead(dt);
+        for (var i=0; i<mode.shim.gamepads.length; i++) {
+            if (i === mode.activeHand) updateActiveController(mode.shim.gamepads[i], headQuat);
+            else updateParkedController(mode.shim.gamepads[i], i === 0 ? 1 : -1);
+        }
+    }
+
+    /* Install the shim and start listening to the keyboard and mouse. */
+    /* Call this before CARNIVAL.start(). options: {canvas, keymap, sizeX, sizeZ, fieldOfView, eyeHeight} */
+    mode.enable = function (options) {
+        if (mode.enabled) return mode;
+        var opts = options || {};
+        mode.canvas = opts.canvas || document.getElementById('webgl-canvas');
+        mode.keymap = Object.assign({}, defaultKeymap, opts.keymap || {});
+        mode.eyeHeight = opts.eyeHeight || mode.eyeHeight;
+        mode.head.pos[1] = mode.eyeHeight;
+        mode.shim = VRShim.install({
+            canvas: mode.canvas,
+            displayName: 'Desktop',
+            sizeX: opts.sizeX,
+            sizeZ: opts.sizeZ,
+            fieldOfView: opts.fieldOfView
+        });
+
+        window.addEventListener('keydown', onKey(true));
+        window.addEventListener('keyup', onKey(false));
+        /* Forget held keys when the window loses focus, otherwise they stay held forever */
+        window.addEventListener('blur', () => {mode.keys = {}; mode.mouseButtons = {};});
+        mode.canvas.addEventListener('mousemove', onMouseMove);
+        mode.canvas.addEventListener('mousedown', onMouseButton(true));
+        window.addEventListener('mouseup', onMouseButton(false));
+        mode.canvas.addEventListener('contextmenu', evt => evt.preventDefault());
+
+        mode.enabled = true;
+        window.requestAnimationFrame(update);
+        return mode;
+    }
+
+    /* Desktop mode is requested by adding ?desktop to the page URL */
+    mode.isRequested = function () {
+        return /[?&]desktop\b/.test(window.location.search);
+    }
+
+    return mode;
+})();
@@ -0,0 +1,365 @@
+
+/*
+Diagnostics: performance figures and debug values, shown on the page and (optionally) inside VR.
+
+Values are kept in named channels. Set one from anywhere with
+    Diagnostics.set('trackpad.angle', t.angle);
+and it appears in the overlay on the page and on any in-world panel that lists it.
+
+These channels are kept up to date automatically once Diagnostics.attach(scene) has been called:
+    fps, frame.ms, frame.maxms      frame rate, and mean and worst frame time over the last 120 frames
+    objects, drawables              how many objects are in the scene, and how many drawables including children
+    player                          scene.playerLocation
+    head, controller.0, controller.1    positions in world coordinates (see vrpose.js)
+
+Time spent in behaviors is measured per object and behavior label (eg. "cursor/spin") for every component made
+through an instrumented component library - call Diagnostics.instrumentLibrary(library) straight after making the
+library. The overlay lists the slowest ones. Frames are counted off the timestamps given to those behaviors, so
+frame timing also depends on at least one instrumented behavior being present (controller trackers will do).
+
+The overlay is drawn into the element with id "diagnostics-overlay", if there is one. For an in-world panel, built
+out of glyphtext, see Diagnostics.Panel.
+*/
+
+window.Diagnostics = (function () {
+    "use strict";
+
+    var HISTORY = 120;              /* frames of frame-time history */
+    var OVERLAY_REFRESH_MS = 250;
+
+    var diag = {
+        channels: {},               /* name -> value */
+        frameTimes: [],             /* ms, oldest first */
+        behaviors: {},              /* "object/behavior" -> {frameTotal, avg} (ms per frame) */
+        lastTimePoint: null,
+        lastOverlayUpdate: 0,
+        scene: null,
+        overlay: null
+    };
+
+    diag.set = function (name, value) {
+        diag.channels[name] = value;
+    }
+
+    diag.get = function (name) {
+        return diag.channels[name];
+    }
+
+    diag.clear = function (name) {
+        delete diag.channels[name];
+    }
+
+    var fmt = v => {
+        if (typeof v === 'number') return (Math.round(v * 1000) / 1000).toString();
+        if (Array.isArray(v) || (v && v.length !== undefined && typeof v !== 'string')) {
+            return Array.prototype.map.call(v, fmt).join(', ');
+        }
+        if (v && typeof v === 'object') return ['x', 'y', 'z'].every(k => k in v) ? fmt([v.x, v.y, v.z]) : JSON.stringify(v);
+        return String(v);
+    }
+    diag.format = fmt;
+
+
+    /* === Counting === */
+
+    /* The framework doesn't promise where it keeps its objects, so look in the likely places */
+    var countObjects = scene => {
+        var list = ['sceneObjects', 'objects'].map(k => scene[k]).find(v => v && typeof v === 'object');
+        if (!list) return null;
+        var objs = Array.isArray(list) ? list : Object.keys(list).map(k => list[k]);
+        var drawables = 0;
+        var walk = d => {
+            if (!d) return;
+            drawables++;
+            (d.children || []).forEach(walk);
+        };
+        objs.forEach(o => walk(o.drawable || o));
+        return {objects: objs.length, drawables: drawables};
+    }
+
+
+    /* === Frames and behaviors === */
+
+    var updateAutoChannels = () => {
+        var times = diag.frameTimes;
+        if (times.length) {
+            var mean = times.reduce((a, b) => a + b, 0) / times.length;
+            diag.set('fps', 1000 / mean);
+            diag.set('frame.ms', mean);
+            diag.set('frame.maxms', Math.max.apply(null, times));
+        }
+        var scene = diag.scene;
+        if (!scene) return;
+        var counts = countObjects(scene);
+        if (counts) {
+            diag.set('objects', counts.objects);
+            diag.set('drawables', counts.drawables);
+        }
+        if (scene.playerLocation) diag.set('player', scene.playerLocation);
+        var head = VRPose.head(scene);
+        if (head) diag.set('head', head.position);
+        [0, 1].forEach(i => {
+            var ctrl = VRPose.controller(scene, i);
+            if (ctrl) diag.set(`controller.${i}`, ctrl.position);
+        });
+    }
+
+    var endFrame = () => {
+        Object.keys(diag.behaviors).forEach(k => {
+            var b = diag.behaviors[k];
+            b.avg = b.avg === null ? b.frameTotal : b.avg*0.95 + b.frameTotal*0.05;
+            b.frameTotal = 0;
+        });
+        updateAutoChannels();
+        var now = performance.now();
+        if (diag.overlay && now - diag.lastOverlayUpdate >= OVERLAY_REFRESH_MS) {
+            diag.lastOverlayUpdate = now;
+            renderOverlay();
+        }
+    }
+
+    /* Every behavior is given the same timePoint within a frame, so a new timePoint means a new frame */
+    var tick = timePoint => {
+        if (timePoint === diag.lastTimePoint) return;
+        if (diag.lastTimePoint !== null) {
+            diag.frameTimes.push(timePoint - diag.lastTimePoint);
+            if (diag.frameTimes.length > HISTORY) diag.frameTimes.shift();
+            endFrame();
+        }
+        diag.lastTimePoint = timePoint;
+    }
+
+    /* Wrap a behavior function so its time is accounted to key */
+    diag.instrument = function (key, fn) {
+        diag.behaviors[key] = diag.behaviors[key] || {frameTotal: 0, avg: null};
+        return function (drawable, timePoint) {
+            tick(timePoint);
+            var t0 = performance.now();
+            try {
+                return fn.apply(this, arguments);
+            }
+            finally {
+                diag.behaviors[key].frameTotal += performance.now() - t0;
+            }
+        };
+    }
+
+    /* Instrument the behaviors of every component the library makes from now on */
+    diag.instrumentLibrary = function (library) {
+        var makeFactory = library.new.bind(library);
+        library.new = function (componentName) {
+            var factory = makeFactory(componentName);
+            return function (cfg) {
+                var label = (cfg && cfg.label) || componentName;
+                if (cfg && cfg.behaviors) {
+                    cfg = Object.assign({}, cfg, {behaviors: cfg.behaviors.map((b, i) => Object.assign({}, b, {
+                        function: diag.instrument(`${label}/${b.label || 'behavior' + i}`, b.function)
+                    }))});
+                }
+                var inst = factory(cfg);
+                if (inst && typeof inst.addBehavior === 'function') {
+                    var addBehavior = inst.addBehavior.bind(inst);
+                    var count = 0;
+                    inst.addBehavior = function (fn) {
+                        var rest = Array.prototype.slice.call(arguments, 1);
+                        return addBehavior.apply(null, [diag.instrument(`${label}/added${count++}`, fn)].concat(rest));
+                    };
+                }
+                return inst;
+            };
+        };
+        return library;
+    }
+
+    /* Start keeping the automatic channels up to date, and find the overlay element if there is one */
+    diag.attach = function (scene) {
+        diag.scene = scene;
+        diag.overlay = document.getElementById('diagnostics-overlay');
+        if (diag.overlay) buildOverlay();
+        return diag;
+    }
+
+
+    /* === The DOM overlay === */
+
+    var overlayParts = null;
+
+    var buildOverlay = () => {
+        diag.overlay.innerHTML = '';
+        var graph = document.createElement('canvas');
+        graph.width = HISTORY * 2;
+        graph.height = 40;
+        var table = document.createElement('table');
+        var slow = document.createElement('table');
+        [graph, table, slow].forEach(el => diag.overlay.appendChild(el));
+        overlayParts = {graph: graph, table: table, slow: slow};
+    }
+
+    var fillTable = (table, rows) => {
+        table.innerHTML = '';
+        rows.forEach(row => {
+            var tr = document.createElement('tr');
+            row.forEach(cell => {
+                var td = document.createElement('td');
+                td.textContent = cell;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+    }
+
+    /* Frame times as a bar graph; the line marks 90fps, which is what the headset wants */
+    var drawGraph = canvas => {
+        var ctx = canvas.getContext('2d');
+        var h = canvas.height, msPerPx = 40 / h;
+        ctx.clearRect(0, 0, canvas.width, h);
+        diag.frameTimes.forEach((ms, i) => {
+            ctx.fillStyle = ms > 1000/90 ? '#c33' : '#3a3';
+            var barH = Math.min(h, ms / msPerPx);
+            ctx.fillRect(i*2, h - barH, 2, barH);
+        });
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, h - (1000/90)/msPerPx, canvas.width, 1);
+    }
+
+    var renderOverlay = () => {
+        if (!overlayParts) return;
+        drawGraph(overlayParts.graph);
+        fillTable(overlayParts.table, Object.keys(diag.channels).sort().map(k => [k, fmt(diag.channels[k])]));
+        var slowest = Object.keys(diag.behaviors)
+            .filter(k => diag.behaviors[k].avg !== null)
+            .sort((a, b) => diag.behaviors[b].avg - diag.behaviors[a].avg)
+            .slice(0, 8);
+        fillTable(overlayParts.slow, [['behavior', 'ms/frame']].concat(slowest.map(k => [k, diag.behaviors[k].avg.toFixed(3)])));
+    }
+
+
+    /* === The in-world panel === */
+
+    /*  A column of glyphtext lines showing some channels, either fixed in place or attached to a controller.
+        Glyph text has to be rebuilt to change, so lines are only rebuilt when their text changes, and not more often
+        than refreshMs. Numbers (fps, frame times, positions) change nearly every time, so on the panel they're
+        rounded to digits decimal places, and their lines are rebuilt no more often than numericRefreshMs.
+        options:
+        - library       a component library providing 'glyphtext' (required)
+        - channels      the channel names to show
+        - gamepadIndex  attach to this controller; leave undefined for a fixed panel at position
+        - position      [x, y, z] of the top line for a fixed panel, or the offset from the controller
+        - yaw           which way a fixed panel faces (radians)
+        Add panel.behavior to any object in the scene (the controller it's attached to is a good choice) to keep
+        it updated.
+    */
+    var panelCount = 0;
+
+    function Panel(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({
+            channels: ['fps', 'frame.ms', 'objects', 'player'],
+            gamepadIndex: undefined,
+            position: [0, 0.1, 0],
+            yaw: 0,
+            lineHeight: 0.04,
+            textScale: 0.12,
+            color: 'white',
+            fontTag: 'lato-bold',
+            refreshMs: 1000,
+            numericRefreshMs: 5000,
+            digits: 1
+        }, options || {});
+        this.id = `diagnosticsPanel${panelCount++}`;
+        this.visible = true;
+        this.lines = this.options.channels.map(() => ({text: null, generation: 0, component: null, builtAt: -Infinity}));
+        this.lastRefresh = -Infinity;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    Panel.prototype.setVisible = function (state) {
+        this.visible = state === undefined ? !this.visible : !!state;
+        if (!this.visible) {
+            this.lines.forEach((line, i) => {
+                this.scene.removeObjectsInGroup(`${this.id}.line${i}`);
+                line.generation++;
+                line.component = null;
+                line.text = null;
+            });
+        }
+        return this.visible;
+    }
+
+    /* Where line i goes, and which way it faces */
+    Panel.prototype.placement = function (i) {
+        var opts = this.options, base, yaw;
+        if (opts.gamepadIndex === undefined) {
+            base = opts.position;
+            yaw = opts.yaw;
+        }
+        else {
+            var ctrl = VRPose.controller(this.scene, opts.gamepadIndex);
+            if (!ctrl) return null;
+            var fwd = VRPose.forward(ctrl.orientation);
+            yaw = Math.atan2(-fwd[0], -fwd[2]);
+            var yawQ = quat.setAxisAngle(quat.create(), [0, 1, 0], yaw);
+            base = vec3.add(vec3.create(), ctrl.position, vec3.transformQuat(vec3.create(), opts.position, yawQ));
+        }
+        return {position: {x: base[0], y: base[1] - i*opts.lineHeight, z: base[2]}, orientation: {x: 0, y: yaw, z: 0}};
+    }
+
+    var isNumberList = v => v && typeof v !== 'string' && v.length !== undefined && Array.prototype.every.call(v, x => typeof x === 'number');
+    var isXYZ = v => v && typeof v === 'object' && ['x', 'y', 'z'].every(k => typeof v[k] === 'number');
+    var isNumeric = v => typeof v === 'number' || isNumberList(v) || isXYZ(v);
+    var rounded = (v, digits) => typeof v === 'number' ? v.toFixed(digits)
+        : (isXYZ(v) ? [v.x, v.y, v.z] : Array.prototype.slice.call(v)).map(x => x.toFixed(digits)).join(', ');
+
+    Panel.prototype.rebuildLine = function (i, text) {
+        var scene = this.scene, line = this.lines[i], opts = this.options;
+        var group = `${this.id}.line${i}`;
+        var where = this.placement(i) || {position: {x: 0, y: -10, z: 0}, orientation: {x: 0, y: 0, z: 0}};
+        var generation = ++line.generation;
+        line.text = text;
+        var component = opts.library.new('glyphtext')({
+            label: group,
+            groupLabel: group,
+            transient: true,
+            draw: {position: where.position, orientation: where.orientation, color: opts.color, scale: opts.textScale, groupLabel: group},
+            config: {fontTag: opts.fontTag},
+            input: {text: text}
+        });
+        component.prepare().then(c => {
+            /* A newer version of the line may have been started (or the panel hidden) while this one was building */
+            if (generation !== line.generation) return;
+            scene.removeObjectsInGroup(group);
+            scene.addObject(c);
+            line.component = c;
+        });
+    }
+
+    Panel.prototype.update = function (timePoint) {
+        if (!this.visible) return;
+        if (timePoint - this.lastRefresh >= this.options.refreshMs) {
+            this.lastRefresh = timePoint;
+            this.options.channels.forEach((name, i) => {
+                var value = diag.get(name), line = this.lines[i];
+                var numeric = isNumeric(value);
+                var text = `${name} ${value === undefined ? '-' : numeric ? rounded(value, this.options.digits) : fmt(value)}`;
+                if (text === line.text) return;
+                if (numeric && line.text !== null && timePoint - line.builtAt < this.options.numericRefreshMs) return;
+                line.builtAt = timePoint;
+                this.rebuildLine(i, text);
+            });
+        }
+        if (this.options.gamepadIndex === undefined) return;
+        this.lines.forEach((line, i) => {
+            var where = line.component && this.placement(i);
+            if (!where) return;
+            var d = line.component.drawable;
+            d.pos.x = where.position.x;
+            d.pos.y = where.position.y;
+            d.pos.z = where.position.z;
+            d.currentOrientation = where.orientation;
+        });
+    }
+
+    diag.Panel = Panel;
+
+    return diag;
+})();
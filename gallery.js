@@ -0,0 +1,434 @@
+
+/*
+Galleries: pictures from a feed, hung on picboards around the raft.
+
+A Show loads a feed of image entries and lays a page of them out at a time, each on a picboard with its title
+underneath in glyphtext. Feeds can be
+- JSON          an array of entries, or an object with them in "items" (as in JSON Feed), "entries" or "images".
+                An entry is {"title": ..., "image": ..., "link": ...}; "caption" will do for the title, and "src",
+                "imageURL", "thumbnail" or an image attachment for the image.
+- RSS           each <item>'s image is its media:content or media:thumbnail, an image <enclosure>, or the first
+                <img> in its description
+- Atom          likewise for each <entry>, with <link rel="enclosure"> and the first <img> in its content or summary
+Relative image URLs are taken relative to the feed. Entries without an image are left out. The format is worked out
+from the feed itself unless the format option says which it is.
+
+Boards appear as their pictures arrive: each picture is fetched first, and its picboard (sized to the picture's
+shape) is only made once it has loaded. A picture that fails to load, or takes longer than imageTimeout, gets a plain
+placeholder board instead, captioned with the entry's title. Turning the page drops anything still loading.
+
+Layouts, around the middle of the raft (or the player location), facing the player:
+- wall          rows and columns on a flat wall, distance away in the direction yaw
+- arc           the same, curved round the raft at radius distance
+- grid          lying on a table at height, tilted up by tilt, rows going away from the player
+Add your own with Gallery.registerLayout(name, (show, count) => [{position: [x, y, z], rotation: quat}, ...]),
+giving places relative to the middle of the raft before the gallery is turned to face yaw.
+
+    var show = new Gallery.Show(scene, {library: $clib, feed: 'feeds/sample.json', layout: 'arc', rows: 2, columns: 4});
+    scene.galleries.push(show);
+    show.load();
+
+show.next() and show.previous() turn the page; the gallery.next and gallery.previous actions (see inputmap.js) turn
+the page of whichever gallery the player is looking towards. feeds/ has a small feed whose pictures are local, for
+working offline.
+
+index.html loads the framework's fc_feedtools, but the 0.2.0 framework doesn't document its interface, so feeds are
+fetched and parsed here rather than guessing at it. loadFeed is where it plugs in: pass loadFeed: (url) => a promise
+of the feed's text, to fetch feeds through fc_feedtools or through a proxy for hosts that don't allow cross-origin
+requests.
+*/
+
+window.Gallery = (function () {
+    "use strict";
+
+    var defaults = {
+        label: 'gallery',
+        feed: null,                 /* URL of the feed (required unless entries are given) */
+        entries: null,              /* [{title, image, link}], instead of a feed */
+        format: 'auto',             /* 'json', 'rss', 'atom' or 'auto' */
+        loadFeed: null,             /* url => promise of the feed's text; fetch() by default */
+        library: null,              /* provides 'picboard', 'glyphtext' and 'shape' (required) */
+        layout: 'wall',
+        rows: 2,
+        columns: 3,
+        boardSize: {width: 0.8, height: 0.6},
+        spacing: 0.15,
+        distance: 3,
+        yaw: 0,                     /* radians; 0 is straight ahead (-Z) from the raft */
+        height: 1.6,                /* of the middle of the gallery (or the table, for 'grid') above the raft */
+        tilt: Math.PI/6,            /* of the boards on a 'grid' */
+        captions: true,
+        captionLength: 32,
+        captionScale: 0.08,
+        textColor: 'white',
+        fontTag: 'lato-bold',
+        placeholderColor: '#404040',
+        imageTimeout: 10000,        /* ms */
+        raftLabel: 'raft'
+    };
+
+
+    /* === Feeds === */
+
+    function FeedError(message) {
+        this.name = 'FeedError';
+        this.message = message;
+        this.stack = (new Error(message)).stack;
+    }
+    FeedError.prototype = Object.create(Error.prototype);
+    FeedError.prototype.constructor = FeedError;
+
+    var firstImg = html => {
+        var m = /<img[^>]+src\s*=\s*["']([^"']+)["']/i.exec(html || '');
+        return m ? m[1].replace(/&amp;/g, '&') : null;
+    }
+
+    var isImage = type => !type || /^image\//.test(type);
+
+    var fromJSON = data => {
+        var list = Array.isArray(data) ? data : (data && (data.items || data.entries || data.images));
+        if (!Array.isArray(list)) throw new FeedError('JSON feed has no list of entries');
+        return list.map(e => {
+            if (typeof e === 'string') return {title: '', image: e, link: null};
+            var attachment = (e.attachments || []).find(a => isImage(a.mime_type));
+            return {
+                title: String(e.title || e.caption || e.name || ''),
+                image: e.image || e.src || e.imageURL || e.thumbnail || (attachment && attachment.url) || firstImg(e.content_html) || null,
+                link: e.link || e.url || null
+            };
+        });
+    }
+
+    /* Namespaced or not: media:content and content are both 'content' */
+    var children = (el, name) => Array.prototype.filter.call(el.childNodes, n => n.nodeType === 1 && n.localName === name);
+    var childText = (el, name) => {
+        var c = children(el, name)[0];
+        return c ? c.textContent.trim() : '';
+    }
+
+    var fromXML = (text, format) => {
+        var doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) throw new FeedError('feed is not valid XML');
+        var root = doc.documentElement.localName;
+        if (format === 'auto') format = root === 'feed' ? 'atom' : 'rss';
+        var atom = format === 'atom';
+        var items = Array.prototype.slice.call(doc.getElementsByTagNameNS('*', atom ? 'entry' : 'item'));
+        if (!items.length && ['rss', 'RDF', 'feed'].indexOf(root) < 0) throw new FeedError(`not an RSS or Atom feed (<${root}>)`);
+        return items.map(item => {
+            var media = children(item, 'content').concat(children(item, 'thumbnail'))
+                .filter(m => m.getAttribute('url') && (isImage(m.getAttribute('type')) || m.getAttribute('medium') === 'image'));
+            var enclosure = atom
+                ? children(item, 'link').find(l => l.getAttribute('rel') === 'enclosure' && isImage(l.getAttribute('type')))
+                : children(item, 'enclosure').find(e => isImage(e.getAttribute('type')));
+            var link = atom
+                ? children(item, 'link').find(l => !l.getAttribute('rel') || l.getAttribute('rel') === 'alternate')
+                : null;
+            return {
+                title: childText(item, 'title'),
+                image: (media[0] && media[0].getAttribute('url'))
+                    || (enclosure && enclosure.getAttribute(atom ? 'href' : 'url'))
+                    || firstImg(childText(item, atom ? 'content' : 'description') || childText(item, 'summary'))
+                    || null,
+                link: atom ? (link && link.getAttribute('href')) : (childText(item, 'link') || null)
+            };
+        });
+    }
+
+    /* Entries [{title, image, link}] from the text of a feed, with image URLs made absolute against baseURL */
+    var parseFeed = function (text, format, baseURL) {
+        format = format || 'auto';
+        var trimmed = String(text).trim();
+        var entries;
+        if (format === 'json' || (format === 'auto' && /^[[{]/.test(trimmed))) {
+            var data;
+            try {
+                data = JSON.parse(trimmed);
+            }
+            catch (err) {
+                throw new FeedError(`feed isn't valid JSON (${err.message})`);
+            }
+            entries = fromJSON(data);
+        }
+        else {
+            entries = fromXML(trimmed, format);
+        }
+        var base = baseURL ? new URL(baseURL, window.location.href).href : window.location.href;
+        return entries.filter(e => e.image).map(e => Object.assign(e, {image: new URL(e.image, base).href}));
+    }
+
+    var fetchText = url => fetch(url).then(response => {
+        if (!response.ok) throw new FeedError(`Couldn't load feed ${url} (${response.status} ${response.statusText})`);
+        return response.text();
+    });
+
+    var loadFeed = function (url, options) {
+        var opts = options || {};
+        return (opts.loadFeed || fetchText)(url).then(text => parseFeed(text, opts.format, url));
+    }
+
+
+    /* === Layouts === */
+
+    var turnY = a => quat.setAxisAngle(quat.create(), [0, 1, 0], a);
+
+    /* Columns are numbered from the left, rows from the top; each layout gives places for count boards */
+    var layouts = {
+        wall: (show, count) => {
+            var o = show.options, w = o.boardSize.width + o.spacing, h = o.boardSize.height + o.spacing + show.captionSpace();
+            var places = [];
+            for (var i=0; i<count; i++) {
+                var r = Math.floor(i / o.columns), c = i % o.columns;
+                places.push({
+                    position: [(c - (o.columns - 1)/2) * w, o.height + ((o.rows - 1)/2 - r) * h, -o.distance],
+                    rotation: quat.create()
+                });
+            }
+            return places;
+        },
+        arc: (show, count) => {
+            var o = show.options, h = o.boardSize.height + o.spacing + show.captionSpace();
+            var step = (o.boardSize.width + o.spacing) / o.distance;
+            var places = [];
+            for (var i=0; i<count; i++) {
+                var r = Math.floor(i / o.columns), c = i % o.columns;
+                var a = (c - (o.columns - 1)/2) * step;
+                places.push({
+                    position: [Math.sin(a) * o.distance, o.height + ((o.rows - 1)/2 - r) * h, -Math.cos(a) * o.distance],
+                    rotation: turnY(-a)
+                });
+            }
+            return places;
+        },
+        grid: (show, count) => {
+            var o = show.options, w = o.boardSize.width + o.spacing;
+            /* Boards are tilted up from the table, so each takes up less of it than its height */
+            var depth = (o.boardSize.height + show.captionSpace()) * Math.cos(o.tilt) + o.spacing;
+            var pitch = quat.setAxisAngle(quat.create(), [1, 0, 0], -(Math.PI/2 - o.tilt));
+            var places = [];
+            for (var i=0; i<count; i++) {
+                var r = Math.floor(i / o.columns), c = i % o.columns;
+                places.push({
+                    position: [(c - (o.columns - 1)/2) * w, o.height, -(o.distance + r * depth)],
+                    rotation: quat.clone(pitch)
+                });
+            }
+            return places;
+        }
+    };
+
+    var registerLayout = function (name, fn) {
+        layouts[name] = fn;
+    }
+
+
+    /* === Shows === */
+
+    var showCount = 0;
+
+    function Show(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        if (!this.options.library) throw new Error('A gallery needs a component library');
+        if (!layouts[this.options.layout]) throw new Error(`Unknown gallery layout "${this.options.layout}"`);
+        this.id = `${this.options.label}${showCount++}`;
+        this.entries = [];
+        this.page = 0;
+        this.generation = 0;
+        this.slots = [];            /* group labels of what's on show */
+        this.status = 'empty';      /* 'loading', 'ready' or 'failed' */
+        this.error = null;
+    }
+
+    Show.prototype.pageSize = function () {
+        return Math.max(1, this.options.rows * this.options.columns);
+    }
+
+    Show.prototype.pageCount = function () {
+        return Math.max(1, Math.ceil(this.entries.length / this.pageSize()));
+    }
+
+    /* Room under each board for its caption */
+    Show.prototype.captionSpace = function () {
+        return this.options.captions ? this.options.captionScale * 1.5 : 0;
+    }
+
+    /* Load the feed (or take the entries given) and show the first page */
+    Show.prototype.load = function () {
+        var opts = this.options;
+        this.status = 'loading';
+        var entries = opts.entries
+            ? Promise.resolve(opts.entries.filter(e => e && e.image))
+            : opts.feed ? loadFeed(opts.feed, opts) : Promise.reject(new FeedError(`${opts.label}: no feed or entries given`));
+        return entries.then(list => {
+            this.entries = list;
+            this.status = 'ready';
+            this.showPage(0);
+            return this;
+        }, err => {
+            this.status = 'failed';
+            this.error = err;
+            this.clear();
+            this.placeholder(0, {title: 'Feed unavailable'}, this.places(1)[0], ++this.generation);
+            throw err;
+        });
+    }
+
+    Show.prototype.centre = function () {
+        var raft = this.options.raftLabel && this.scene.getObjectByLabel(this.options.raftLabel);
+        var p = raft && raft.drawable ? raft.drawable.pos : this.scene.playerLocation;
+        return [p.x, p.y, p.z];
+    }
+
+    /* World positions and rotations for count boards */
+    Show.prototype.places = function (count) {
+        var centre = this.centre(), yaw = turnY(this.options.yaw);
+        return layouts[this.options.layout](this, count).map(p => ({
+            position: vec3.add(vec3.create(), centre, vec3.transformQuat(vec3.create(), p.position, yaw)),
+            rotation: quat.multiply(quat.create(), yaw, p.rotation)
+        }));
+    }
+
+    /* Where the gallery is, for working out which one the player is looking at */
+    Show.prototype.middle = function () {
+        var o = this.options;
+        return vec3.add(vec3.create(), this.centre(), vec3.transformQuat(vec3.create(), [0, o.height, -o.distance], turnY(o.yaw)));
+    }
+
+    Show.prototype.clear = function () {
+        this.slots.forEach(group => this.scene.removeObjectsInGroup(group));
+        this.slots = [];
+    }
+
+    Show.prototype.showPage = function (page) {
+        var size = this.pageSize();
+        this.page = Math.max(0, Math.min(this.pageCount() - 1, page));
+        var generation = ++this.generation;
+        this.clear();
+        var onPage = this.entries.slice(this.page * size, (this.page + 1) * size);
+        var places = this.places(onPage.length);
+        onPage.forEach((entry, i) => this.hang(i, entry, places[i], generation));
+        Diagnostics.set(`gallery.${this.options.label}`, `page ${this.page + 1}/${this.pageCount()}`);
+        return this.page;
+    }
+
+    Show.prototype.next = function () {
+        return this.showPage((this.page + 1) % this.pageCount());
+    }
+
+    Show.prototype.previous = function () {
+        return this.showPage((this.page + this.pageCount() - 1) % this.pageCount());
+    }
+
+    /* Fetch the picture, and put up its board once it's arrived (or a placeholder if it doesn't) */
+    Show.prototype.hang = function (slot, entry, place, generation) {
+        var opts = this.options;
+        var img = new Image();
+        var settled = false;
+        var settle = ok => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (generation !== this.generation) return;
+            if (ok) this.board(slot, entry, place, generation, img.naturalWidth / img.naturalHeight);
+            else this.placeholder(slot, entry, place, generation);
+        };
+        var timer = setTimeout(() => settle(false), opts.imageTimeout);
+        img.crossOrigin = 'anonymous';
+        img.onload = () => settle(img.naturalWidth > 0 && img.naturalHeight > 0);
+        img.onerror = () => settle(false);
+        img.src = entry.image;
+    }
+
+    /* The largest size of the picture's shape that fits boardSize */
+    var fit = (size, aspect) => {
+        if (!(aspect > 0)) return {width: size.width, height: size.height};
+        return aspect > size.width / size.height
+            ? {width: size.width, height: size.width / aspect}
+            : {width: size.height * aspect, height: size.height};
+    }
+
+    var xyz = v => ({x: v[0], y: v[1], z: v[2]});
+
+    Show.prototype.add = function (slot, generation, componentName, cfg) {
+        var group = `${this.id}.slot${slot}`;
+        if (this.slots.indexOf(group) < 0) this.slots.push(group);
+        var inst = this.options.library.new(componentName)(Object.assign({
+            label: `${group}.${componentName}`,
+            groupLabel: group,
+            transient: true
+        }, cfg, {draw: Object.assign({groupLabel: group}, cfg.draw)}));
+        return inst.prepare().then(c => {
+            if (generation === this.generation) this.scene.addObject(c);
+            return c;
+        });
+    }
+
+    Show.prototype.board = function (slot, entry, place, generation, aspect) {
+        var size = fit(this.options.boardSize, aspect);
+        return Promise.all([
+            this.add(slot, generation, 'picboard', {
+                draw: {position: xyz(place.position), orientation: Manipulate.quatToEuler(place.rotation), size: size},
+                input: {pictureURL: entry.image}
+            }),
+            this.caption(slot, entry, place, generation)
+        ]);
+    }
+
+    Show.prototype.placeholder = function (slot, entry, place, generation) {
+        var size = this.options.boardSize;
+        return Promise.all([
+            this.add(slot, generation, 'shape', {
+                shape: 'cuboid',
+                draw: {
+                    position: xyz(place.position),
+                    orientation: Manipulate.quatToEuler(place.rotation),
+                    size: {width: size.width, height: size.height, depth: 0.02},
+                    color: this.options.placeholderColor
+                }
+            }),
+            this.caption(slot, entry, place, generation)
+        ]);
+    }
+
+    Show.prototype.caption = function (slot, entry, place, generation) {
+        var opts = this.options;
+        if (!(opts.captions && entry.title)) return Promise.resolve(null);
+        var text = entry.title.length > opts.captionLength ? entry.title.slice(0, opts.captionLength - 1) + '…' : entry.title;
+        var local = [-opts.boardSize.width/2, -opts.boardSize.height/2 - opts.captionScale * 1.2, 0.02];
+        var at = vec3.add(vec3.create(), place.position, vec3.transformQuat(vec3.create(), local, place.rotation));
+        return this.add(slot, generation, 'glyphtext', {
+            draw: {position: xyz(at), orientation: Manipulate.quatToEuler(place.rotation), color: opts.textColor, scale: opts.captionScale},
+            config: {fontTag: opts.fontTag},
+            input: {text: text}
+        });
+    }
+
+
+    /* === Choosing a gallery === */
+
+    /* The gallery closest to where the player is looking, or null if there are none */
+    var facing = function (scene, shows) {
+        var head = VRPose.head(scene);
+        if (!(shows && shows.length)) return null;
+        if (!head) return shows[0];
+        var fwd = VRPose.forward(head.orientation);
+        var best = null;
+        shows.forEach(show => {
+            var to = vec3.normalize(vec3.create(), vec3.sub(vec3.create(), show.middle(), head.position));
+            var dot = vec3.dot(to, fwd);
+            if (!best || dot > best.dot) best = {show: show, dot: dot};
+        });
+        return best.show;
+    }
+
+    return {
+        Show: Show,
+        FeedError: FeedError,
+        parseFeed: parseFeed,
+        loadFeed: loadFeed,
+        layouts: layouts,
+        registerLayout: registerLayout,
+        facing: facing,
+        defaults: defaults
+    };
+})();
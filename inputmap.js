@@ -0,0 +1,489 @@
+
+/*
+InputMap sits between the controllers' button states and the things the scene does in response to them.
+
+Rather than binding "grip pressed on gamepad 0" straight to a function, the scene defines named actions, and a
+binding profile says which gesture on which hand triggers which action. Profiles can be changed at runtime. The
+handedness, and whichever bindings the player has changed from the defaults the mapper was given, are saved to
+localStorage and laid over those defaults when the page next starts - so bindings the scene adds later still turn up.
+A changed binding is remembered by its gesture (eg. 'press grip' on the primary hand): the saved bindings for that
+gesture replace the default ones, and every other gesture keeps its defaults.
+
+Hands
+    Bindings are made to the 'primary' (pointing) hand and the 'secondary' hand, not to gamepad indices. For a
+    right-handed player the primary hand is gamepad 0; setHandedness('left') swaps the hands over and mirrors the
+    trackpad left to right, so that swipes, angles, sectors and segments all read as a right-handed player's would.
+
+Gestures, for a button (grip, menu, trigger or trackpad) on one hand:
+    press           the button goes down
+    release         the button comes up
+    hold            every frame while the button is down
+    click           the button comes up again before a long press
+    doubleClick     a second click within doubleClickMs of the first (the first still counts as a click)
+    longPress       the button has been held for longPressMs (fires once per press)
+    touch           every frame while the trackpad is touched
+    swipe           a quick stroke across the trackpad; give a direction of 'left', 'right', 'up' or 'down'
+    chord           several buttons held together; fires when the last of them goes down. Give the buttons as
+                    eg. ['grip', 'trigger']; in the profile's 'both' section, buttons are given with their hand,
+                    eg. ['primary.grip', 'secondary.grip']
+                    A button that's part of a chord holds its own gestures back for chordMs after it goes down.
+                    If the chord is completed in that time they're dropped, along with everything else that press
+                    does until the button comes up; otherwise they go through, a little late.
+
+A profile looks like:
+    {
+        primary: [{gesture: 'press', button: 'grip', action: 'teleport'}, ...],
+        secondary: [{gesture: 'swipe', button: 'trackpad', direction: 'left', action: 'previousPage'}, ...],
+        both: [{gesture: 'chord', buttons: ['primary.grip', 'secondary.grip'], action: 'swapHands'}]
+    }
+A binding may also carry args, which are passed on to the action. Bindings for the same gesture run in the order
+they're listed, until one of their actions returns true: that action has dealt with the gesture, and the rest are
+skipped. ui.press does this when there's a widget under the pointer, so it's listed before the light editor's and
+the manipulator's trigger bindings.
+
+Actions are functions (scene, c, gesture, ...args) where c is the button state structure from makeButtonHandler
+(with the trackpad mirrored for a left-handed player) and gesture describes what happened, eg. {gesture: 'swipe', hand:
+'secondary', button: 'trackpad', direction: 'left'}. An action name that hasn't been defined is treated as the name
+of a scene method.
+
+To use it, give each controller a button handler that feeds the mapper:
+    $ctrl.makeButtonHandler(0, scene.inputMap.feedBindings(0))
+
+InputMap.defineStandardActions(mapper) defines the actions the boilerplate scene uses: teleport, toggleLights,
+toggleLightEditor, toggleDiagnostics, swapHands, readoutTrackpad, captureControllerInfo, lightEditor.grab / .release / .padPressed /
+.padReleased for the light editor's trigger and trackpad handling, and manipulate.grab / .release / .toggleSnapping for
+picking things up (see manipulate.js), and ui.press / .release / .toggleWristMenu for the in-world menus (see ui.js),
+and gallery.next / .previous for paging through galleries (see gallery.js).
+*/
+
+window.InputMap = (function () {
+    "use strict";
+
+    var BUTTONS = ['grip', 'menu', 'trigger', 'trackpad'];
+    var MIRRORED_SEGMENT = {n: 'n', ne: 'nw', e: 'w', se: 'sw', s: 's', sw: 'se', w: 'e', nw: 'ne', center: 'center'};
+    var HANDS = ['primary', 'secondary', 'both'];
+    var STORAGE_VERSION = 2;
+
+    var defaults = {
+        profile: {primary: [], secondary: [], both: []},
+        handedness: 'right',
+        primaryIndex: 0,            /* gamepad index of the primary hand for a right-handed player */
+        mirrorTrackpad: true,
+        sectors: 12,
+        longPressMs: 600,
+        doubleClickMs: 300,
+        swipeDistance: 0.6,         /* in trackpad units; the trackpad is 2 across */
+        swipeMs: 400,
+        chordMs: 200,               /* how long a chord's buttons wait for the rest of it */
+        storageKey: 'carnival.inputBindings',
+        persist: true
+    };
+
+    var clone = obj => JSON.parse(JSON.stringify(obj));
+
+    /* The gesture a binding is for; bindings for the same gesture are saved and restored together */
+    var slotOf = b => b.gesture === 'chord' ? `chord:${(b.buttons || []).join('+')}` : `${b.gesture}:${b.button}:${b.direction || ''}`;
+    var bySlot = list => (list || []).reduce((slots, b) => {
+        (slots[slotOf(b)] = slots[slotOf(b)] || []).push(b);
+        return slots;
+    }, {});
+
+    /* The defaults, with each overridden gesture's bindings in place of its default ones */
+    var applyOverrides = (profile, overrides) => {
+        var out = clone(profile);
+        Object.keys(overrides).forEach(hand => {
+            var slots = overrides[hand], placed = {}, list = [];
+            (out[hand] || []).forEach(b => {
+                var slot = slotOf(b);
+                if (!slots[slot]) list.push(b);
+                else if (!placed[slot]) list = list.concat(clone(slots[slot]));
+                placed[slot] = true;
+            });
+            Object.keys(slots).forEach(slot => {
+                if (!placed[slot]) list = list.concat(clone(slots[slot]));
+            });
+            out[hand] = list;
+        });
+        return out;
+    }
+
+    var isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    var isBinding = b => isObject(b) && typeof b.gesture === 'string' && typeof b.action === 'string'
+        && (b.gesture === 'chord' ? Array.isArray(b.buttons) : typeof b.button === 'string');
+
+    /* Saved overrides, less anything that isn't the shape it should be */
+    var readOverrides = saved => {
+        var out = {};
+        if (!isObject(saved)) return out;
+        HANDS.forEach(hand => {
+            if (!isObject(saved[hand])) return;
+            Object.keys(saved[hand]).forEach(slot => {
+                var list = saved[hand][slot];
+                if (!(Array.isArray(list) && list.every(b => isBinding(b) && slotOf(b) === slot))) return;
+                out[hand] = out[hand] || {};
+                out[hand][slot] = list;
+            });
+        });
+        return out;
+    }
+
+    var newHandState = () => {
+        var st = {buttons: {}, swipe: null};
+        BUTTONS.forEach(b => {
+            st.buttons[b] = {down: false, downAt: null, longFired: false, lastClickAt: null, pressedAt: null, chordedAt: null, deferred: null, deferUntil: null};
+        });
+        return st;
+    }
+
+    function Mapper(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        this.actions = {};
+        this.defaultProfile = clone(this.options.profile);
+        this.profile = clone(this.defaultProfile);
+        this.handedness = this.options.handedness;
+        this.hands = [newHandState(), newHandState()];
+        this.listeners = [];
+        if (this.options.persist) this.load();
+    }
+
+    /* === Actions === */
+
+    Mapper.prototype.defineAction = function (name, fn, description) {
+        this.actions[name] = {fn: fn, description: description || ''};
+    }
+
+    Mapper.prototype.runAction = function (name, c, gesture, args) {
+        var scene = this.scene;
+        try {
+            if (this.actions[name]) return this.actions[name].fn.apply(null, [scene, c, gesture].concat(args || []));
+            /* Scene methods return all sorts, so they never count as having dealt with the gesture */
+            if (typeof scene[name] === 'function') return void scene[name].apply(scene, args || []);
+            console.warn(`Input binding refers to unknown action "${name}"`);
+        }
+        catch (err) {
+            console.error(`Action "${name}" failed`, err);
+        }
+    }
+
+    /* === Hands === */
+
+    Mapper.prototype.handIndex = function (hand) {
+        var primary = this.handedness === 'left' ? 1 - this.options.primaryIndex : this.options.primaryIndex;
+        return hand === 'primary' ? primary : 1 - primary;
+    }
+
+    Mapper.prototype.handOf = function (gamepadIndex) {
+        return this.handIndex('primary') === gamepadIndex ? 'primary' : 'secondary';
+    }
+
+    Mapper.prototype.setHandedness = function (handedness) {
+        if (handedness !== 'left' && handedness !== 'right') throw new Error(`Handedness must be 'left' or 'right', not ${handedness}`);
+        this.handedness = handedness;
+        /* Half-finished gestures would now be on the wrong hand */
+        this.hands = [newHandState(), newHandState()];
+        this.changed();
+    }
+
+    /* Left-handed players get both trackpads mirrored */
+    Mapper.prototype.isMirrored = function () {
+        return this.options.mirrorTrackpad && this.handedness === 'left';
+    }
+
+    /* A copy of the button states with the trackpad flipped left to right */
+    Mapper.prototype.mirror = function (c) {
+        var n = this.options.sectors;
+        var t = c.buttons.trackpad;
+        var trackpad = Object.assign({}, t, {
+            angle: (t.angle === undefined || t.angle === null) ? t.angle : (Math.PI - t.angle + 2*Math.PI) % (2*Math.PI),
+            sector: (t.sector === undefined || t.sector === null) ? t.sector : ((n/2 - 1 - t.sector) % n + n) % n,
+            segment: MIRRORED_SEGMENT[t.segment] || t.segment
+        });
+        return Object.assign({}, c, {buttons: Object.assign({}, c.buttons, {trackpad: trackpad})});
+    }
+
+    /* === Bindings === */
+
+    Mapper.prototype.bind = function (hand, binding) {
+        this.profile[hand] = this.profile[hand] || [];
+        this.profile[hand].push(binding);
+        this.changed();
+    }
+
+    /* Remove bindings from a hand; match is an action name or a function (binding) => true to remove */
+    Mapper.prototype.unbind = function (hand, match) {
+        var test = typeof match === 'function' ? match : (b => b.action === match);
+        this.profile[hand] = (this.profile[hand] || []).filter(b => !test(b));
+        this.changed();
+    }
+
+    Mapper.prototype.setProfile = function (profile) {
+        this.profile = clone(Object.assign({primary: [], secondary: [], both: []}, profile));
+        this.changed();
+    }
+
+    Mapper.prototype.resetToDefaults = function () {
+        this.profile = clone(this.defaultProfile);
+        this.handedness = this.options.handedness;
+        this.changed();
+    }
+
+    /* fn(mapper) is called whenever the bindings or the handedness change */
+    Mapper.prototype.onChange = function (fn) {
+        this.listeners.push(fn);
+    }
+
+    Mapper.prototype.changed = function () {
+        if (this.options.persist) this.save();
+        this.listeners.forEach(fn => fn(this));
+    }
+
+    /* === Persistence === */
+
+    /* The gestures whose bindings differ from the defaults, with the bindings they have now */
+    Mapper.prototype.overrides = function () {
+        var out = {};
+        HANDS.forEach(hand => {
+            var current = bySlot(this.profile[hand]), original = bySlot(this.defaultProfile[hand]);
+            Object.keys(current).concat(Object.keys(original)).forEach(slot => {
+                if (JSON.stringify(current[slot] || []) === JSON.stringify(original[slot] || [])) return;
+                out[hand] = out[hand] || {};
+                out[hand][slot] = current[slot] || [];
+            });
+        });
+        return out;
+    }
+
+    Mapper.prototype.save = function () {
+        try {
+            window.localStorage.setItem(this.options.storageKey, JSON.stringify({
+                version: STORAGE_VERSION, handedness: this.handedness, overrides: this.overrides()
+            }));
+        }
+        catch (err) {
+            console.warn(`Couldn't save input bindings (${err.message})`);
+        }
+    }
+
+    /* Returns true if saved bindings were found and loaded */
+    Mapper.prototype.load = function () {
+        var saved;
+        try {
+            saved = JSON.parse(window.localStorage.getItem(this.options.storageKey));
+        }
+        catch (err) {
+            console.warn(`Ignoring unreadable saved input bindings (${err.message})`);
+            return false;
+        }
+        if (!isObject(saved)) return false;
+        if (saved.handedness === 'left' || saved.handedness === 'right') this.handedness = saved.handedness;
+        /* Older saves kept the whole profile, which would hide any bindings added since; only their handedness is used */
+        if (saved.version !== STORAGE_VERSION) return false;
+        this.profile = applyOverrides(this.defaultProfile, readOverrides(saved.overrides));
+        return true;
+    }
+
+    /* === Recognition === */
+
+    /* For makeButtonHandler: a binding that passes every frame's button states to the mapper */
+    Mapper.prototype.feedBindings = function (gamepadIndex) {
+        return [{trigger: c => true, action: c => this.feed(gamepadIndex, c)}];
+    }
+
+    Mapper.prototype.recognise = function (st, c, now) {
+        var opts = this.options;
+        var events = [];
+        BUTTONS.forEach(name => {
+            var b = c.buttons[name], bs = st.buttons[name];
+            if (!b) return;
+            if (b.pressed) {
+                bs.down = true;
+                bs.downAt = bs.pressedAt = now;
+                bs.longFired = false;
+                events.push({gesture: 'press', button: name});
+            }
+            if (bs.down && (b.held || b.down)) {
+                events.push({gesture: 'hold', button: name});
+                if (!bs.longFired && now - bs.downAt >= opts.longPressMs) {
+                    bs.longFired = true;
+                    events.push({gesture: 'longPress', button: name});
+                }
+            }
+            if (b.released) {
+                events.push({gesture: 'release', button: name});
+                if (bs.down && !bs.longFired) {
+                    events.push({gesture: 'click', button: name});
+                    if (bs.lastClickAt !== null && now - bs.lastClickAt <= opts.doubleClickMs) {
+                        events.push({gesture: 'doubleClick', button: name});
+                        bs.lastClickAt = null;
+                    }
+                    else {
+                        bs.lastClickAt = now;
+                    }
+                }
+                bs.down = false;
+            }
+        });
+
+        var t = c.buttons.trackpad;
+        if (t && t.touched) {
+            events.push({gesture: 'touch', button: 'trackpad'});
+            var x = t.radius * Math.cos(t.angle), y = t.radius * Math.sin(t.angle);
+            if (!st.swipe) st.swipe = {x0: x, y0: y, t0: now};
+            st.swipe.x = x;
+            st.swipe.y = y;
+        }
+        else if (st.swipe) {
+            var sw = st.swipe;
+            var dx = sw.x - sw.x0, dy = sw.y - sw.y0;
+            if (Math.sqrt(dx*dx + dy*dy) >= opts.swipeDistance && now - sw.t0 <= opts.swipeMs) {
+                var direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'up' : 'down');
+                events.push({gesture: 'swipe', button: 'trackpad', direction: direction});
+            }
+            st.swipe = null;
+        }
+        return events;
+    }
+
+    /* A chord fires in the frame that its last button goes down */
+    var chordFires = (keys, isDown, justPressed) => keys.every(isDown) && keys.some(justPressed);
+
+    var matches = (binding, evt) => binding.gesture === evt.gesture && binding.button === evt.button
+        && (!binding.direction || binding.direction === evt.direction);
+
+    /* The buttons on a hand that are part of a chord */
+    Mapper.prototype.chordButtons = function (hand) {
+        var out = {};
+        (this.profile[hand] || []).forEach(b => {
+            if (b.gesture === 'chord') b.buttons.forEach(name => {out[name] = true;});
+        });
+        (this.profile.both || []).forEach(b => {
+            if (b.gesture === 'chord') b.buttons.map(key => key.split('.')).forEach(parts => {
+                if (parts[0] === hand) out[parts[1]] = true;
+            });
+        });
+        return out;
+    }
+
+    /* A chord has used this press of the button, so nothing else should */
+    var consume = bs => {
+        bs.chordedAt = bs.pressedAt;
+        bs.deferred = bs.deferUntil = null;
+    }
+
+    Mapper.prototype.feed = function (gamepadIndex, rawState) {
+        /* This frame's timestamp, which is what's recorded, so gestures come out the same when played back (see replay.js) */
+        var now = Replay.now();
+        var hand = this.handOf(gamepadIndex);
+        var st = this.hands[gamepadIndex];
+        var c = this.isMirrored() ? this.mirror(rawState) : rawState;
+        var events = this.recognise(st, c, now);
+        var fire = (binding, evt) => this.runAction(binding.action, c, Object.assign({hand: hand}, evt), binding.args);
+        var bindings = this.profile[hand] || [];
+
+        /* Chords first, so that the buttons they're made of can be kept from doing anything else */
+        bindings.forEach(binding => {
+            if (binding.gesture !== 'chord') return;
+            var pressed = name => st.buttons[name].pressedAt === now;
+            if (chordFires(binding.buttons, name => st.buttons[name].down, pressed)) {
+                binding.buttons.forEach(name => consume(st.buttons[name]));
+                fire(binding, {gesture: 'chord', buttons: binding.buttons});
+            }
+        });
+
+        /* Two-handed chords are checked by whichever hand completes them */
+        (this.profile.both || []).forEach(binding => {
+            var split = key => {
+                var parts = key.split('.');
+                return this.hands[this.handIndex(parts[0])].buttons[parts[1]];
+            };
+            var justPressedHere = key => key.split('.')[0] === hand && split(key).pressedAt === now;
+            if (binding.gesture === 'chord' && chordFires(binding.buttons, key => split(key).down, justPressedHere)) {
+                binding.buttons.forEach(key => consume(split(key)));
+                fire(binding, {gesture: 'chord', buttons: binding.buttons});
+            }
+        });
+
+        var fireEvent = evt => bindings.some(binding => matches(binding, evt) && fire(binding, evt) === true);
+
+        /* Gestures held back for a chord that didn't come */
+        BUTTONS.forEach(name => {
+            var bs = st.buttons[name];
+            if (!bs.deferred || now < bs.deferUntil) return;
+            var deferred = bs.deferred;
+            bs.deferred = bs.deferUntil = null;
+            deferred.forEach(fireEvent);
+        });
+
+        var chorded = this.chordButtons(hand);
+        events.forEach(evt => {
+            var bs = st.buttons[evt.button];
+            if (bs.chordedAt !== null && bs.chordedAt === bs.pressedAt) return;
+            if (evt.gesture === 'press' && chorded[evt.button]) {
+                bs.deferred = [];
+                bs.deferUntil = now + this.options.chordMs;
+            }
+            if (bs.deferred) {
+                /* A hold is for the frame it happens in, so one that's held back is just dropped */
+                if (evt.gesture !== 'hold') bs.deferred.push(evt);
+                return;
+            }
+            fireEvent(evt);
+        });
+    }
+
+    var defineStandardActions = function (mapper) {
+        var def = (name, fn, description) => mapper.defineAction(name, fn, description);
+        var editor = (scene, fn) => {if (scene.lightEditor && scene.lightEditor.active) fn(scene.lightEditor);};
+        def('teleport', scene => scene.teleportUserToCursor(), 'Teleport to the cursor');
+        def('toggleLights', scene => scene.switchLights(), 'Show or hide the lamps');
+        def('toggleLightEditor', scene => {scene.toggleLightEditor();}, 'Switch the light editor on or off');
+        def('swapHands', scene => mapper.setHandedness(mapper.handedness === 'left' ? 'right' : 'left'), 'Swap primary and secondary hands');
+        def('readoutTrackpad', (scene, c) => {
+            let t = c.buttons.trackpad;
+            Diagnostics.set('trackpad.angle', t.angle);
+            Diagnostics.set('trackpad.radius', t.radius);
+            Diagnostics.set('trackpad.sector', t.sector);
+            Diagnostics.set('trackpad.segment', t.segment);
+        }, 'Show the trackpad touchpoint in the diagnostics');
+        def('toggleDiagnostics', scene => {scene.toggleDiagnosticsPanel();}, 'Show or hide the in-world diagnostics panel');
+        def('captureControllerInfo', (scene, c) => {window.CONTROLLERINFO = c;}, 'Keep the button states in window.CONTROLLERINFO');
+        def('manipulate.grab', (scene, c, gesture) => {
+            if (scene.manipulator) scene.manipulator.grab(mapper.handIndex(gesture.hand));
+        }, 'Pick up whatever the hand is pointing at');
+        def('manipulate.release', (scene, c, gesture) => {
+            if (scene.manipulator) scene.manipulator.release(mapper.handIndex(gesture.hand));
+        }, 'Let go of whatever the hand is holding');
+        def('manipulate.toggleSnapping', scene => {
+            if (!scene.manipulator) return;
+            var on = !scene.manipulator.options.snapToFloor;
+            scene.manipulator.setSnapping({snapToFloor: on, grid: on ? 0.25 : null, snapAngle: on ? 15 : null});
+        }, 'Switch snapping to the floor and grid on or off');
+        /* These return true when there was a widget to press or let go of, so the trigger does nothing else */
+        def('ui.press', (scene, c, gesture) => !!scene.ui && scene.ui.press(mapper.handIndex(gesture.hand)),
+            'Press the widget the hand is pointing at');
+        def('ui.release', (scene, c, gesture) => !!scene.ui && scene.ui.release(mapper.handIndex(gesture.hand)),
+            'Let go of the widget the hand is pressing');
+        def('ui.toggleWristMenu', scene => {scene.toggleWristMenu();}, 'Show or hide the wrist menu');
+        def('gallery.next', scene => {
+            var show = Gallery.facing(scene, scene.galleries);
+            if (show) show.next();
+        }, 'Turn to the next page of the gallery being looked at');
+        def('gallery.previous', scene => {
+            var show = Gallery.facing(scene, scene.galleries);
+            if (show) show.previous();
+        }, 'Turn back a page in the gallery being looked at');
+        def('lightEditor.grab', scene => editor(scene, ed => ed.grab()), 'Select (and start dragging) the lamp being pointed at');
+        def('lightEditor.release', scene => editor(scene, ed => ed.release()), 'Stop dragging');
+        def('lightEditor.padPressed', (scene, c) => editor(scene, ed => ed.padPressed(c.buttons.trackpad)), 'Adjust the selected light');
+        def('lightEditor.padReleased', scene => editor(scene, ed => ed.padReleased()), 'Stop adjusting');
+        return mapper;
+    }
+
+    return {
+        Mapper: Mapper,
+        defineStandardActions: defineStandardActions,
+        BUTTONS: BUTTONS,
+        defaults: defaults
+    };
+})();
@@ -0,0 +1,317 @@
+
+/*
+The light editor lets you rearrange the scene's lights from inside VR.
+
+While it's active every light in scene.lights is shown as a lamp cube in its diffuse colour (lights that are switched
+off are shown as small grey cubes). Then, with the pointing controller:
+- Point at a lamp and pull the trigger to select it. Keep the trigger held to drag the lamp around; it stays at the
+  same distance along the controller's ray. Pulling the trigger while pointing at nothing deselects.
+- Press the trackpad to adjust the selected light (hold it down to keep adjusting):
+    top / bottom        increase / decrease the current channel (intensity scales every colour, keeping its hue)
+    left / right        previous / next channel (intensity, diffuse r/g/b, ambient r/g/b)
+    centre              switch the light off or back on
+  The selected light, current channel and its value are shown in the diagnostics (lightEditor.* channels).
+
+Switching a light off puts null in its place in scene.lights, which the framework's lighting binds as "no light".
+Its definition is kept by the editor so it can be switched back on.
+
+exportJSON() gives the lights as {lightPool, lights}, in the same form as a scene description (see scenedesc.js).
+exportToClipboard() copies it to the clipboard; browsers only allow that from a click on the page, so index.html
+calls it from COPY LIGHTS, under the canvas.
+
+The trackpad commands are looked up by sector (see makeButtonHandler in scene.js). The default sectorCommands assume
+the usual 12 sectors, numbered anticlockwise from the +X (right-hand) side of the trackpad; supply your own list to
+the constructor if yours differ.
+*/
+
+window.LightEditor = (function () {
+    "use strict";
+
+    var CHANNELS = ['intensity', 'diffuse.r', 'diffuse.g', 'diffuse.b', 'ambient.r', 'ambient.g', 'ambient.b'];
+
+    var defaults = {
+        gamepadIndex: 0,
+        lampSize: 0.3,
+        pickRadius: 0.25,           /* how close the ray must pass to a lamp's centre to pick it */
+        adjustRate: 0.5,            /* per second, while the trackpad is held */
+        centerRadius: 0.35,         /* touches nearer the centre of the trackpad than this count as the centre */
+        sectorCommands: ['next', null, 'increase', 'increase', null, 'previous', 'previous', null, 'decrease', 'decrease', null, 'next']
+    };
+
+    var clamp01 = v => Math.max(0, Math.min(1, v));
+    var componentIdx = {r: 0, g: 1, b: 2};
+    /* Brighten or dim a colour by moving its brightest channel by amount, and the others in proportion. */
+    /* Black has no hue to keep, so it brightens to grey. */
+    var scaleColor = (rgb, amount) => {
+        var brightest = Math.max.apply(null, rgb);
+        if (brightest === 0) return rgb.map(() => clamp01(amount));
+        var factor = clamp01(brightest + amount) / brightest;
+        return rgb.map(v => v * factor);
+    };
+
+    function Editor(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        this.active = false;
+        this.switchedOff = {};      /* light index -> definition, for lights that are switched off */
+        this.selected = null;       /* light index */
+        this.hovered = null;
+        this.dragDistance = null;
+        this.command = null;        /* trackpad command in progress */
+        this.hidingLamps = false;
+        this.channel = 0;
+        this.lamps = [];
+        this.marker = null;
+        this.lastTime = null;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    /* The definition of light i, whether it's on or off */
+    Editor.prototype.lightAt = function (i) {
+        return this.scene.lights[i] || this.switchedOff[i] || null;
+    }
+
+    Editor.prototype.setActive = function (state) {
+        state = state === undefined ? !this.active : !!state;
+        if (state === this.active) return state;
+        this.active = state;
+        if (state) {
+            /* The editor shows its own lamps, so hide the debug ones. That's for us alone, so while hidingLamps */
+            /* is set a shared session (see presence.js) doesn't pass it on. */
+            this.hidingLamps = true;
+            try {
+                this.scene.switchLights(false);
+            }
+            finally {
+                this.hidingLamps = false;
+            }
+            this.rebuildLamps();
+        }
+        else {
+            this.selected = this.hovered = this.dragDistance = this.command = null;
+            this.scene.removeObjectsInGroup('lightEditor');
+            this.lamps = [];
+            this.marker = null;
+        }
+        return state;
+    }
+
+    Editor.prototype.rebuildLamps = function () {
+        var scene = this.scene, size = this.options.lampSize;
+        scene.removeObjectsInGroup('lightEditor');
+        this.lamps = [];
+        for (var i=0; i<scene.lights.length; i++) {
+            var light = this.lightAt(i);
+            if (!(light && light.position)) {
+                this.lamps.push(null);
+                continue;
+            }
+            var on = !!scene.lights[i];
+            var color = (on && light.diffuse) ? light.diffuse : [0.4, 0.4, 0.4];
+            var s = on ? size : size/2;
+            var lamp = new FCShapes.SimpleCuboid(
+                {x:light.position[0], y:light.position[1], z:light.position[2]},
+                {w:s, h:s, d:s},
+                null, {texture:scene.addTextureFromColor({r:color[0], g:color[1], b:color[2]}), shaderLabel:'basic', groupLabel:'lightEditor'}
+            );
+            this.lamps.push(lamp);
+            scene.addObject(lamp);
+        }
+        this.marker = new FCShapes.SimpleCuboid(
+            {x:0, y:-10, z:0}, {w:0.08, h:0.08, d:0.08},
+            null, {texture:scene.addTextureFromColor({r:1, g:1, b:1}), shaderLabel:'basic', groupLabel:'lightEditor'}
+        );
+        scene.addObject(this.marker);
+    }
+
+    /* Index of the light whose lamp the controller is pointing at, or null */
+    Editor.prototype.pick = function (ctrl) {
+        var fwd = VRPose.forward(ctrl.orientation);
+        var best = null, bestT = Infinity;
+        for (var i=0; i<this.scene.lights.length; i++) {
+            var light = this.lightAt(i);
+            if (!(light && light.position)) continue;
+            var toLamp = vec3.sub(vec3.create(), light.position.slice(0, 3), ctrl.position);
+            var t = vec3.dot(toLamp, fwd);
+            if (t < 0) continue;
+            var missSq = vec3.squaredLength(toLamp) - t*t;
+            if (missSq <= this.options.pickRadius*this.options.pickRadius && t < bestT) {
+                best = i;
+                bestT = t;
+            }
+        }
+        return best;
+    }
+
+    /* === Button actions; see buttonBindings() === */
+
+    Editor.prototype.grab = function () {
+        var ctrl = VRPose.controller(this.scene, this.options.gamepadIndex);
+        this.selected = ctrl ? this.pick(ctrl) : null;
+        if (this.selected === null) return;
+        var pos = this.lightAt(this.selected).position;
+        this.dragDistance = vec3.distance(pos.slice(0, 3), ctrl.position);
+        this.showChannel();
+    }
+
+    Editor.prototype.release = function () {
+        this.dragDistance = null;
+    }
+
+    Editor.prototype.padPressed = function (trackpad) {
+        if (this.selected === null) return;
+        var command = trackpad.radius < this.options.centerRadius ? 'toggle' : this.options.sectorCommands[trackpad.sector];
+        if (command === 'toggle') this.toggle(this.selected);
+        else if (command === 'next') this.channel = (this.channel + 1) % CHANNELS.length;
+        else if (command === 'previous') this.channel = (this.channel + CHANNELS.length - 1) % CHANNELS.length;
+        else this.command = command;
+        this.showChannel();
+    }
+
+    Editor.prototype.padReleased = function () {
+        if (this.command) this.rebuildLamps();
+        this.command = null;
+    }
+
+    /* For makeButtonHandler; everything is ignored while the editor isn't active */
+    Editor.prototype.buttonBindings = function () {
+        var ed = this;
+        return [
+            {trigger: c => ed.active && c.buttons.trigger.pressed, action: c => ed.grab()},
+            {trigger: c => ed.active && c.buttons.trigger.released, action: c => ed.release()},
+            {trigger: c => ed.active && c.buttons.trackpad.pressed, action: c => ed.padPressed(c.buttons.trackpad)},
+            {trigger: c => ed.active && c.buttons.trackpad.released, action: c => ed.padReleased()}
+        ];
+    }
+
+    /* === Editing === */
+
+    Editor.prototype.toggle = function (i) {
+        var scene = this.scene;
+        if (scene.lights[i]) {
+            this.switchedOff[i] = scene.lights[i];
+            scene.lights[i] = null;
+        }
+        else if (this.switchedOff[i]) {
+            scene.lights[i] = this.switchedOff[i];
+            delete this.switchedOff[i];
+        }
+        scene.updateLighting();
+        if (this.active) this.rebuildLamps();
+    }
+
+    Editor.prototype.adjust = function (i, amount) {
+        var light = this.lightAt(i);
+        var channel = CHANNELS[this.channel];
+        if (channel === 'intensity') {
+            ['diffuse', 'ambient'].forEach(k => {
+                if (light[k]) light[k] = scaleColor(light[k], amount);
+            });
+        }
+        else {
+            var parts = channel.split('.');
+            light[parts[0]] = light[parts[0]] || [0, 0, 0];
+            light[parts[0]][componentIdx[parts[1]]] = clamp01(light[parts[0]][componentIdx[parts[1]]] + amount);
+        }
+        if (this.scene.lights[i]) this.scene.updateLighting();
+    }
+
+    Editor.prototype.moveTo = function (i, pos) {
+        var light = this.lightAt(i);
+        light.position[0] = pos[0];
+        light.position[1] = pos[1];
+        light.position[2] = pos[2];
+        var lamp = this.lamps[i];
+        if (lamp) {
+            lamp.pos.x = pos[0];
+            lamp.pos.y = pos[1];
+            lamp.pos.z = pos[2];
+        }
+        if (this.scene.lights[i]) this.scene.updateLighting();
+    }
+
+    Editor.prototype.showChannel = function () {
+        if (this.selected === null) return;
+        var light = this.lightAt(this.selected);
+        var channel = CHANNELS[this.channel];
+        var value = channel === 'intensity'
+            ? Math.max.apply(null, (light.diffuse || [0]).concat(light.ambient || [0]))
+            : (light[channel.split('.')[0]] || [0, 0, 0])[componentIdx[channel.split('.')[1]]];
+        Diagnostics.set('lightEditor.light', `${this.selected}${this.scene.lights[this.selected] ? '' : ' (off)'}`);
+        Diagnostics.set('lightEditor.channel', channel);
+        Diagnostics.set('lightEditor.value', value);
+    }
+
+    Editor.prototype.update = function (timePoint) {
+        var dt = this.lastTime === null ? 0 : (timePoint - this.lastTime) / 1000;
+        this.lastTime = timePoint;
+        if (!this.active) return;
+        var ctrl = VRPose.controller(this.scene, this.options.gamepadIndex);
+        if (!ctrl) return;
+
+        if (this.selected !== null && this.dragDistance !== null) {
+            var fwd = VRPose.forward(ctrl.orientation);
+            this.moveTo(this.selected, vec3.scaleAndAdd(vec3.create(), ctrl.position, fwd, this.dragDistance));
+        }
+        if (this.selected !== null && this.command) {
+            var amount = this.options.adjustRate * dt * (this.command === 'increase' ? 1 : -1);
+            this.adjust(this.selected, amount);
+            this.showChannel();
+        }
+
+        /* Spin the hovered lamp and float the marker over the selected one */
+        this.hovered = this.pick(ctrl);
+        var spin = Math.PI*2*(timePoint/2000);
+        this.lamps.forEach((lamp, i) => {
+            if (lamp) lamp.currentOrientation = {x:0, y:(i === this.hovered ? spin : 0), z:0};
+        });
+        var sel = this.selected !== null && this.lightAt(this.selected);
+        if (this.marker) {
+            this.marker.hidden = !sel;
+            if (sel) {
+                this.marker.pos.x = sel.position[0];
+                this.marker.pos.y = sel.position[1] + this.options.lampSize;
+                this.marker.pos.z = sel.position[2];
+            }
+        }
+    }
+
+    /* === Export === */
+
+    /* Lights that came from scene.lightPool keep their names, the rest are named by position */
+    Editor.prototype.toDescription = function () {
+        var scene = this.scene;
+        var pool = scene.lightPool || {};
+        var poolNames = Object.keys(pool);
+        var out = {lightPool: {}, lights: []};
+        for (var i=0; i<scene.lights.length; i++) {
+            var light = this.lightAt(i);
+            if (!light) {
+                out.lights.push(null);
+                continue;
+            }
+            var name = poolNames.find(n => pool[n] === light) || `light${i}`;
+            out.lightPool[name] = JSON.parse(JSON.stringify(light));
+            out.lights.push(scene.lights[i] ? name : null);
+        }
+        return out;
+    }
+
+    Editor.prototype.exportJSON = function () {
+        return JSON.stringify(this.toDescription(), null, 4);
+    }
+
+    /* Resolves with the JSON once it's on the clipboard. Has to be called from a click or key press. */
+    Editor.prototype.exportToClipboard = function () {
+        var json = this.exportJSON();
+        if (!(navigator.clipboard && navigator.clipboard.writeText)) return Promise.reject(new Error(`This browser can't copy to the clipboard`));
+        return navigator.clipboard.writeText(json)
+        .then(() => json, err => {throw new Error(`Couldn't copy the light setup to the clipboard (${err.message})`);});
+    }
+
+    return {
+        Editor: Editor,
+        CHANNELS: CHANNELS,
+        defaults: defaults
+    };
+})();
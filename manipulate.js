@@ -0,0 +1,491 @@
+
+/*
+Picking up and moving things.
+
+Out of the box the only collider a component provides is the floor's planar one, so a controller's ray can't hit
+anything else. This adds bounding-box colliders: after Manipulate.instrumentLibrary(library), every component made
+from that library answers getCollider('bounds') with a box fitted to it. Boxes are worked out per component:
+    shape       from draw.size (cuboids, and partitions as a thin slab)
+    glyphtext   from the positions of its glyphs, or estimated from the length of the text until they're built
+    picboard    from draw.size {width, height}, or a 1m square
+    urlmesh     from the mesh's vertices, if the drawable has them, or a 1m cube
+Anything else gets a 1m cube. Give a component a "bounds": {min: [x, y, z], max: [x, y, z]} in its config to set
+its box yourself (in its own coordinates, before scaling), and register providers for your own components in
+Manipulate.boundsProviders.
+
+The framework's ray projector only knows its own colliders, so use Manipulate.makeRayProjector in its place when
+there are bounds colliders in the list. A bounds collider's callback gets {hit, collisionPoint, distance, component,
+gamepadIndex} every frame, with hit false when the ray misses it. For bounds colliders that come and go, pass a
+function returning the current list instead of the list itself.
+
+A Manipulator lets the player grab components with either controller:
+- pull the trigger while pointing at something to pick it up; it's carried along with the controller as if held
+  on the end of the ray
+- grab it with the other hand as well to rotate it (by moving the hands around each other) and scale it (by moving
+  them apart or together)
+- let go, and it's snapped to the floor (if it's close), to the grid and to the nearest snapAngle of yaw, if those
+  are switched on
+Whatever each hand is pointing at is outlined by corner markers, yellow while pointing and cyan while held.
+
+Usage:
+    scene.manipulator = new Manipulate.Manipulator(scene, {snapToFloor: true, grid: 0.25});
+    scene.manipulator.add(someComponent);
+attach scene.manipulator.behavior to any one object, and bind manipulate.grab / manipulate.release (see inputmap.js)
+to the trigger on both hands. Nothing can be grabbed with the light editor's hand while the editor is on, or with
+a hand that's pointing at a widget (see ui.js).
+
+Drawables are assumed to be placed as position + rotation (currentOrientation, applied X then Y then Z) + a uniform
+scale, kept in drawable.scale.
+*/
+
+window.Manipulate = (function () {
+    "use strict";
+
+    var defaults = {
+        maxDistance: 10,            /* how far the ray reaches */
+        minScale: 0.1,
+        maxScale: 10,
+        snapToFloor: false,
+        floorHeight: 0,
+        floorSnapDistance: 0.25,    /* only snap to the floor when let go of this close to it */
+        grid: null,                 /* metres, or null for no grid */
+        snapAngle: null,            /* degrees of yaw, or null */
+        hoverColor: {r:1, g:0.85, b:0.1},
+        grabColor: {r:0.1, g:0.85, b:1},
+        markerSize: 0.04
+    };
+
+
+    /* === Orientation === */
+
+    /* The framework gives orientations as Euler angles {x, y, z}; grabbing is done with quaternions */
+    var eulerToQuat = e => {
+        var q = quat.create();
+        quat.rotateX(q, q, e.x || 0);
+        quat.rotateY(q, q, e.y || 0);
+        quat.rotateZ(q, q, e.z || 0);
+        return q;
+    }
+
+    var quatToEuler = q => {
+        var m = mat3.fromQuat(mat3.create(), q);
+        var sy = Math.max(-1, Math.min(1, m[6]));
+        if (Math.abs(sy) > 0.9999) {
+            return {x: Math.atan2(m[5], m[4]), y: Math.asin(sy), z: 0};
+        }
+        return {x: Math.atan2(-m[7], m[8]), y: Math.asin(sy), z: Math.atan2(-m[3], m[0])};
+    }
+
+    var getScale = d => {
+        var s = d.scale;
+        if (typeof s === 'number') return s;
+        return (s && typeof s.x === 'number') ? s.x : 1;
+    }
+
+    var setScale = (d, s) => {
+        if (d.scale && typeof d.scale === 'object') {
+            d.scale.x = d.scale.y = d.scale.z = s;
+        }
+        else {
+            d.scale = s;
+        }
+    }
+
+    var posOf = d => [d.pos.x, d.pos.y, d.pos.z];
+    var place = (d, p) => {
+        d.pos.x = p[0];
+        d.pos.y = p[1];
+        d.pos.z = p[2];
+    }
+
+
+    /* === Bounds === */
+
+    var box = (min, max) => ({min: min, max: max});
+    var centredBox = (w, h, d) => box([-w/2, -h/2, -d/2], [w/2, h/2, d/2]);
+    var unitBox = () => centredBox(1, 1, 1);
+
+    /* Providers are (component, cfg) => {min, max} in the component's own coordinates. They're asked afresh */
+    /* each time, as some (glyphtext, urlmesh) can only do better once the component has been built. */
+    var boundsProviders = {
+        shape: (inst, cfg) => {
+            var size = (cfg.draw && cfg.draw.size) || {};
+            if (size.minX !== undefined) {
+                return box([size.minX, size.minY, -0.01], [size.maxX, size.maxY, 0.01]);
+            }
+            if (size.width !== undefined) return centredBox(size.width, size.height, size.depth);
+            if (size.radius !== undefined) return centredBox(2*size.radius, 2*size.radius, 2*size.radius);
+            return unitBox();
+        },
+        glyphtext: (inst, cfg) => {
+            var glyphs = (inst.drawable && inst.drawable.children) || [];
+            if (glyphs.length) {
+                var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+                glyphs.forEach(g => {
+                    var p = posOf(g);
+                    vec3.min(min, min, p);
+                    vec3.max(max, max, p);
+                });
+                /* Glyph positions are their origins, so pad by about a glyph */
+                return box([min[0] - 0.02, min[1] - 0.02, min[2] - 0.02], [max[0] + 0.12, max[1] + 0.18, max[2] + 0.02]);
+            }
+            var text = (cfg.input && cfg.input.text) || '';
+            return box([0, 0, -0.02], [Math.max(1, text.length)*0.1, 0.18, 0.02]);
+        },
+        picboard: (inst, cfg) => {
+            var size = (cfg.draw && cfg.draw.size) || {width: 1, height: 1};
+            return centredBox(size.width, size.height, 0.02);
+        },
+        urlmesh: (inst, cfg) => {
+            var mesh = inst.drawable && inst.drawable.mesh;
+            var verts = mesh && mesh.vertices;
+            if (!(verts && verts.length >= 3)) return unitBox();
+            var min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+            for (var i=0; i+2<verts.length; i+=3) {
+                for (var k=0; k<3; k++) {
+                    min[k] = Math.min(min[k], verts[i+k]);
+                    max[k] = Math.max(max[k], verts[i+k]);
+                }
+            }
+            return box(min, max);
+        }
+    };
+
+    var registerBoundsProvider = function (componentName, fn) {
+        boundsProviders[componentName] = fn;
+    }
+
+    /*  A box around a component, which moves, turns and scales with its drawable.
+        boundsFn () => {min, max} gives the box in the drawable's own coordinates.
+    */
+    function BoundsCollider(component, boundsFn) {
+        this.type = 'bounds';
+        this.component = component;
+        this.label = null;
+        this.boundsFn = boundsFn;
+        this.callback = null;
+    }
+
+    BoundsCollider.prototype.localBox = function () {
+        return this.boundsFn();
+    }
+
+    /* Distance along the ray (origin, normalised dir) to where it enters the box, or null if it misses */
+    BoundsCollider.prototype.intersect = function (origin, dir) {
+        var d = this.component.drawable;
+        if (!d || d.hidden) return null;
+        var b = this.localBox();
+        var s = getScale(d) || 1;
+        var inv = quat.invert(quat.create(), eulerToQuat(d.currentOrientation || {}));
+        /* Into the box's own coordinates; dir isn't renormalised, so distances along it stay in world units */
+        var o = vec3.scale(vec3.create(), vec3.transformQuat(vec3.create(), vec3.sub(vec3.create(), origin, posOf(d)), inv), 1/s);
+        var v = vec3.scale(vec3.create(), vec3.transformQuat(vec3.create(), dir, inv), 1/s);
+        var tNear = -Infinity, tFar = Infinity;
+        for (var k=0; k<3; k++) {
+            if (Math.abs(v[k]) < 1e-9) {
+                if (o[k] < b.min[k] || o[k] > b.max[k]) return null;
+                continue;
+            }
+            var t1 = (b.min[k] - o[k]) / v[k], t2 = (b.max[k] - o[k]) / v[k];
+            tNear = Math.max(tNear, Math.min(t1, t2));
+            tFar = Math.min(tFar, Math.max(t1, t2));
+        }
+        if (tNear > tFar || tFar < 0) return null;
+        return Math.max(0, tNear);
+    }
+
+    /* The eight corners of the box, in world coordinates */
+    BoundsCollider.prototype.corners = function () {
+        var d = this.component.drawable;
+        var b = this.localBox();
+        var s = getScale(d) || 1;
+        var q = eulerToQuat(d.currentOrientation || {});
+        var out = [];
+        [0, 1].forEach(i => [0, 1].forEach(j => [0, 1].forEach(k => {
+            var local = [(i ? b.max : b.min)[0]*s, (j ? b.max : b.min)[1]*s, (k ? b.max : b.min)[2]*s];
+            out.push(vec3.add(vec3.create(), posOf(d), vec3.transformQuat(vec3.create(), local, q)));
+        })));
+        return out;
+    }
+
+    /* Give every component the library makes from now on a getCollider('bounds') */
+    var instrumentLibrary = function (library) {
+        var makeFactory = library.new.bind(library);
+        library.new = function (componentName) {
+            var factory = makeFactory(componentName);
+            return function (cfg) {
+                var inst = factory(cfg);
+                if (!inst) return inst;
+                var provider = boundsProviders[componentName] || (() => unitBox());
+                var getCollider = typeof inst.getCollider === 'function' ? inst.getCollider.bind(inst) : null;
+                var collider = null;
+                inst.getCollider = function (type) {
+                    if (type !== 'bounds') return getCollider ? getCollider.apply(null, arguments) : null;
+                    if (!collider) {
+                        collider = new BoundsCollider(inst, () => (cfg && cfg.bounds) || provider(inst, cfg || {}));
+                        collider.label = (cfg && cfg.label) || componentName;
+                    }
+                    return collider;
+                };
+                return inst;
+            };
+        };
+        return library;
+    }
+
+    /* The nearest of colliders hit by the ray, as {collider, distance}, or null */
+    var pickNearest = (colliders, origin, dir, maxDistance) => colliders.reduce((best, collider) => {
+        var t = collider.intersect(origin, dir);
+        return (t !== null && t <= maxDistance && (!best || t < best.distance)) ? {collider: collider, distance: t} : best;
+    }, null);
+
+    /*  A stand-in for the controller's makeRayProjector that understands bounds colliders as well. Colliders of the
+        framework's own kinds are handed to its ray projector, made with $ctrl. Each bounds collider's callback is
+        called every frame; only the nearest one that's hit is told it was hit.
+    */
+    var makeRayProjector = function (scene, gamepadIndex, colliders, $ctrl) {
+        var live = typeof colliders === 'function';
+        var ours = live ? [] : colliders.filter(c => c instanceof BoundsCollider);
+        var theirs = live ? [] : colliders.filter(c => !(c instanceof BoundsCollider));
+        var framework = (theirs.length && $ctrl) ? $ctrl.makeRayProjector(scene, gamepadIndex, theirs) : null;
+        return function (drawable, timePoint) {
+            if (framework) framework.apply(this, arguments);
+            var ctrl = VRPose.controller(scene, gamepadIndex);
+            if (!ctrl) return;
+            if (live) ours = colliders();
+            var dir = VRPose.forward(ctrl.orientation);
+            var nearest = pickNearest(ours, ctrl.position, dir, Infinity);
+            ours.forEach(c => {
+                if (!c.callback) return;
+                var hit = nearest && nearest.collider === c;
+                c.callback({
+                    hit: !!hit,
+                    collisionPoint: hit ? vec3.scaleAndAdd(vec3.create(), ctrl.position, dir, nearest.distance) : null,
+                    distance: hit ? nearest.distance : null,
+                    component: c.component,
+                    gamepadIndex: gamepadIndex
+                });
+            });
+        };
+    }
+
+
+    /* === Manipulator === */
+
+    var newHand = () => ({hover: null, held: null, offsetPos: null, offsetRot: null});
+
+    function Manipulator(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        this.colliders = [];
+        this.hands = [newHand(), newHand()];
+        this.twoHanded = null;      /* the state of a two-handed grab */
+        this.markers = null;        /* [hand][hover/grab] -> 8 corner cubes */
+        this.listeners = {grab: [], release: []};
+        this.lastTime = null;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    /* Make a component grabbable. It must come from an instrumented library, or you can pass a collider. */
+    Manipulator.prototype.add = function (componentOrCollider) {
+        var collider = componentOrCollider instanceof BoundsCollider ? componentOrCollider : componentOrCollider.getCollider('bounds');
+        if (!collider) throw new Error(`Can't manipulate ${componentOrCollider.label || 'component'}: it has no bounds collider`);
+        if (this.colliders.indexOf(collider) < 0) this.colliders.push(collider);
+        return collider;
+    }
+
+    Manipulator.prototype.remove = function (component) {
+        this.hands.forEach((h, i) => {
+            if (h.held && h.held.component === component) this.release(i);
+        });
+        this.colliders = this.colliders.filter(c => c.component !== component);
+    }
+
+    /* fn(component, handIndex) */
+    Manipulator.prototype.on = function (event, fn) {
+        this.listeners[event].push(fn);
+    }
+
+    Manipulator.prototype.fire = function (event, component, handIndex) {
+        this.listeners[event].forEach(fn => fn(component, handIndex));
+    }
+
+    /* The light editor has the trigger on its own hand while it's on */
+    Manipulator.prototype.handBusy = function (handIndex) {
+        var ed = this.scene.lightEditor, ui = this.scene.ui;
+        return !!(ed && ed.active && ed.options.gamepadIndex === handIndex) || !!(ui && ui.pointing(handIndex));
+    }
+
+    /* Remember where the held object is relative to the controller */
+    Manipulator.prototype.holdWith = function (handIndex, collider) {
+        var h = this.hands[handIndex];
+        var ctrl = VRPose.controller(this.scene, handIndex);
+        if (!ctrl) return false;
+        var d = collider.component.drawable;
+        var inv = quat.invert(quat.create(), ctrl.orientation);
+        h.held = collider;
+        h.offsetPos = vec3.transformQuat(vec3.create(), vec3.sub(vec3.create(), posOf(d), ctrl.position), inv);
+        h.offsetRot = quat.multiply(quat.create(), inv, eulerToQuat(d.currentOrientation || {}));
+        return true;
+    }
+
+    Manipulator.prototype.startTwoHanded = function (collider) {
+        var a = VRPose.controller(this.scene, 0), b = VRPose.controller(this.scene, 1);
+        if (!(a && b)) return;
+        var d = collider.component.drawable;
+        var mid = vec3.lerp(vec3.create(), a.position, b.position, 0.5);
+        var between = vec3.sub(vec3.create(), b.position, a.position);
+        this.twoHanded = {
+            collider: collider,
+            distance: Math.max(0.01, vec3.length(between)),
+            direction: vec3.normalize(vec3.create(), between),
+            scale: getScale(d),
+            rotation: eulerToQuat(d.currentOrientation || {}),
+            offset: vec3.sub(vec3.create(), posOf(d), mid)
+        };
+    }
+
+    Manipulator.prototype.grab = function (handIndex) {
+        var h = this.hands[handIndex];
+        if (h.held || !h.hover || this.handBusy(handIndex)) return;
+        var collider = h.hover.collider;
+        var other = this.hands[1 - handIndex];
+        if (!this.holdWith(handIndex, collider)) return;
+        if (other.held === collider) this.startTwoHanded(collider);
+        else this.fire('grab', collider.component, handIndex);
+    }
+
+    Manipulator.prototype.release = function (handIndex) {
+        var h = this.hands[handIndex];
+        var collider = h.held;
+        if (!collider) return;
+        h.held = h.offsetPos = h.offsetRot = null;
+        if (this.twoHanded && this.twoHanded.collider === collider) {
+            /* Carry on with the other hand from wherever the object is now */
+            this.twoHanded = null;
+            this.holdWith(1 - handIndex, collider);
+            return;
+        }
+        this.snap(collider);
+        this.fire('release', collider.component, handIndex);
+    }
+
+    /* Snap a grabbed thing into place according to the options */
+    Manipulator.prototype.snap = function (collider) {
+        var opts = this.options, d = collider.component.drawable;
+        if (opts.snapAngle) {
+            var e = d.currentOrientation || {x: 0, y: 0, z: 0};
+            var step = opts.snapAngle * Math.PI/180;
+            d.currentOrientation = {x: e.x, y: Math.round(e.y/step)*step, z: e.z};
+        }
+        if (opts.grid) {
+            d.pos.x = Math.round(d.pos.x/opts.grid)*opts.grid;
+            d.pos.z = Math.round(d.pos.z/opts.grid)*opts.grid;
+        }
+        if (opts.snapToFloor) {
+            var bottom = Math.min.apply(null, collider.corners().map(c => c[1]));
+            if (Math.abs(bottom - opts.floorHeight) <= opts.floorSnapDistance) d.pos.y += opts.floorHeight - bottom;
+        }
+    }
+
+    Manipulator.prototype.setSnapping = function (settings) {
+        ['snapToFloor', 'grid', 'snapAngle'].forEach(k => {
+            if (settings[k] !== undefined) this.options[k] = settings[k];
+        });
+    }
+
+    Manipulator.prototype.carry = function (handIndex) {
+        var h = this.hands[handIndex];
+        var ctrl = VRPose.controller(this.scene, handIndex);
+        if (!ctrl) return;
+        var d = h.held.component.drawable;
+        place(d, vec3.add(vec3.create(), ctrl.position, vec3.transformQuat(vec3.create(), h.offsetPos, ctrl.orientation)));
+        d.currentOrientation = quatToEuler(quat.multiply(quat.create(), ctrl.orientation, h.offsetRot));
+    }
+
+    /*  Turning the line between the hands turns the object, and the change in the distance between them scales it.
+        (Twisting both hands about that line does nothing; there's no way to tell it from the hands' own roll.)
+    */
+    Manipulator.prototype.carryTwoHanded = function () {
+        var th = this.twoHanded, opts = this.options;
+        var a = VRPose.controller(this.scene, 0), b = VRPose.controller(this.scene, 1);
+        if (!(a && b)) return;
+        var d = th.collider.component.drawable;
+        var between = vec3.sub(vec3.create(), b.position, a.position);
+        var ratio = vec3.length(between) / th.distance;
+        var scale = Math.max(opts.minScale, Math.min(opts.maxScale, th.scale * ratio));
+        ratio = scale / th.scale;
+        var turn = quat.rotationTo(quat.create(), th.direction, vec3.normalize(vec3.create(), between));
+        var mid = vec3.lerp(vec3.create(), a.position, b.position, 0.5);
+        var offset = vec3.scale(vec3.create(), vec3.transformQuat(vec3.create(), th.offset, turn), ratio);
+        place(d, vec3.add(vec3.create(), mid, offset));
+        d.currentOrientation = quatToEuler(quat.multiply(quat.create(), turn, th.rotation));
+        setScale(d, scale);
+    }
+
+    /* Built on first use, once the scene is running */
+    Manipulator.prototype.buildMarkers = function () {
+        var scene = this.scene, opts = this.options, s = opts.markerSize;
+        var textures = [scene.addTextureFromColor(opts.hoverColor), scene.addTextureFromColor(opts.grabColor)];
+        this.markers = [0, 1].map(() => textures.map(tex => {
+            var cubes = [];
+            for (var i=0; i<8; i++) {
+                var c = new FCShapes.SimpleCuboid({x:0, y:-10, z:0}, {w:s, h:s, d:s}, null, {texture:tex, shaderLabel:'basic', groupLabel:'manipulator'});
+                c.hidden = true;
+                scene.addObject(c);
+                cubes.push(c);
+            }
+            return cubes;
+        }));
+    }
+
+    Manipulator.prototype.showMarkers = function () {
+        this.hands.forEach((h, i) => {
+            var shown = [h.held ? null : (h.hover && h.hover.collider), h.held];
+            shown.forEach((collider, kind) => {
+                var cubes = this.markers[i][kind];
+                var corners = collider ? collider.corners() : null;
+                cubes.forEach((c, k) => {
+                    c.hidden = !corners;
+                    if (corners) place(c, corners[k]);
+                });
+            });
+        });
+    }
+
+    Manipulator.prototype.update = function (timePoint) {
+        /* It only needs running once a frame, wherever it's attached */
+        if (timePoint === this.lastTime) return;
+        this.lastTime = timePoint;
+        if (!this.markers) this.buildMarkers();
+        this.hands.forEach((h, i) => {
+            var ctrl = VRPose.controller(this.scene, i);
+            h.hover = (ctrl && !h.held && !this.handBusy(i))
+                ? pickNearest(this.colliders, ctrl.position, VRPose.forward(ctrl.orientation), this.options.maxDistance)
+                : null;
+        });
+        if (this.twoHanded) {
+            this.carryTwoHanded();
+        }
+        else {
+            this.hands.forEach((h, i) => {
+                if (h.held) this.carry(i);
+            });
+        }
+        this.showMarkers();
+        var held = this.hands.map(h => h.held && h.held.label).filter(l => l);
+        Diagnostics.set('manipulator.held', held.length ? held.join(', ') : '-');
+    }
+
+    return {
+        Manipulator: Manipulator,
+        BoundsCollider: BoundsCollider,
+        boundsProviders: boundsProviders,
+        registerBoundsProvider: registerBoundsProvider,
+        instrumentLibrary: instrumentLibrary,
+        makeRayProjector: makeRayProjector,
+        eulerToQuat: eulerToQuat,
+        quatToEuler: quatToEuler,
+        defaults: defaults
+    };
+})();
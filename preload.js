@@ -0,0 +1,305 @@
+
+/*
+Preload: a loading screen for the scene's prerequisites, and something better than a blank page when they fail.
+
+The framework loads everything in scene.prerequisites before setupScene, and if any of it fails the scene simply
+never appears. A Loader goes through the list first:
+- shaders       both halves of each are fetched
+- textures      each is loaded as an image
+- materials     are checked for textures and shaders that didn't load
+- components    are left to the framework, as only it knows where they live; they (and the materials, which it
+                builds) count as done when its loading finishes, and as failed if it goes wrong or takes longer than
+                loadTimeout
+Each fetch is given assetTimeout, and tried again up to retries times (retryDelay apart, doubling each time) before
+it counts as failed. The browser keeps what was fetched, so the framework doesn't fetch it all over again.
+
+Failures are reported through window.showError (index.html's error box), naming the asset's label and URL. With no
+fallback for a failure, the loader rejects with a PreloadError and the scene isn't started. If the framework's own
+loading fails, after the scene has been started, the failure is reported the same way and the scene is left
+waiting (rather than rejecting into the framework, where nothing would catch it); loader.on('stalled', fn) hears of
+it, with the PreloadError. Fallbacks are opt-in,
+through scene.prerequisiteFallbacks (or the "fallbacks" section of a scene description):
+    scene.prerequisiteFallbacks = {
+        textures: 'white',                      <- a colour name (see CARNIVAL's colors) for any texture that fails
+        shaders: {ads: 'basic', diffuse: 'basic'}   <- a shader to use in place of one that fails
+    };
+A failed texture is taken out of the prerequisites, materials that used it get the colour instead, and once the
+framework has loaded the rest, scene.textures[label] is the flat colour. A failed shader is taken out too, its
+materials use the fallback, and scene.shaders[label] is the fallback shader, so drawables asking for it by label
+still draw. The failure is still reported, but the scene goes on.
+
+    Preload.check(scene, {screen: document.getElementById('loading-screen')}).then(scene => CARNIVAL.start());
+
+check() shows progress (per category: loaded, failed and replaced, out of how many) in the screen element if given,
+and hides it once the scene is set up. Listen with loader.on('progress' | 'failure', fn) to show it some other way.
+*/
+
+window.Preload = (function () {
+    "use strict";
+    var $$ = CARNIVAL;
+
+    var defaults = {
+        assetTimeout: 15000,        /* ms, for each shader or texture */
+        loadTimeout: 60000,         /* ms, for the framework to load everything */
+        retries: 2,
+        retryDelay: 1000,           /* ms, doubling with each retry */
+        fallbacks: null,            /* as scene.prerequisiteFallbacks, which is used if this isn't given */
+        screen: null,               /* an element to show progress in */
+        report: null                /* message => ..., window.showError by default */
+    };
+
+    var CATEGORIES = ['shaders', 'textures', 'materials', 'components'];
+
+    function PreloadError(message, failures) {
+        this.name = 'PreloadError';
+        this.message = message;
+        this.failures = failures || [];
+        this.stack = (new Error(message)).stack;
+    }
+    PreloadError.prototype = Object.create(Error.prototype);
+    PreloadError.prototype.constructor = PreloadError;
+
+    /* Rejects if the promise hasn't settled after ms milliseconds */
+    var withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+        let timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+        promise.then(
+            val => {clearTimeout(timer); resolve(val);},
+            err => {clearTimeout(timer); reject(err);}
+        );
+    });
+
+    var delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    var fetchText = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.text();
+    });
+
+    var loadImage = url => new Promise((resolve, reject) => {
+        var img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('could not be loaded'));
+        img.src = url;
+    });
+
+    var escape = s => String(s).replace(/[&<>"]/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[c]);
+
+
+    function Loader(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        this.fallbacks = Object.assign({textures: null, shaders: {}}, this.options.fallbacks || scene.prerequisiteFallbacks || {});
+        this.progress = {};
+        CATEGORIES.forEach(k => {
+            this.progress[k] = {total: ((scene.prerequisites || {})[k] || []).length, loaded: 0, failed: 0, replaced: 0};
+        });
+        this.failures = [];         /* {category, label, url, message, fallback} */
+        this.listeners = {progress: [], failure: [], stalled: []};
+    }
+
+    Loader.prototype.on = function (event, fn) {
+        this.listeners[event].push(fn);
+        return this;
+    }
+
+    Loader.prototype.emit = function (event, arg) {
+        this.listeners[event].forEach(fn => fn(arg, this));
+    }
+
+    Loader.prototype.count = function (category, outcome, n) {
+        this.progress[category][outcome] += n === undefined ? 1 : n;
+        this.emit('progress', this.progress);
+    }
+
+    /* Try an asset's loader, retrying with a growing delay, each try limited to assetTimeout */
+    Loader.prototype.attempt = function (load) {
+        var opts = this.options;
+        var tryFrom = (n, wait) => withTimeout(load(), opts.assetTimeout)
+            .catch(err => n < opts.retries ? delay(wait).then(() => tryFrom(n + 1, wait * 2)) : Promise.reject(err));
+        return tryFrom(0, opts.retryDelay);
+    }
+
+    Loader.prototype.fail = function (category, label, url, err, fallback) {
+        var failure = {category: category, label: label, url: url, message: err.message, fallback: fallback || null};
+        this.failures.push(failure);
+        this.count(category, fallback ? 'replaced' : 'failed');
+        this.emit('failure', failure);
+        return failure;
+    }
+
+    Loader.prototype.checkShaders = function () {
+        var fallbacks = this.fallbacks.shaders || {};
+        return Promise.all((this.scene.prerequisites.shaders || []).map(s => {
+            var urls = [s.srcVertexShader, s.srcFragmentShader];
+            return Promise.all(urls.map(url => this.attempt(() => fetchText(url)).catch(err => {
+                err.url = url;
+                throw err;
+            })))
+            .then(() => {
+                this.count('shaders', 'loaded');
+                return null;
+            }, err => this.fail('shaders', s.label, err.url, err, fallbacks[s.label]));
+        }))
+        .then(results => results.filter(f => f));
+    }
+
+    Loader.prototype.checkTextures = function () {
+        return Promise.all((this.scene.prerequisites.textures || []).map(t => this.attempt(() => loadImage(t.src))
+            .then(() => {
+                this.count('textures', 'loaded');
+                return null;
+            }, err => this.fail('textures', t.label, t.src, err, this.fallbacks.textures))))
+        .then(results => results.filter(f => f));
+    }
+
+    /*  Take what failed out of the prerequisites and point materials at the fallbacks instead. A shader's fallback
+        has to have loaded itself, or it's no use.
+    */
+    Loader.prototype.applyFallbacks = function (failures) {
+        var pre = this.scene.prerequisites;
+        var failed = (category, label) => failures.some(f => f.category === category && f.label === label);
+        var unusable = f => f.category === 'shaders'
+            ? !(pre.shaders || []).some(s => s.label === f.fallback) || failed('shaders', f.fallback)
+            : !$$.colors[f.fallback];
+        failures.filter(f => f.fallback && unusable(f)).forEach(f => {
+            f.message += ` (and its fallback, ${f.fallback}, isn't available)`;
+            f.fallback = null;
+            this.progress[f.category].replaced--;
+            this.progress[f.category].failed++;
+        });
+        this.emit('progress', this.progress);
+        var replaced = category => failures.filter(f => f.category === category && f.fallback);
+        var shaderFor = {}, colorFor = {};
+        replaced('shaders').forEach(f => {shaderFor[f.label] = f.fallback;});
+        replaced('textures').forEach(f => {colorFor[f.label] = f.fallback;});
+        pre.shaders = pre.shaders.filter(s => !(s.label in shaderFor));
+        pre.textures = pre.textures.filter(t => !(t.label in colorFor));
+        (pre.materials || []).forEach(m => {
+            if (m.shaderLabel in shaderFor) m.shaderLabel = shaderFor[m.shaderLabel];
+            if (m.textureLabel in colorFor) {
+                m.color = m.color || colorFor[m.textureLabel];
+                m.textureLabel = null;
+            }
+        });
+        this.replacements = {shaders: shaderFor, textures: colorFor};
+    }
+
+    /* Materials whose shader or texture failed with no fallback can't be built either */
+    Loader.prototype.checkMaterials = function (failures) {
+        var broken = {};
+        failures.filter(f => !f.fallback).forEach(f => {broken[`${f.category}:${f.label}`] = f;});
+        return (this.scene.prerequisites.materials || []).map(m => {
+            var cause = broken[`shaders:${m.shaderLabel}`] || broken[`textures:${m.textureLabel}`];
+            return cause ? this.fail('materials', m.label, null, new Error(`needs ${cause.label}, which failed`)) : null;
+        }).filter(f => f);
+    }
+
+    /* Once the framework has loaded everything else, put the fallbacks where the failed assets would have been */
+    Loader.prototype.installReplacements = function () {
+        var scene = this.scene, r = this.replacements || {shaders: {}, textures: {}};
+        Object.keys(r.shaders).forEach(label => {
+            if (scene.shaders) scene.shaders[label] = scene.shaders[r.shaders[label]];
+        });
+        Object.keys(r.textures).forEach(label => {
+            var color = $$.colors[r.textures[label]];
+            if (scene.textures && color) scene.textures[label] = color.asTexture();
+        });
+    }
+
+    /* Watch the framework's own loading, which is where components (and materials) succeed or fail */
+    Loader.prototype.watchFramework = function () {
+        var scene = this.scene, loader = this;
+        var original = scene.loadPrerequisites;
+        if (typeof original !== 'function') return;
+        scene.loadPrerequisites = function () {
+            var pending = ['materials', 'components'].map(k => ({k: k, n: loader.progress[k].total - loader.progress[k].failed}));
+            return withTimeout(Promise.resolve(original.apply(this, arguments)), loader.options.loadTimeout)
+            .then(result => {
+                pending.forEach(p => loader.count(p.k, 'loaded', p.n));
+                loader.installReplacements();
+                return result;
+            }, err => {
+                /* Which ones didn't make it isn't known, so they're all listed */
+                (scene.prerequisites.components || []).forEach(c => {
+                    loader.fail('components', c.localName, `${c.globalName} from ${(c.library && c.library.sourceURL) || 'its library'}`,
+                        new Error(`may not have loaded: ${err.message}`));
+                });
+                loader.report();
+                /* By now the page's own promise chain is long finished, so a rejection here would go unhandled. */
+                /* The failure has been reported; the scene is left waiting, and RETRY starts again. */
+                loader.emit('stalled', new PreloadError(`The scene's prerequisites didn't load (${err.message})`, loader.failures));
+                return new Promise(() => {});
+            });
+        };
+    }
+
+    Loader.prototype.describe = function (f) {
+        var what = `${f.category.replace(/s$/, '')} ${f.label}`;
+        return `${what}${f.url ? ' (' + f.url + ')' : ''}: ${f.message}${f.fallback ? ' - using ' + f.fallback + ' instead' : ''}`;
+    }
+
+    /* Pass every failure so far to showError, in one message */
+    Loader.prototype.report = function () {
+        if (!this.failures.length) return;
+        var lines = this.failures.map(f => this.describe(f));
+        lines.forEach(line => console.error(line));
+        var report = this.options.report || window.showError;
+        if (report) report(lines.map(escape).join('<br>'));
+    }
+
+    /* Check the shaders and textures, apply the fallbacks, and resolve with the scene once it's ready to start */
+    Loader.prototype.run = function () {
+        this.emit('progress', this.progress);
+        return Promise.all([this.checkShaders(), this.checkTextures()])
+        .then(results => {
+            var failures = results[0].concat(results[1]);
+            this.applyFallbacks(failures);
+            var fatal = failures.filter(f => !f.fallback).concat(this.checkMaterials(failures));
+            this.report();
+            if (fatal.length) throw new PreloadError(`${fatal.length} of the scene's prerequisites failed to load`, this.failures);
+            this.watchFramework();
+            return this.scene;
+        });
+    }
+
+
+    /* === The loading screen === */
+
+    /* Show the loader's progress in an element, one line per category */
+    var showProgress = function (loader, element) {
+        element.style.display = 'block';
+        var render = progress => {
+            element.innerHTML = '<p>Loading...</p>' + CATEGORIES.filter(k => progress[k].total).map(k => {
+                var p = progress[k];
+                var done = p.loaded + p.failed + p.replaced;
+                var extra = [p.failed ? `${p.failed} failed` : '', p.replaced ? `${p.replaced} replaced` : ''].filter(s => s).join(', ');
+                return `<div>${k} ${done}/${p.total}${extra ? ' (' + extra + ')' : ''}</div>`;
+            }).join('');
+        };
+        loader.on('progress', render);
+        render(loader.progress);
+    }
+
+    /* Run a Loader for the scene, showing progress in options.screen until the scene is set up */
+    var check = function (scene, options) {
+        var loader = new Loader(scene, options);
+        var screen = loader.options.screen;
+        if (screen) {
+            showProgress(loader, screen);
+            var hide = () => {screen.style.display = 'none';};
+            if (scene.setUp) scene.setUp.then(hide);
+        }
+        scene.preloader = loader;
+        return loader.run();
+    }
+
+    return {
+        Loader: Loader,
+        PreloadError: PreloadError,
+        check: check,
+        showProgress: showProgress,
+        CATEGORIES: CATEGORIES,
+        defaults: defaults
+    };
+})();
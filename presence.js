@@ -0,0 +1,438 @@
+
+/*
+Presence: see the other people in a shared session, and have them see you.
+
+A Session connects to the relay (server/relay.js) and, several times a second, sends where this player's head and
+hands are (the same poses the controller trackers follow - see vrpose.js) and where their play area is
+(scene.playerLocation). Everyone else in the room appears as an avatar: a head, a pair of vivecontroller hands and
+a glyphtext name tag that turns to face you.
+
+Remote poses arrive in bursts and out of step with our frames, so avatars are drawn a little in the past
+(interpolationDelay), smoothly interpolated between the poses either side of that moment. If the next pose is late,
+the avatar carries on in the direction it was going (dead reckoning) for up to maxExtrapolation, then waits.
+Teleports are never smoothed over: each pose carries a count of the player's teleports, and an avatar jumps
+straight across any change in it.
+
+These are shared as events, and the same thing happens for everyone:
+    teleport        (the avatar jumps; listen with session.on('teleport', fn))
+    switchLights    the debug lamps (scene.switchLights)
+    toggleLight     a light switched on or off in the light editor (see lighteditor.js)
+
+Usage:
+    scene.presence = new Presence.Session(scene, {library: $clib, name: 'alice', room: 'lobby'});
+    scene.presence.connect();
+and attach scene.presence.behavior to any one object. index.html does this when the page is opened with ?presence
+(or ?presence=ws://host:port/relay to use a relay other than the one that served the page), with &name= and &room=.
+*/
+
+window.Presence = (function () {
+    "use strict";
+    var $$ = CARNIVAL;
+
+    var defaults = {
+        url: null,                  /* defaults to /relay on the server the page came from */
+        room: 'lobby',
+        name: 'guest',
+        library: null,              /* a component library providing 'vivecontroller' and 'glyphtext' (required) */
+        sendRate: 20,               /* poses per second */
+        interpolationDelay: 120,    /* ms */
+        maxExtrapolation: 250,      /* ms */
+        reconnectDelay: 1000,       /* ms, doubling on every failure up to maxReconnectDelay */
+        maxReconnectDelay: 15000,
+        headColor: {r:0.9, g:0.75, b:0.6},
+        handColors: ['orange', 'white'],
+        fontTag: 'lato-bold'
+    };
+
+    var round = v => Math.round(v * 10000) / 10000;
+    var roundAll = a => Array.prototype.map.call(a, round);
+
+
+    /* === Interpolation === */
+
+    var lerpPart = (a, b, f) => (a && b) ? {
+        p: vec3.lerp(vec3.create(), a.p, b.p, f),
+        q: quat.slerp(quat.create(), a.q, b.q, f)
+    } : (f < 0.5 ? a : b);
+
+    var lerpPose = (a, b, f) => ({
+        head: lerpPart(a.head, b.head, f),
+        hands: [0, 1].map(i => lerpPart(a.hands[i], b.hands[i], f)),
+        player: vec3.lerp(vec3.create(), a.player, b.player, f)
+    });
+
+    /* Move everything in the pose on by (velocity * dt), keeping orientations as they were */
+    var extrapolatePart = (a, b, f) => (a && b) ? {p: vec3.lerp(vec3.create(), a.p, b.p, f), q: b.q} : b;
+
+    /* The poses received from one peer, timed by the peer's clock */
+    function Track() {
+        this.samples = [];          /* {t, jumps, pose}, oldest first */
+        this.offset = null;         /* our clock minus theirs, at its smallest (ie. with the least network delay) */
+    }
+
+    Track.prototype.push = function (t, jumps, pose, receivedAt) {
+        var offset = receivedAt - t;
+        this.offset = this.offset === null ? offset : Math.min(this.offset, offset);
+        var last = this.samples[this.samples.length - 1];
+        if (last && t <= last.t) return;
+        this.samples.push({t: t, jumps: jumps, pose: pose});
+        /* A second's worth is plenty */
+        while (this.samples.length > 2 && this.samples[1].t < t - 1000) this.samples.shift();
+    }
+
+    /* The pose at time t (on our clock, less the delay), or null if there's nothing to go on */
+    Track.prototype.at = function (now, delay, maxExtrapolation) {
+        var s = this.samples;
+        if (!s.length) return null;
+        var t = now - this.offset - delay;
+        if (t <= s[0].t) return s[0].pose;
+        for (var i=1; i<s.length; i++) {
+            if (t <= s[i].t) {
+                var a = s[i-1], b = s[i];
+                if (a.jumps !== b.jumps) return t < b.t ? a.pose : b.pose;
+                return lerpPose(a.pose, b.pose, (t - a.t) / (b.t - a.t));
+            }
+        }
+        var last = s[s.length - 1], prev = s[s.length - 2];
+        if (!prev || prev.jumps !== last.jumps) return last.pose;
+        var f = 1 + Math.min(t - last.t, maxExtrapolation) / (last.t - prev.t);
+        return {
+            head: extrapolatePart(prev.pose.head, last.pose.head, f),
+            hands: [0, 1].map(i => extrapolatePart(prev.pose.hands[i], last.pose.hands[i], f)),
+            player: vec3.lerp(vec3.create(), prev.pose.player, last.pose.player, f)
+        };
+    }
+
+
+    /* === Avatars === */
+
+    var colorTex = label => $$.colors[label].asTexture();
+    var place = (d, p) => {
+        d.pos.x = p[0];
+        d.pos.y = p[1];
+        d.pos.z = p[2];
+    }
+
+    function Avatar(session, id, name) {
+        this.session = session;
+        this.id = id;
+        this.group = `presence.${id}`;
+        this.name = null;
+        this.track = new Track();
+        this.head = null;
+        this.hands = [null, null];
+        this.nameTag = null;
+        this.nameGeneration = 0;
+        this.removed = false;
+        this.build();
+        this.setName(name);
+    }
+
+    Avatar.prototype.build = function () {
+        var scene = this.session.scene, opts = this.session.options;
+        this.head = new FCShapes.SimpleCuboid(
+            {x:0, y:-10, z:0}, {w:0.2, h:0.25, d:0.25},
+            null, {texture:scene.addTextureFromColor(opts.headColor), shaderLabel:'basic', groupLabel:this.group}
+        );
+        this.head.hidden = true;
+        scene.addObject(this.head);
+        [0, 1].forEach(i => {
+            var hand = opts.library.new('vivecontroller')({
+                label: `${this.group}.hand${i}`,
+                groupLabel: this.group,
+                transient: true,
+                behaviors: [],
+                /* Not tied to any of our own gamepads; the avatar moves it */
+                config: {mainTexture: colorTex(opts.handColors[i]), altTexture: colorTex('white'), gamepadIndex: null}
+            });
+            hand.prepare().then(c => {
+                if (this.removed) return;
+                c.drawable.hidden = true;
+                scene.addObject(c);
+                this.hands[i] = c;
+            });
+        });
+    }
+
+    /* Name tags are glyph text, which has to be rebuilt to change */
+    Avatar.prototype.setName = function (name) {
+        name = name || `guest ${this.id}`;
+        if (name === this.name) return;
+        this.name = name;
+        var scene = this.session.scene, opts = this.session.options;
+        var generation = ++this.nameGeneration;
+        var label = `${this.group}.name`;
+        opts.library.new('glyphtext')({
+            label: label,
+            groupLabel: label,
+            transient: true,
+            draw: {position: {x:0, y:-10, z:0}, orientation: {x:0, y:0, z:0}, color: 'white', scale: 0.5, groupLabel: label},
+            config: {fontTag: opts.fontTag},
+            input: {text: name}
+        }).prepare().then(c => {
+            if (this.removed || generation !== this.nameGeneration) return;
+            scene.removeObjectsInGroup(label);
+            scene.addObject(c);
+            this.nameTag = c;
+        });
+    }
+
+    Avatar.prototype.show = function (pose, viewer) {
+        var visible = !!(pose && pose.head);
+        this.head.hidden = !visible;
+        if (this.nameTag) this.nameTag.drawable.hidden = !visible;
+        this.hands.forEach((hand, i) => {
+            if (!hand) return;
+            var part = pose && pose.hands[i];
+            hand.drawable.hidden = !part;
+            if (!part) return;
+            place(hand.drawable, part.p);
+            hand.drawable.currentOrientation = Manipulate.quatToEuler(part.q);
+        });
+        if (!visible) return;
+        place(this.head, pose.head.p);
+        this.head.currentOrientation = Manipulate.quatToEuler(pose.head.q);
+        if (this.nameTag) {
+            var d = this.nameTag.drawable;
+            place(d, [pose.head.p[0], pose.head.p[1] + 0.3, pose.head.p[2]]);
+            /* Turn to face whoever's looking */
+            if (viewer) d.currentOrientation = {x: 0, y: Math.atan2(viewer[0] - pose.head.p[0], viewer[2] - pose.head.p[2]), z: 0};
+        }
+    }
+
+    Avatar.prototype.remove = function () {
+        this.removed = true;
+        this.session.scene.removeObjectsInGroup(this.group);
+        this.session.scene.removeObjectsInGroup(`${this.group}.name`);
+    }
+
+
+    /* === Session === */
+
+    function Session(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        if (!this.options.library) throw new Error('Presence needs a component library with vivecontroller and glyphtext');
+        this.socket = null;
+        this.status = 'closed';
+        this.id = null;
+        this.avatars = {};          /* peer id -> Avatar */
+        this.listeners = {};
+        this.jumps = 0;             /* how many times we've teleported */
+        this.wanted = false;        /* whether we should be connected */
+        this.retryDelay = this.options.reconnectDelay;
+        this.retryTimer = null;
+        this.lastSent = -Infinity;
+        this.lastTime = null;
+        this.applyingRemote = false;
+        this.eventsShared = false;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    /* The room goes in the query string, unless a url given in the options already names one */
+    Session.prototype.url = function () {
+        var scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        var url = new URL(this.options.url || `${scheme}//${window.location.host}/relay`, window.location.href);
+        if (!url.searchParams.has('room')) url.searchParams.set('room', this.options.room);
+        return url.href;
+    }
+
+    /* fn(data, peerId) for 'teleport', 'switchLights', 'toggleLight', 'join', 'leave' and 'status' */
+    Session.prototype.on = function (type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+    }
+
+    Session.prototype.emit = function (type, data, peerId) {
+        (this.listeners[type] || []).forEach(fn => fn(data, peerId));
+    }
+
+    Session.prototype.setStatus = function (status) {
+        this.status = status;
+        Diagnostics.set('presence.status', status);
+        this.emit('status', status);
+    }
+
+    Session.prototype.connect = function () {
+        this.wanted = true;
+        this.shareEvents();
+        if (this.socket) return;
+        var url = this.url();
+        var socket;
+        try {
+            socket = new WebSocket(url);
+        }
+        catch (err) {
+            console.error(`Presence: can't connect to ${url} (${err.message})`);
+            return this.retry();
+        }
+        this.socket = socket;
+        this.setStatus('connecting');
+        socket.onopen = () => {
+            this.retryDelay = this.options.reconnectDelay;
+            this.setStatus('open');
+            this.send({type: 'hello', name: this.options.name});
+        };
+        socket.onmessage = evt => {
+            var msg;
+            try {
+                msg = JSON.parse(evt.data);
+            }
+            catch (err) {
+                return;
+            }
+            this.receive(msg);
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            this.clearAvatars();
+            this.setStatus('closed');
+            if (this.wanted) this.retry();
+        };
+        socket.onerror = () => console.warn(`Presence: connection to ${url} failed`);
+    }
+
+    Session.prototype.retry = function () {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            if (this.wanted) this.connect();
+        }, this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, this.options.maxReconnectDelay);
+    }
+
+    Session.prototype.disconnect = function () {
+        this.wanted = false;
+        clearTimeout(this.retryTimer);
+        if (this.socket) this.socket.close();
+    }
+
+    Session.prototype.send = function (msg) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(msg));
+    }
+
+    Session.prototype.sendEvent = function (name, data) {
+        if (!this.applyingRemote) this.send(Object.assign({type: 'event', name: name}, data));
+    }
+
+    Session.prototype.avatar = function (id, name) {
+        if (!this.avatars[id]) this.avatars[id] = new Avatar(this, id, name);
+        else if (name) this.avatars[id].setName(name);
+        return this.avatars[id];
+    }
+
+    Session.prototype.clearAvatars = function () {
+        Object.keys(this.avatars).forEach(id => this.avatars[id].remove());
+        this.avatars = {};
+    }
+
+    Session.prototype.receive = function (msg) {
+        switch (msg.type) {
+            case 'welcome':
+                this.id = msg.id;
+                msg.peers.forEach(p => this.avatar(p.id, p.name));
+                break;
+            case 'join':
+                this.avatar(msg.id, msg.name);
+                this.emit('join', {name: msg.name}, msg.id);
+                break;
+            case 'leave':
+                if (this.avatars[msg.id]) this.avatars[msg.id].remove();
+                delete this.avatars[msg.id];
+                this.emit('leave', {}, msg.id);
+                break;
+            case 'pose':
+                this.avatar(msg.from).track.push(msg.t, msg.jumps, msg.pose, performance.now());
+                break;
+            case 'event':
+                this.applyEvent(msg);
+                break;
+        }
+    }
+
+    /* Do what another player did, without sending it back out again */
+    Session.prototype.applyEvent = function (msg) {
+        var scene = this.scene;
+        this.applyingRemote = true;
+        try {
+            if (msg.name === 'switchLights') {
+                scene.switchLights(!!msg.state);
+            }
+            else if (msg.name === 'toggleLight') {
+                var ed = scene.lightEditor;
+                if (ed && ed.lightAt(msg.index) && !!scene.lights[msg.index] !== !!msg.on) ed.toggle(msg.index);
+            }
+            this.emit(msg.name, msg, msg.from);
+        }
+        finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    /* Hook into the teleporter, the lamps and the light editor, so what happens there is sent to everyone */
+    Session.prototype.shareEvents = function () {
+        if (this.eventsShared) return;
+        this.eventsShared = true;
+        var scene = this.scene, session = this;
+        if (scene.teleporter) {
+            scene.teleporter.onTeleport((dest, old) => {
+                this.jumps++;
+                this.sendEvent('teleport', {dest: dest, old: old});
+            });
+        }
+        /* Only the player's own toggles; not the light editor hiding the lamps to show its own */
+        var switchLights = scene.switchLights;
+        scene.switchLights = function (state) {
+            var lamps = switchLights.apply(this, arguments);
+            if (!(scene.lightEditor && scene.lightEditor.hidingLamps)) session.sendEvent('switchLights', {state: this.lightsShown});
+            return lamps;
+        };
+        var ed = scene.lightEditor;
+        if (ed) {
+            var toggle = ed.toggle;
+            ed.toggle = function (i) {
+                var result = toggle.apply(this, arguments);
+                session.sendEvent('toggleLight', {index: i, on: !!scene.lights[i]});
+                return result;
+            };
+        }
+    }
+
+    var part = pose => pose ? {p: roundAll(pose.position), q: roundAll(pose.orientation)} : null;
+
+    Session.prototype.sendPose = function (now) {
+        var scene = this.scene, pl = scene.playerLocation;
+        this.send({
+            type: 'pose',
+            t: round(now),
+            jumps: this.jumps,
+            pose: {
+                head: part(VRPose.head(scene)),
+                hands: [part(VRPose.controller(scene, 0)), part(VRPose.controller(scene, 1))],
+                player: [round(pl.x), round(pl.y), round(pl.z)]
+            }
+        });
+    }
+
+    Session.prototype.update = function (timePoint) {
+        /* It only needs running once a frame, wherever it's attached */
+        if (timePoint === this.lastTime) return;
+        this.lastTime = timePoint;
+        var now = performance.now(), opts = this.options;
+        if (this.status === 'open' && now - this.lastSent >= 1000 / opts.sendRate) {
+            this.lastSent = now;
+            this.sendPose(now);
+        }
+        var me = VRPose.head(this.scene);
+        var ids = Object.keys(this.avatars);
+        ids.forEach(id => {
+            var av = this.avatars[id];
+            av.show(av.track.at(now, opts.interpolationDelay, opts.maxExtrapolation), me && me.position);
+        });
+        Diagnostics.set('presence.peers', ids.map(id => this.avatars[id].name).join(', ') || '-');
+    }
+
+    return {
+        Session: Session,
+        Track: Track,
+        defaults: defaults
+    };
+})();
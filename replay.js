@@ -0,0 +1,376 @@
+
+/*
+Recording and replaying sessions, so that a bug found in VR can be reproduced without putting the headset back on.
+
+A recording holds, for every frame:
+- t         the timestamp the framework gave to behaviors
+- head      the head pose, in stage coordinates, as the display reported it
+- pads      each gamepad's pose, buttons and axes, as the browser reported them
+- c         the button state structure that makeButtonHandler gave to its triggers, for each controller
+
+Playing one back installs VRShim (see vrshim.js) and writes each recorded frame into it at the start of the frame,
+so the framework - and the trackers, ray projectors, button handlers and everything else that reads the hardware -
+sees exactly what it saw when the recording was made. Behaviors are given the recorded timestamps, and Replay.now()
+gives the same frame timestamp - recording or playing - to anything else that needs a clock (the input mapper uses
+it for its gesture timings). While playing, the c structures the button handlers produce are compared with the
+recorded ones, and any frame where they differ is counted as a divergence (it's shown in the diagnostics as
+replay.divergences).
+
+For this to work the scene has to cooperate:
+- Replay.instrumentLibrary(library), straight after making each component library, so that behaviors' timestamps
+  can be seen while recording and replaced while playing
+- a button handler made from Replay.buttonBindings(gamepadIndex) on each controller, to capture and check c
+
+Recording:
+    Replay.startRecording(scene);   ...   var rec = Replay.stopRecording();   Replay.download(rec);
+Playing back (before CARNIVAL.start(), as the shim has to be in place when the framework looks for a display):
+    var player = Replay.play(rec, {speed: 1, timing: 'realtime'});
+    player.pause(); player.resume(); player.seek(ms); player.seekFrame(i); player.setSpeed(0.25);
+With timing: 'frame', playback moves on exactly one recorded frame per rendered frame whatever the frame rate is,
+which is the one to use for tests that must come out the same every time.
+
+index.html has buttons for recording, and plays back a recording when the page is opened with ?replay=<url> (or
+?replay on its own, for one chosen with its PLAY FILE button), with a control bar for pausing, scrubbing and speed.
+*/
+
+window.Replay = (function () {
+    "use strict";
+
+    var FORMAT = 'carnival-recording';
+    var VERSION = 1;
+
+    function ReplayError(message) {
+        this.name = 'ReplayError';
+        this.message = message;
+        this.stack = (new Error(message)).stack;
+    }
+    ReplayError.prototype = Object.create(Error.prototype);
+    ReplayError.prototype.constructor = ReplayError;
+
+    var replay = {
+        recorder: null,
+        player: null,
+        lastTimePoint: null
+    };
+
+    /* Numbers are kept at full precision, so what's played back is exactly what was read */
+    var arrayOf = a => a ? Array.prototype.slice.call(a) : null;
+
+    /* The button structure given to triggers, minus anything that isn't data */
+    var plainButtons = c => JSON.parse(JSON.stringify({buttons: c.buttons}));
+
+
+    /* === Recording === */
+
+    function Recorder(scene) {
+        this.scene = scene;
+        this.frames = [];
+        this.current = null;
+        this.startedAt = new Date().toISOString();
+    }
+
+    /* The hardware as it is now */
+    Recorder.prototype.beginFrame = function (timePoint) {
+        var head = VRPose.head(this.scene);
+        var pads = navigator.getGamepads ? Array.prototype.slice.call(navigator.getGamepads(), 0, 2) : [];
+        this.current = {
+            t: timePoint,
+            head: head ? {p: arrayOf(head.stagePosition), q: arrayOf(head.orientation)} : null,
+            pads: pads.map(pad => pad ? {
+                p: arrayOf(pad.pose && pad.pose.position),
+                q: arrayOf(pad.pose && pad.pose.orientation),
+                buttons: Array.prototype.map.call(pad.buttons, b => [b.pressed ? 1 : 0, b.touched ? 1 : 0, b.value]),
+                axes: arrayOf(pad.axes)
+            } : null),
+            c: []
+        };
+        this.frames.push(this.current);
+    }
+
+    Recorder.prototype.finish = function () {
+        return {format: FORMAT, version: VERSION, recordedAt: this.startedAt, frames: this.frames};
+    }
+
+    var startRecording = function (scene) {
+        if (replay.player) throw new ReplayError("Can't record while playing back");
+        replay.recorder = new Recorder(scene);
+        Diagnostics.set('replay.status', 'recording');
+        return replay.recorder;
+    }
+
+    /* Returns the recording */
+    var stopRecording = function () {
+        var rec = replay.recorder;
+        if (!rec) return null;
+        replay.recorder = null;
+        Diagnostics.set('replay.status', `recorded ${rec.frames.length} frames`);
+        return rec.finish();
+    }
+
+
+    /* === Playing back === */
+
+    var defaults = {
+        speed: 1,
+        timing: 'realtime',         /* or 'frame': one recorded frame per rendered frame */
+        loop: false,
+        shim: null                  /* options for VRShim.install(), eg. {canvas} */
+    };
+
+    function Player(recording, options) {
+        this.recording = check(recording);
+        this.frames = recording.frames;
+        this.options = Object.assign({}, defaults, options || {});
+        this.index = 0;
+        this.time = this.frames[0].t;
+        this.paused = false;
+        this.lastTimestamp = null;
+        this.divergences = 0;
+        this.checked = {};          /* frame index -> true, for each controller, so each frame's only counted once */
+        this.checkFrom = 0;         /* button changes across a seek aren't in the recording, so checking restarts after one */
+        this.listeners = {end: [], seek: []};
+    }
+
+    Player.prototype.frame = function () {
+        return this.frames[this.index];
+    }
+
+    Player.prototype.duration = function () {
+        return this.frames[this.frames.length - 1].t - this.frames[0].t;
+    }
+
+    /* fn(player) for 'end' and 'seek' */
+    Player.prototype.on = function (event, fn) {
+        this.listeners[event].push(fn);
+    }
+
+    Player.prototype.pause = function () {
+        this.paused = true;
+    }
+
+    Player.prototype.resume = function () {
+        if (this.index >= this.frames.length - 1) this.seekFrame(0);
+        this.paused = false;
+    }
+
+    Player.prototype.setSpeed = function (speed) {
+        this.options.speed = Math.max(0, speed);
+    }
+
+    /* Jump to ms into the recording */
+    Player.prototype.seek = function (ms) {
+        var t = this.frames[0].t + Math.max(0, Math.min(this.duration(), ms));
+        var i = 0;
+        while (i < this.frames.length - 1 && this.frames[i+1].t <= t) i++;
+        this.index = i;
+        this.time = t;
+        this.checkFrom = i + 1;
+        this.apply();
+        this.listeners.seek.forEach(fn => fn(this));
+    }
+
+    Player.prototype.seekFrame = function (i) {
+        i = Math.max(0, Math.min(this.frames.length - 1, i));
+        this.seek(this.frames[i].t - this.frames[0].t);
+    }
+
+    /* Move on to wherever playback should be by this frame; called once per frame with its timestamp */
+    Player.prototype.advance = function (timestamp) {
+        if (timestamp === this.lastTimestamp) return;
+        var elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+        this.lastTimestamp = timestamp;
+        if (!this.paused) {
+            var last = this.frames.length - 1;
+            if (this.options.timing === 'frame') {
+                this.index = Math.min(last, this.index + 1);
+                this.time = this.frames[this.index].t;
+            }
+            else {
+                this.time += elapsed * this.options.speed;
+                while (this.index < last && this.frames[this.index+1].t <= this.time) this.index++;
+            }
+            if (this.index >= last) {
+                if (this.options.loop) {
+                    this.seekFrame(0);
+                }
+                else {
+                    this.paused = true;
+                    this.listeners.end.forEach(fn => fn(this));
+                }
+            }
+        }
+        this.apply();
+    }
+
+    /* Write the current frame into the shim */
+    Player.prototype.apply = function () {
+        var f = this.frame();
+        if (f.head) VRShim.display.setPose(f.head.p, f.head.q);
+        f.pads.forEach((pad, i) => {
+            var shimPad = VRShim.gamepads[i];
+            if (!(pad && shimPad)) return;
+            shimPad.setPose(pad.p, pad.q);
+            pad.buttons.forEach((b, idx) => {
+                if (!shimPad.buttons[idx]) return;
+                shimPad.setButton(idx, b[0], b[1]);
+                /* setButton only knows fully in or out; a trigger can be anywhere between */
+                if (typeof b[2] === 'number') shimPad.buttons[idx].value = b[2];
+            });
+            if (pad.axes) shimPad.setAxes(pad.axes[0], pad.axes[1]);
+        });
+        Diagnostics.set('replay.status', `${this.paused ? 'paused' : 'playing'} ${this.index + 1}/${this.frames.length}`);
+    }
+
+    /* Compare what a button handler made of this frame with what it made when the recording was made */
+    Player.prototype.checkButtons = function (gamepadIndex, c) {
+        var key = `${this.index}/${gamepadIndex}`;
+        var recorded = this.frame().c[gamepadIndex];
+        if (this.index < this.checkFrom || this.checked[key] || !recorded) return;
+        this.checked[key] = true;
+        if (JSON.stringify(plainButtons(c)) !== JSON.stringify(recorded)) {
+            this.divergences++;
+            Diagnostics.set('replay.divergences', this.divergences);
+            console.warn(`Replay: controller ${gamepadIndex} diverged from the recording at frame ${this.index}`);
+        }
+    }
+
+    var play = function (recording, options) {
+        if (replay.recorder) stopRecording();
+        var player = new Player(recording, options);
+        VRShim.install(Object.assign({displayName: 'Replay'}, player.options.shim || {}));
+        if (window.DesktopMode) DesktopMode.suspended = true;
+        VRShim.driver = timestamp => player.advance(timestamp);
+        /* In case the framework schedules its frames some other way than through the display */
+        var tick = timestamp => {
+            if (replay.player !== player) return;
+            player.advance(timestamp);
+            window.requestAnimationFrame(tick);
+        };
+        window.requestAnimationFrame(tick);
+        replay.player = player;
+        player.apply();
+        return player;
+    }
+
+    var stop = function () {
+        replay.player = null;
+        VRShim.driver = null;
+        if (window.DesktopMode) DesktopMode.suspended = false;
+    }
+
+
+    /* === Hooks === */
+
+    /* The timestamp behaviors are given this frame: the one being recorded, or the recorded one while playing back. */
+    /* Either way it's what ends up in the recording's t, so anything timed by it plays back the same. */
+    var now = function () {
+        if (replay.player) return replay.player.frame().t;
+        return replay.lastTimePoint === null ? performance.now() : replay.lastTimePoint;
+    }
+
+    /* Every behavior sees the same timePoint within a frame, so a new one means a new frame */
+    var sawTimePoint = timePoint => {
+        if (timePoint === replay.lastTimePoint) return;
+        replay.lastTimePoint = timePoint;
+        if (replay.recorder) replay.recorder.beginFrame(timePoint);
+    }
+
+    /* Record the timestamps given to the behaviors of everything the library makes, and replace them while playing */
+    var instrumentLibrary = function (library) {
+        var makeFactory = library.new.bind(library);
+        var wrap = fn => function (drawable, timePoint) {
+            sawTimePoint(timePoint);
+            var args = Array.prototype.slice.call(arguments);
+            if (replay.player) args[1] = replay.player.frame().t;
+            return fn.apply(this, args);
+        };
+        library.new = function (componentName) {
+            var factory = makeFactory(componentName);
+            return function (cfg) {
+                if (cfg && cfg.behaviors) {
+                    cfg = Object.assign({}, cfg, {behaviors: cfg.behaviors.map(b => Object.assign({}, b, {function: wrap(b.function)}))});
+                }
+                var inst = factory(cfg);
+                if (inst && typeof inst.addBehavior === 'function') {
+                    var addBehavior = inst.addBehavior.bind(inst);
+                    inst.addBehavior = function (fn) {
+                        return addBehavior.apply(null, [wrap(fn)].concat(Array.prototype.slice.call(arguments, 1)));
+                    };
+                }
+                return inst;
+            };
+        };
+        return library;
+    }
+
+    /* For makeButtonHandler: capture the button states while recording, and check them while playing back */
+    var buttonBindings = function (gamepadIndex) {
+        return [{trigger: c => true, action: c => {
+            if (replay.recorder && replay.recorder.current) replay.recorder.current.c[gamepadIndex] = plainButtons(c);
+            if (replay.player) replay.player.checkButtons(gamepadIndex, c);
+        }}];
+    }
+
+
+    /* === Files === */
+
+    /* Throws ReplayError if rec isn't a recording this version can play; returns it otherwise */
+    var check = function (rec) {
+        if (!rec || rec.format !== FORMAT) throw new ReplayError('not a recording');
+        if (rec.version !== VERSION) throw new ReplayError(`recording is version ${rec.version}; only version ${VERSION} can be played`);
+        if (!(Array.isArray(rec.frames) && rec.frames.length)) throw new ReplayError('recording has no frames');
+        rec.frames.forEach((f, i) => {
+            if (typeof f.t !== 'number' || !Array.isArray(f.pads)) throw new ReplayError(`frame ${i} needs t and pads`);
+            f.c = f.c || [];
+        });
+        return rec;
+    }
+
+    var fromJSON = function (text) {
+        var rec;
+        try {
+            rec = JSON.parse(text);
+        }
+        catch (err) {
+            throw new ReplayError(`recording isn't valid JSON (${err.message})`);
+        }
+        return check(rec);
+    }
+
+    var load = function (url) {
+        return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new ReplayError(`Couldn't load recording ${url} (${response.status} ${response.statusText})`);
+            return response.text();
+        })
+        .then(fromJSON);
+    }
+
+    var download = function (rec, filename) {
+        var url = URL.createObjectURL(new Blob([JSON.stringify(rec)], {type: 'application/json'}));
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = filename || `recording-${rec.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    return Object.assign(replay, {
+        ReplayError: ReplayError,
+        Recorder: Recorder,
+        Player: Player,
+        startRecording: startRecording,
+        stopRecording: stopRecording,
+        play: play,
+        stop: stop,
+        now: now,
+        instrumentLibrary: instrumentLibrary,
+        buttonBindings: buttonBindings,
+        check: check,
+        fromJSON: fromJSON,
+        load: load,
+        download: download
+    });
+})();
@@ -28,17 +28,31 @@ window.ExperimentalScene = (function () {
     var DEG = deg => deg*(Math.PI/180);
     var RAD = rad => rad; 
     
-    function Scene() {
+    /* If a scene description (see scenedesc.js) is given, the scene is built from that instead of from the */
+    /* prerequisites, lights and setupScene code below. */
+    function Scene(description) {
         FCScene.call(this); /* << Don't remove this! */
         
         var scene = this; /* << Not compulsory but a good habit to have for scene instance methods. */
+        scene.description = description ? SceneDescription.validate(description) : null; /* Throws SceneDescriptionError */
         
-		//components.meta4vr.net/
-		//assets.meta4vr.net/
-        // scene.coreComponentLibrary = new $$.component.ComponentLibrary('//components.meta4vr.net');
-        scene.coreComponents = new $$.component.ComponentLibrary('http://components.meta4vr.net');
+        /* Where assets and components come from is decided by the AssetResolver (see assets.js), which */
+        /* falls back from a local mirror to the meta4vr hosts and caches what it loads. */
+        scene.coreComponents = new $$.component.ComponentLibrary(AssetResolver.base('components'));
+        /* Where it came from, for reporting components that fail to load (see preload.js) */
+        scene.coreComponents.sourceURL = AssetResolver.base('components');
+        /* Time the behaviors of everything made from the library, for the diagnostics (see diagnostics.js) */
+        Diagnostics.instrumentLibrary(scene.coreComponents);
+        /* ...and give them bounding-box colliders, so they can be pointed at and picked up (see manipulate.js) */
+        Manipulate.instrumentLibrary(scene.coreComponents);
+        /* ...and keep track of what's made from it, so the scene can be saved and restored (see snapshot.js) */
+        Snapshot.instrumentLibrary(scene.coreComponents, 'core');
+        /* ...and let recordings see and replace the timestamps their behaviors are given (see replay.js) */
+        Replay.instrumentLibrary(scene.coreComponents);
+        /* ...and let components have child components, which comes last so the others treat them as one (see compose.js) */
+        Compose.instrumentLibrary(scene.coreComponents);
         // scene.myComponents = new $$.component.ComponentLibrary('/_components');
-		let assetPath = (assetType, assetName, extn) => `//assets.meta4vr.net/${assetType}/${assetName}.${extn}`;
+		let assetPath = (assetType, assetName, extn) => AssetResolver.url('assets', `${assetType}/${assetName}.${extn}`);
 		let coreComponent = (globalName, localName) => ({library: scene.coreComponents, globalName, localName});
         let shaderAsset = (shaderFile, label) => ({
             label,
@@ -110,6 +124,13 @@ window.ExperimentalScene = (function () {
 			]
         }
         
+        /* If a texture or shader fails to load, these stand in for it rather than the scene not starting at all */
+        /* (see preload.js). Failures are reported either way. Set this to null to make every failure fatal. */
+        scene.prerequisiteFallbacks = {
+            textures: 'white',
+            shaders: {ads: 'basic', diffuse: 'basic'}
+        };
+        
         /* A good general pattern for lights is to have a bright white (or slightly yellow) diffuse one overhead of the scene origin
            (ie. the center of the player's starting stage) and then some dimmer, lower-set diffuse ones to
            illuminate the back sides of things. It really depends on where in the scene you expect the player to
@@ -162,6 +183,99 @@ window.ExperimentalScene = (function () {
         /* Toggle to show or hide the lights for debugging */
         scene.lightsShown = false;
         
+        /* Teleport along a parabolic arc from the controller (see teleport.js), rather than to wherever a straight */
+        /* ray from the controller hits the floor. The teleporter itself is built in setupScene. */
+        scene.useArcTeleport = true;
+        scene.teleporter = null;
+        
+        /* The light editor (see lighteditor.js) lets you move and recolour lights from inside VR. */
+        /* It's built in setupScene and toggled with toggleLightEditor(). */
+        scene.lightEditor = null;
+        
+        /* The manipulator (see manipulate.js) lets the player pick things up with the trigger on either hand, and */
+        /* rotate and scale them by holding them with both. It's built in setupScene. */
+        scene.manipulator = null;
+        
+        /* Animations (see animate.js): tweens, keyframes, sequences and so on, for anything that should start, */
+        /* stop or happen in order. The animator runs from a behavior on the first controller. */
+        scene.animator = new Animate.Animator(scene);
+        
+        /* In-world widgets (see ui.js), worked by pointing either controller at them and pulling the trigger. */
+        /* The toolkit and the wrist menu on the secondary controller are built in setupScene. */
+        scene.ui = null;
+        scene.wristMenu = null;
+        
+        /* The chaperone (see chaperone.js) shows walls at the edge of the play area as the player nears them. */
+        /* It's built in setupScene, around the raft. */
+        scene.chaperone = null;
+        
+        /* Button bindings. Buttons aren't wired straight to functions; instead this profile says which gesture, on */
+        /* which hand, triggers which named action. The input mapper (see inputmap.js, which lists the gestures and */
+        /* the standard actions) is built from it in setupScene. Players can remap their buttons and switch to */
+        /* left-handed at runtime, and their bindings are saved in the browser and take precedence over these. */
+        scene.inputProfile = {
+            primary: [
+                {gesture: 'press', button: 'grip', action: 'teleport'},
+                {gesture: 'press', button: 'menu', action: 'toggleLights'},
+                {gesture: 'touch', button: 'trackpad', action: 'readoutTrackpad'},
+                {gesture: 'press', button: 'trackpad', action: 'captureControllerInfo'},
+                {gesture: 'swipe', button: 'trackpad', direction: 'left', action: 'gallery.next'},
+                {gesture: 'swipe', button: 'trackpad', direction: 'right', action: 'gallery.previous'},
+                {gesture: 'press', button: 'trigger', action: 'ui.press'},
+                {gesture: 'release', button: 'trigger', action: 'ui.release'},
+                {gesture: 'press', button: 'trigger', action: 'lightEditor.grab'},
+                {gesture: 'release', button: 'trigger', action: 'lightEditor.release'},
+                {gesture: 'press', button: 'trackpad', action: 'lightEditor.padPressed'},
+                {gesture: 'release', button: 'trackpad', action: 'lightEditor.padReleased'},
+                {gesture: 'press', button: 'trigger', action: 'manipulate.grab'},
+                {gesture: 'release', button: 'trigger', action: 'manipulate.release'}
+            ],
+            secondary: [
+                {gesture: 'press', button: 'menu', action: 'toggleLightEditor'},
+                {gesture: 'press', button: 'trackpad', action: 'toggleDiagnostics'},
+                {gesture: 'press', button: 'trigger', action: 'ui.press'},
+                {gesture: 'release', button: 'trigger', action: 'ui.release'},
+                {gesture: 'press', button: 'trigger', action: 'manipulate.grab'},
+                {gesture: 'release', button: 'trigger', action: 'manipulate.release'},
+                {gesture: 'swipe', button: 'trackpad', direction: 'up', action: 'manipulate.toggleSnapping'},
+                {gesture: 'swipe', button: 'trackpad', direction: 'down', action: 'ui.toggleWristMenu'}
+            ],
+            both: [
+                /* Squeeze both grips to swap hands (for left-handed players) */
+                {gesture: 'chord', buttons: ['primary.grip', 'secondary.grip'], action: 'swapHands'}
+            ]
+        };
+        scene.inputMap = null;
+        
+        /* Diagnostics (frame times, behavior timings, poses and any values you care to set) are shown on the */
+        /* page, and on a panel attached to the secondary controller which is built in setupScene. */
+        Diagnostics.attach(scene);
+        scene.diagnosticsPanel = null;
+        
+        /* Child components are found by their path from the top, eg. scene.getObjectByLabel('text2/fbLogo') */
+        Compose.attach(scene);
+        
+        /* Galleries (see gallery.js): pictures from a feed, hung on picboards around the raft. galleryFeed is */
+        /* the boilerplate's; index.html sets it from ?feed=<url>. The primary trackpad swipes through the pages. */
+        scene.galleryFeed = 'feeds/sample.json';
+        scene.galleries = [];
+        
+        /* Shared sessions (see presence.js). Set presenceOptions before the scene starts (index.html does, when */
+        /* the page is opened with ?presence) and setupScene connects to the relay. */
+        scene.presenceOptions = null;
+        scene.presence = null;
+        
+        /* Resolves once setupScene has run, for things (like restoring a snapshot) that need the scene built first */
+        scene.setUp = new Promise(resolve => {scene.resolveSetUp = resolve;});
+        
+        /* A description replaces everything above that it covers. */
+        if (scene.description) {
+            scene.prerequisites = SceneDescription.prerequisites(scene, scene.description);
+            scene.prerequisiteFallbacks = scene.description.fallbacks || null;
+            let descLighting = SceneDescription.lighting(scene.description);
+            scene.lightPool = descLighting.lightPool;
+            scene.lights = descLighting.lights;
+        }
         
     }
     
@@ -180,15 +294,23 @@ window.ExperimentalScene = (function () {
 	/* Actual useful things the scene can do */
 	
     /* Teleport user and their raft to the location of the cursor. */
-    /* By default this is bound to the grip button on the controller. */
+    /* By default this is bound to the grip button on the primary controller. */
+    /* With the arc teleporter, the target is checked first and nothing happens if it isn't valid. The red arc */
+    /* already shows that; why it wasn't valid goes to the teleport.status channel (see diagnostics.js). */
     Scene.prototype.teleportUserToCursor = function () {
+        if (this.teleporter) {
+            return this.teleporter.teleport().then(
+                dest => {Diagnostics.set('teleport.status', 'ok'); return dest;},
+                err => Diagnostics.set('teleport.status', err.message)
+            );
+        }
         var curs = this.getObjectByLabel('cursor');
         this.movePlayerTo(curs.drawable.pos);
     }
     
     /* Helpful for debugging lights */
     /* Pass true to switch lights on, false to switch them off, or nothing (undefined) to toggle their state */
-    /* By default this is bound to menu button on the controller. */
+    /* By default this is bound to menu button on the primary controller. */
     Scene.prototype.switchLights = function (state) {
         var lamps = [];
         state = state || (state === undefined && !this.lightsShown);
@@ -197,7 +319,7 @@ window.ExperimentalScene = (function () {
         if (state) {
             for (var i=0; i<this.lights.length; i++) {
                 var myLight = this.lights[i];
-                if (!(myLight.diffuse && myLight.position)) continue;
+                if (!(myLight && myLight.diffuse && myLight.position)) continue;
                 var tex = this.addTextureFromColor({r:myLight.diffuse[0], g:myLight.diffuse[1], b:myLight.diffuse[2]});
                 var c = new FCShapes.SimpleCuboid(
                     {x:myLight.position[0], y:myLight.position[1], z:myLight.position[2]},
@@ -211,15 +333,58 @@ window.ExperimentalScene = (function () {
         return lamps;
     }
     
+    /* Switch the in-world light editor on or off; pass true or false, or nothing to toggle it */
+    /* By default this is bound to the menu button on the secondary controller. */
+    Scene.prototype.toggleLightEditor = function (state) {
+        return this.lightEditor ? this.lightEditor.setActive(state) : false;
+    }
+    
+    /* Show or hide the diagnostics panel; pass true or false, or nothing to toggle it */
+    /* By default this is bound to the trackpad on the secondary controller. */
+    Scene.prototype.toggleDiagnosticsPanel = function (state) {
+        return this.diagnosticsPanel ? this.diagnosticsPanel.setVisible(state) : false;
+    }
+    
+    /* Show or hide the wrist menu (see ui.js); pass true or false, or nothing to toggle it */
+    /* By default this is bound to swiping down the trackpad on the secondary controller. */
+    Scene.prototype.toggleWristMenu = function (state) {
+        return this.wristMenu ? this.wristMenu.setVisible(state) : false;
+    }
+    
+    /* Take a component, and any child components it has, out of the scene (see compose.js) */
+    Scene.prototype.removeComponent = function (labelOrPath) {
+        return Compose.remove(this, labelOrPath);
+    }
+    
+    /* Save the state of the scene (see snapshot.js) in localStorage, under slot if given */
+    Scene.prototype.saveSnapshot = function (slot) {
+        var snap = Snapshot.capture(this);
+        if (snap.unrestorable.length) console.warn(`Snapshot can't restore these behaviors: ${snap.unrestorable.join(', ')}`);
+        return Snapshot.saveLocal(snap, slot);
+    }
+    
+    /* Put the scene back as it was when saveSnapshot was last called (for slot, if given) */
+    Scene.prototype.restoreSnapshot = function (slot) {
+        var snap = Snapshot.loadLocal(slot);
+        if (!snap) return Promise.reject(new Error(`No snapshot saved${slot ? ' in ' + slot : ''}`));
+        return this.setUp.then(scene => Snapshot.restore(scene, snap));
+    }
+    
     Scene.prototype.setupScene = function () {
         var scene = this;
         console.log('Setting up scene...');
         
+        if (scene.description) {
+            return SceneDescription.build(scene, scene.description).then(built => {
+                scene.resolveSetUp(scene);
+                return built;
+            });
+        }
+        
         let $xyz = (x, y, z) => ({x:x, y:y, z:z});
         let $hidden = () => $xyz(0, -10, 0);            /* For when you want to hide something under the floor */
         let $colorTex = l => $$.colors[l].asTexture();
         let $addToScene = o => scene.addObject(o);
-        let $readout = (k, val) => document.querySelector(`#readout${k}`).value = val;
 
         let $clib = scene.coreComponents;
 
@@ -279,6 +444,10 @@ window.ExperimentalScene = (function () {
             ]
         });
         raft.prepare().then($addToScene);
+        
+        /* Walls round the raft that fade in as the head or a controller gets near its edge. Without a play area */
+        /* (seated or standing setups) they're drawn in a circle around the player instead. */
+        scene.chaperone = new Chaperone.Boundary(scene, {fadeDistance: 0.4});
 
 
         /* Build the cursor */
@@ -289,14 +458,17 @@ window.ExperimentalScene = (function () {
                 position: $hidden(),
                 size: {width: 0.3, height: 0.3, depth: 0.3},
                 color: 'green'
-            }
-        });
-        /* Add a simple behavior to make the cursor revolve slowly. */
-        /*  Behaviors are just functions that accept a drawable object and the current time in milliseconds.
-            Every drawable in the scene has its behaviors called on every frame.
-        */
-        cursor.addBehavior(function (drawable, timePoint) {
-            drawable.currentOrientation = $xyz(0.0, Math.PI*2*(timePoint/7000), 0.0);
+            },
+            /* Add a simple behavior to make the cursor revolve slowly. */
+            /*  Behaviors are just functions that accept a drawable object and the current time in milliseconds.
+                Every drawable in the scene has its behaviors called on every frame.
+                Labelling it 'spin' lets a snapshot re-attach it (see snapshot.js).
+            */
+            behaviors: [
+                {function: (drawable, timePoint) => {
+                    drawable.currentOrientation = $xyz(0.0, Math.PI*2*(timePoint/7000), 0.0);
+                }, label: 'spin'}
+            ]
         });
         cursor.prepare().then($addToScene);
 
@@ -346,56 +518,125 @@ window.ExperimentalScene = (function () {
         - angle			the angle, in radians, relative to the +ve X axis, of the player touchpoint
         - radius		the distance of the player's touchpoint from the origin (center) of the trackpad
 
+        Rather than test the buttons ourselves, we hand every frame's button states to the input mapper, which
+        recognises gestures (long presses, double clicks, swipes...) and runs the actions that scene.inputProfile
+        binds them to. We can define actions of our own alongside the standard ones with defineAction.
         */
-        let c0ButtonHandler = $ctrl.makeButtonHandler(0, [
-            {trigger: c => c.buttons.grip.pressed, action: c => scene.teleportUserToCursor()},
-            {trigger: c => c.buttons.menu.pressed, action: c => scene.switchLights()},
-            {trigger: c => c.buttons.trackpad.touched, action: c => {let t = c.buttons.trackpad; $readout('A', t.angle); $readout('B', t.radius); $readout('C', t.sector); $readout('D', t.segment);}},
-            {trigger: c => c.buttons.trackpad.pressed, action: c => window.CONTROLLERINFO = c}
-        ]);
-
+        scene.inputMap = InputMap.defineStandardActions(new InputMap.Mapper(scene, {profile: scene.inputProfile}));
+        let c0ButtonHandler = $ctrl.makeButtonHandler(0, scene.inputMap.feedBindings(0));
+        let c1ButtonHandler = $ctrl.makeButtonHandler(1, scene.inputMap.feedBindings(1));
+        /* Button states are also handed to the recorder, so sessions can be recorded and replayed (see replay.js) */
+        let replayButtonHandlers = [0, 1].map(i => $ctrl.makeButtonHandler(i, Replay.buttonBindings(i)));
 
-        /* Now let's set up a collider. */
-        /* We will project a virtual ray from the controller and test it against a collider attached to the floor. */
-        /* This lets us determine where the player is pointing their controller; ie, the cursor location. */
-        /* We can get the floor component to provide us a suitable collider. */
-        /* The collider fires callbacks when a collision is detected. */
-        let floorCollider = floor.getCollider('planar');
 
-        /* This callback simply sets the location of the cursor to the point where the ray collided with the floor. */
-        let moveCursorToCollisionPoint = collision => {
-            let cursor = scene.getObjectByLabel('cursor');
-            if (collision.POI < 0) {
-                cursor.drawable.hidden = false;
-                cursor.drawable.pos.x = collision.collisionPoint[0];
-                cursor.drawable.pos.y = collision.collisionPoint[1];
-                cursor.drawable.pos.z = collision.collisionPoint[2];
-            }
-            else {
-                cursor.hidden = true;
-            }
+        /* The arc teleporter finds the cursor location by throwing an arc from the controller. */
+        /* It checks targets against the bounds of the floor, any restricted zones, and how far the player may go at once. */
+        let c0Pointer;
+        if (scene.useArcTeleport) {
+            scene.teleporter = new Teleport.Teleporter(scene, {
+                gamepadIndex: 0,
+                bounds: {minX: -20, maxX: 20, minZ: -20, maxZ: 20},
+                restrictedZones: [],
+                maxDistance: 8,
+                transition: 'fade'
+            });
+            c0Pointer = {function: scene.teleporter.behavior, label: 'teleportArc'};
         }
-        floorCollider.callback = moveCursorToCollisionPoint;
-
-        /* Next, we use some class methods of the controller component to build trackers and a ray projector. */
-        /* The ray projector needs to know about all the colliders it is expected to test against. */
-        var c0RayProjector = $ctrl.makeRayProjector(scene, 0, [floorCollider]);
+        else {
+            /* Without it, we set up a collider. */
+            /* We will project a virtual ray from the controller and test it against a collider attached to the floor. */
+            /* This lets us determine where the player is pointing their controller; ie, the cursor location. */
+            /* We can get the floor component to provide us a suitable collider. */
+            /* The collider fires callbacks when a collision is detected. */
+            let floorCollider = floor.getCollider('planar');
 
+            /* This callback simply sets the location of the cursor to the point where the ray collided with the floor. */
+            let moveCursorToCollisionPoint = collision => {
+                let cursor = scene.getObjectByLabel('cursor');
+                if (collision.POI < 0) {
+                    cursor.drawable.hidden = false;
+                    cursor.drawable.pos.x = collision.collisionPoint[0];
+                    cursor.drawable.pos.y = collision.collisionPoint[1];
+                    cursor.drawable.pos.z = collision.collisionPoint[2];
+                }
+                else {
+                    cursor.drawable.hidden = true;
+                }
+            }
+            floorCollider.callback = moveCursorToCollisionPoint;
 
+            /* Next, we use some class methods of the controller component to build trackers and a ray projector. */
+            /* The ray projector needs to know about all the colliders it is expected to test against. */
+            c0Pointer = {function: $ctrl.makeRayProjector(scene, 0, [floorCollider]), label: 'rayProjector'};
+        }
+        /* The light editor has a behavior to follow the controller's pointing, which does nothing until the */
+        /* editor is switched on. Its buttons are in scene.inputProfile. */
+        scene.lightEditor = new LightEditor.Editor(scene, {gamepadIndex: 0});
+        
+        /* The teleporter and the light editor follow whichever hand is the primary one */
+        let followPrimaryHand = map => {
+            let idx = map.handIndex('primary');
+            if (scene.teleporter) scene.teleporter.options.gamepadIndex = idx;
+            scene.lightEditor.options.gamepadIndex = idx;
+        };
+        scene.inputMap.onChange(followPrimaryHand);
+        followPrimaryHand(scene.inputMap);
+        
+        /* Either hand can pick up things that have been added to the manipulator (the text, below). */
+        /* Let go of something near the floor and it settles onto it. */
+        scene.manipulator = new Manipulate.Manipulator(scene, {snapToFloor: true});
+        /* Whatever the player takes hold of stops being animated */
+        scene.manipulator.on('grab', component => scene.animator.cancel(component));
+        
+        /* A diagnostics panel, floating just above the secondary controller */
+        scene.diagnosticsPanel = new Diagnostics.Panel(scene, {
+            library: $clib,
+            gamepadIndex: 1,
+            position: [0, 0.15, 0],
+            channels: ['fps', 'frame.maxms', 'drawables', 'player']
+        });
+        
+        /* Buttons, toggles and sliders for the wrist menu, beside the diagnostics panel */
+        scene.ui = new UI.Toolkit(scene, {library: $clib});
+        scene.wristMenu = UI.wristMenu(scene, scene.ui, {gamepadIndex: 1, offset: [0.22, 0.35, 0]});
+        
+        /* A gallery off to the left, which fills in as the feed and its pictures arrive */
+        if (scene.galleryFeed) {
+            let gallery = new Gallery.Show(scene, {library: $clib, feed: scene.galleryFeed, layout: 'arc', yaw: Math.PI/2, rows: 2, columns: 3});
+            scene.galleries.push(gallery);
+            gallery.load().catch(err => console.warn(`Gallery: ${err.message}`));
+        }
+        
+        /* Other people in a shared session, if there is one */
+        if (scene.presenceOptions) {
+            scene.presence = new Presence.Session(scene, Object.assign({library: $clib}, scene.presenceOptions));
+        }
+        
         /* Now, bring these things together and fabricate the controllers. */
         let controllerCfgs = [
             {label: 'c0', 
             behaviors: [
                 {function: scene.trackers.a, label: 'tracker'},
-                {function: c0RayProjector, label: 'rayProjector'},
-                {function: c0ButtonHandler, label: 'buttonHandler'}
+                c0Pointer,
+                {function: c0ButtonHandler, label: 'buttonHandler'},
+                {function: replayButtonHandlers[0], label: 'replayButtons'},
+                {function: scene.lightEditor.behavior, label: 'lightEditor'},
+                {function: scene.ui.pointer(0), label: 'uiPointer'},
+                {function: scene.manipulator.behavior, label: 'manipulator'},
+                {function: scene.animator.behavior, label: 'animator'},
+                {function: scene.ui.behavior, label: 'ui'},
+                {function: scene.chaperone.behavior, label: 'chaperone'}
             ], config: {
                 mainTexture: $colorTex('seagreen'), altTexture: $colorTex('white'), gamepadIndex: 0
             }},
             {label: 'c1', 
             behaviors: [
-                {function: scene.trackers.b, label: 'tracker'}
-            ], config: {
+                {function: scene.trackers.b, label: 'tracker'},
+                {function: c1ButtonHandler, label: 'buttonHandler'},
+                {function: replayButtonHandlers[1], label: 'replayButtons'},
+                {function: scene.ui.pointer(1), label: 'uiPointer'},
+                {function: scene.diagnosticsPanel.behavior, label: 'diagnosticsPanel'}
+            ].concat(scene.presence ? [{function: scene.presence.behavior, label: 'presence'}] : []), config: {
                 mainTexture: $colorTex('royalblue'), altTexture: $colorTex('white'), gamepadIndex: 1
             }}
         ];
@@ -422,9 +663,16 @@ window.ExperimentalScene = (function () {
                 text: '#virtualreality'
             }
         });
-        text1.prepare().then($addToScene);
+        scene.manipulator.add(text1);
+        /* Drop it in from above, once it's ready */
+        text1.prepare().then($addToScene).then(c => scene.animator.tween(c, {position: $xyz(2, 0.3, 3)}, {
+            from: {position: $xyz(2, 2.5, 3)}, duration: 1500, easing: 'easeOutBounce'
+        }));
      
-        /* For this we're going to generate the text, and add a glyph from FontAwesome */
+        /* For this we're going to generate the text, with a glyph from FontAwesome as a child component. */
+        /* The entire FontAwesome v4.6.3 glyphset is on meshbase. To get the hexcodes google "fontawesome cheat sheet" */
+        /* The child's position is relative to its parent, and the parent isn't ready until the child is. Once it's */
+        /* in the scene the child can be found as 'text2/fbLogo'. */
         let text2 = $clib.new('glyphtext')({
             label: 'text2',
             draw: {
@@ -437,37 +685,25 @@ window.ExperimentalScene = (function () {
             },
             input: {
                 text: '/meta4vr'
-            }
-        });
-     
-        /* The entire FontAwesome v4.6.3 glyphset is on meshbase. */
-        /* To get the hexcodes google "fontawesome cheat sheet" */
-        /* TODO this is a bit esoteric because of the lack of a component.. */
-        /* .. problem is that components can't currently contain each other. */
-        $$.mesh.load('//meshbase.meta4vr.net/_typography/fontawesome/glyph_'+0xf230+'.obj')
-        .then(function (mesh) {
-            let pos = $xyz(-0.99, 0.0, 0); // Relative to origin of container
-            let fbBlue = $$.color('#3b5998');
-            let drawCfg = {materialLabel:'matteplastic', texture:fbBlue.asTexture()};
-            var fbIcon = new $$.mesh.Mesh(mesh, pos, {scale:1.0}, null, drawCfg);
-            text2.drawable.addChild(fbIcon);
+            },
+            children: [{
+                component: 'urlmesh',
+                label: 'fbLogo',
+                draw: {
+                    position: $xyz(-0.99, 0.0, 0),
+                    orientation: $xyz(0, 0, 0),
+                    color: '#3b5998'
+                },
+                config: {
+                    meshURL: AssetResolver.url('meshes', '_typography/fontawesome/glyph_'+0xf230+'.obj')
+                }
+            }]
         });
+        scene.manipulator.add(text2);
         text2.prepare().then($addToScene);
-     
-        // /* TODO this will be an alternative way of building the FB icon as soon as I can add child components */
-        // let fbicon = $clib.new('urlmesh')({
-        //     label: 'fbLogo',
-        //     draw: {
-        //         position: $xyz(1, 1, 3),
-        //         orientation: $xyz(0, 0, 0),
-        //         color: '#2255ff'
-        //     },
-        //     config: {
-        //         meshURL: '//meshbase.meta4vr.net/_typography/fontawesome/glyph_'+0xf230+'.obj'
-        //     }
-        // });
-        // fbicon.prepare().then($addToScene);
-     
+        
+        if (scene.presence) scene.presence.connect();
+        scene.resolveSetUp(scene);
     }
 
     return Scene;
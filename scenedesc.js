@@ -0,0 +1,715 @@
+
+/*
+Scene descriptions: build a whole scene from a JSON file instead of writing setupScene() by hand.
+
+A description covers the same ground as the boilerplate's constructor and setupScene - prerequisites, lights, the
+lightPool, components (with their draw / config / input sections and behaviors), and controllers (with trackers, ray
+projectors, arc teleporters, the light editor, diagnostics panels, the wrist menu and button bindings) and input profiles (see inputmap.js). See scenes/default.json for a description of the boilerplate scene.
+
+Components marked "grabbable": true can be picked up and moved with the controllers (see manipulate.js); the
+top-level "manipulation" section sets the snapping options. A ray projector can use "type": "bounds" colliders from
+any component, as well as the framework's own kinds. A top-level "chaperone" section puts walls round the edge of
+the play area, with the options described in chaperone.js, and "galleries" hangs pictures from feeds around the raft
+(see gallery.js).
+
+A component can have "children": a list of components described the same way, from the same library, whose
+positions are relative to their parent (see compose.js). They're found by path, eg. "text2/fbLogo".
+
+To use one, load it and pass it to the scene constructor:
+
+    SceneDescription.load('scenes/default.json').then(desc => new ExperimentalScene(desc));
+
+index.html does this for you when the page is opened with ?scene=<url of description>.
+
+Descriptions are validated against SceneDescription.schema before anything is built. A bad description throws a
+SceneDescriptionError whose message names the offending entry, eg.
+    components[2] (cursor).draw.position: expected an object with numeric x, y and z
+
+Things that can't be written as data - behavior functions, collision callbacks, button actions - are referred to by
+name and looked up in the registries below. Add your own with SceneDescription.registerBehavior() and friends.
+A button action that isn't in the action registry is treated as the name of a scene method, eg. "switchLights".
+
+A top-level "fallbacks" section says what to use in place of textures and shaders that fail to load (see
+preload.js), eg. {"textures": "white", "shaders": {"ads": "basic"}}. Without it, any failure stops the scene.
+
+Asset and component URLs come from the AssetResolver (see assets.js) unless the description says otherwise: set
+"assetBase" to load shaders and textures from somewhere specific, and give a library a URL instead of "default".
+*/
+
+window.SceneDescription = (function () {
+    "use strict";
+    var $$ = CARNIVAL;
+
+    var DEG = deg => deg*(Math.PI/180);
+
+    function SceneDescriptionError(path, message) {
+        this.name = 'SceneDescriptionError';
+        this.path = path;
+        this.message = (path ? path + ': ' : '') + message;
+        this.stack = (new Error(this.message)).stack;
+    }
+    SceneDescriptionError.prototype = Object.create(Error.prototype);
+    SceneDescriptionError.prototype.constructor = SceneDescriptionError;
+
+
+    /* === === === REGISTRIES === === === */
+
+    /* Behaviors are factories: (scene, params) => behavior function (drawable, timePoint) */
+    var behaviors = {
+        /* Keep the drawable at the player's location (used by the raft) */
+        followPlayer: (scene, params) => (drawable, timePoint) => {
+            let pl = scene.playerLocation;
+            drawable.pos.x = pl.x;
+            drawable.pos.y = pl.y;
+            drawable.pos.z = pl.z;
+        },
+        /* Revolve about the Y axis once every params.period milliseconds */
+        spin: (scene, params) => {
+            let period = params.period || 7000;
+            return (drawable, timePoint) => {
+                drawable.currentOrientation = {x:0.0, y:Math.PI*2*(timePoint/period), z:0.0};
+            };
+        }
+    };
+
+    /* Collision handlers are factories: (scene, params) => collider callback (collision) */
+    var collisionHandlers = {
+        /* Move the object labelled params.cursor (default 'cursor') to wherever the ray hits */
+        moveCursor: (scene, params) => collision => {
+            let cursor = scene.getObjectByLabel(params.cursor || 'cursor');
+            if (!cursor) return;
+            if (collision.POI < 0) {
+                cursor.drawable.hidden = false;
+                cursor.drawable.pos.x = collision.collisionPoint[0];
+                cursor.drawable.pos.y = collision.collisionPoint[1];
+                cursor.drawable.pos.z = collision.collisionPoint[2];
+            }
+            else {
+                cursor.drawable.hidden = true;
+            }
+        }
+    };
+
+    /* Actions are functions: (scene, buttonStates, ...args) */
+    var actions = {
+        /* Show the trackpad touchpoint in the diagnostics */
+        readoutTrackpad: (scene, c) => {
+            let t = c.buttons.trackpad;
+            Diagnostics.set('trackpad.angle', t.angle);
+            Diagnostics.set('trackpad.radius', t.radius);
+            Diagnostics.set('trackpad.sector', t.sector);
+            Diagnostics.set('trackpad.segment', t.segment);
+        },
+        /* Stash the button states where they can be inspected from the console */
+        captureControllerInfo: (scene, c) => {window.CONTROLLERINFO = c;}
+    };
+
+
+    /* === === === SCHEMA === === === */
+
+    /*  The schema is a tree of plain objects:
+        - type          'object', 'array', 'map' (an object with arbitrary keys), 'string', 'number', 'integer',
+                        'boolean', 'vec3', 'vec4', 'xyz' ({x, y, z}) or 'any'
+        - required      (objects) keys that must be present
+        - properties    (objects) schemas for known keys; unknown keys are allowed and passed through
+        - items         (arrays, maps) schema for each member
+        - enum          allowed values
+        - nullable      null is allowed as well as the given type
+        - check         function (value, root) returning an error message, for rules the above can't express
+    */
+    var isNum = v => typeof v === 'number' && isFinite(v);
+    var xyz = {type: 'xyz'};
+    var named = {type: 'string', check: v => v.length ? null : 'must not be empty'};
+    var ref = (registry, what) => ({type: 'string', check: v => registry[v] ? null : `unknown ${what} "${v}"`});
+    /* Components are made from whichever library prerequisites.components says provides them */
+    var listedComponent = (root, localName) => ((root.prerequisites || {}).components || []).find(c => c.localName === localName);
+    var needsComponent = localName => (v, root) => listedComponent(root, localName) ? null : `needs "${localName}" in prerequisites.components`;
+    var componentRef = {type: 'string', check: (v, root) => listedComponent(root, v) ? null : `component "${v}" is not listed in prerequisites.components`};
+    /* Button actions are registered actions or methods of the scene */
+    var actionRef = {type: 'string', check: v => (actions[v] || (window.ExperimentalScene && typeof ExperimentalScene.prototype[v] === 'function'))
+        ? null : `unknown action "${v}" (not registered and not a scene method)`};
+    /* Colours are the framework's named ones, or those in prerequisites.colors (see colorTexture) */
+    var colorRef = {type: 'string', check: (v, root) => (($$.colors && $$.colors[v]) || ((root.prerequisites || {}).colors || []).some(c => c.label === v))
+        ? null : `unknown color "${v}"`};
+    var vecOrNull = t => ({type: t, nullable: true});
+    var zone = {type: 'object', check: v => (['minX', 'maxX', 'minZ', 'maxZ'].every(k => isNum(v[k])) || ['x', 'z', 'radius'].every(k => isNum(v[k])))
+        ? null : 'expected a rectangle {minX, maxX, minZ, maxZ} or a circle {x, z, radius}'};
+
+    var inputBindings = {type: 'array', items: {
+        type: 'object', required: ['gesture', 'action'],
+        properties: {
+            gesture: {type: 'string', enum: ['press', 'release', 'hold', 'click', 'doubleClick', 'longPress', 'touch', 'swipe', 'chord']},
+            button: {type: 'string', enum: ['grip', 'menu', 'trigger', 'trackpad']},
+            buttons: {type: 'array', items: {type: 'string'}},
+            direction: {type: 'string', enum: ['left', 'right', 'up', 'down']},
+            action: {type: 'string'},
+            args: {type: 'array'}
+        },
+        check: v => v.gesture === 'chord' ? (v.buttons ? null : 'a chord needs "buttons"') : (v.button ? null : 'needs "button"')
+    }};
+
+    /* Components can have child components (see compose.js), which are described the same way */
+    var component = {
+        type: 'object', required: ['component', 'label'],
+        properties: {
+            component: componentRef,
+            label: named,
+            groupLabel: {type: 'string'},
+            draw: {type: 'object', properties: {
+                position: xyz,
+                orientation: xyz,
+                size: {type: 'any', check: v => (v === 'stage' || typeof v === 'object') ? null : 'expected an object or "stage"'}
+            }},
+            config: {type: 'object'},
+            input: {type: 'object'},
+            grabbable: {type: 'boolean'},
+            bounds: {type: 'object', required: ['min', 'max'], properties: {min: {type: 'vec3'}, max: {type: 'vec3'}}},
+            behaviors: {type: 'array', items: {
+                type: 'object', required: ['name'],
+                properties: {name: ref(behaviors, 'behavior'), label: {type: 'string'}, params: {type: 'object'}}
+            }}
+        }
+    };
+    component.properties.children = {
+        type: 'array',
+        items: Object.assign({}, component, {check: v => v.label.indexOf(Compose.SEPARATOR) < 0 ? null : `a child's label can't contain "${Compose.SEPARATOR}"`}),
+        check: v => {
+            let dup = v.map(c => c.label).find((l, i, all) => all.indexOf(l) !== i);
+            return dup ? `label "${dup}" is used more than once` : null;
+        }
+    };
+
+    var schema = {
+        type: 'object',
+        properties: {
+            version: {type: 'integer', enum: [1]},
+            angles: {type: 'string', enum: ['degrees', 'radians']},
+            assetBase: {type: 'string'},
+            libraries: {type: 'map', items: {type: 'string'}},
+            prerequisites: {
+                type: 'object',
+                properties: {
+                    shaders: {type: 'array', items: {
+                        type: 'object', required: ['label'],
+                        properties: {label: named, shader: {type: 'string'}, srcVertexShader: {type: 'string'}, srcFragmentShader: {type: 'string'}},
+                        check: v => (v.shader || (v.srcVertexShader && v.srcFragmentShader)) ? null : 'needs either "shader" or both "srcVertexShader" and "srcFragmentShader"'
+                    }},
+                    textures: {type: 'array', items: {
+                        type: 'object', required: ['label'],
+                        properties: {label: named, texture: {type: 'string'}, src: {type: 'string'}},
+                        check: v => (v.texture || v.src) ? null : 'needs either "texture" or "src"'
+                    }},
+                    materials: {type: 'array', items: {
+                        type: 'object', required: ['label'],
+                        properties: {
+                            label: named, color: {type: 'string', nullable: true},
+                            textureLabel: {type: 'string', nullable: true}, shaderLabel: {type: 'string', nullable: true},
+                            ambient: vecOrNull('vec3'), diffuse: vecOrNull('vec3'), specular: vecOrNull('vec3')
+                        }
+                    }},
+                    meshes: {type: 'array', items: {type: 'object', required: ['label']}},
+                    colors: {type: 'array', items: {type: 'object', required: ['label']}},
+                    components: {type: 'array', items: {
+                        type: 'object', required: ['library', 'globalName', 'localName'],
+                        properties: {library: {type: 'string'}, globalName: {type: 'string'}, localName: {type: 'string'}},
+                        check: (v, root) => (root.libraries && root.libraries[v.library]) ? null : `unknown library "${v.library}"`
+                    }}
+                }
+            },
+            fallbacks: {type: 'object', properties: {
+                textures: {type: 'string', nullable: true},
+                shaders: {type: 'map', items: {
+                    type: 'string',
+                    check: (v, root) => (((root.prerequisites || {}).shaders) || []).some(s => s.label === v) ? null : `no shader labelled "${v}" in prerequisites.shaders`
+                }}
+            }},
+            input: {type: 'object', properties: {
+                handedness: {type: 'string', enum: ['left', 'right']},
+                profile: {type: 'object', properties: {primary: inputBindings, secondary: inputBindings, both: inputBindings}}
+            }},
+            chaperone: {type: 'object', properties: {
+                fadeDistance: {type: 'number'},
+                color: {type: 'object'},
+                background: {type: 'object'},
+                style: {type: 'string', enum: Chaperone.STYLES},
+                height: {type: 'number'},
+                spacing: {type: 'number'},
+                thickness: {type: 'number'},
+                fadeSteps: {type: 'integer'},
+                defaultRadius: {type: 'number'},
+                sides: {type: 'integer'},
+                raftLabel: {type: 'string'}
+            }},
+            galleries: {type: 'array', items: {
+                type: 'object', required: ['label', 'feed'],
+                check: needsComponent('picboard'),
+                properties: {
+                    label: named,
+                    feed: {type: 'string'},
+                    format: {type: 'string', enum: ['auto', 'json', 'rss', 'atom']},
+                    layout: {type: 'string', check: v => Gallery.layouts[v] ? null : `unknown gallery layout "${v}"`},
+                    rows: {type: 'integer'},
+                    columns: {type: 'integer'},
+                    boardSize: {type: 'object', required: ['width', 'height'], properties: {width: {type: 'number'}, height: {type: 'number'}}},
+                    spacing: {type: 'number'},
+                    distance: {type: 'number'},
+                    yaw: {type: 'number'},
+                    height: {type: 'number'},
+                    tilt: {type: 'number'},
+                    captions: {type: 'boolean'},
+                    captionLength: {type: 'integer'},
+                    captionScale: {type: 'number'},
+                    textColor: {type: 'string'},
+                    fontTag: {type: 'string'},
+                    placeholderColor: {type: 'string'},
+                    imageTimeout: {type: 'number'},
+                    raftLabel: {type: 'string'}
+                }
+            }},
+            manipulation: {type: 'object', properties: {
+                snapToFloor: {type: 'boolean'},
+                floorHeight: {type: 'number'},
+                grid: {type: 'number', nullable: true},
+                snapAngle: {type: 'number', nullable: true},
+                maxDistance: {type: 'number'},
+                minScale: {type: 'number'},
+                maxScale: {type: 'number'}
+            }},
+            lightPool: {type: 'map', items: {
+                type: 'object', required: ['position'],
+                properties: {position: {type: 'vec4'}, ambient: {type: 'vec3'}, diffuse: {type: 'vec3'}, specular: {type: 'vec3'}}
+            }},
+            lights: {type: 'array', items: {
+                type: 'string', nullable: true,
+                check: (v, root) => (v === null || (root.lightPool && root.lightPool[v])) ? null : `no light named "${v}" in lightPool`
+            }},
+            components: {type: 'array', items: component},
+            controllers: {type: 'array', items: {
+                type: 'object', required: ['label', 'gamepadIndex'],
+                check: (v, root) => v.component ? null : needsComponent('vivecontroller')(v, root),
+                properties: {
+                    label: named,
+                    component: componentRef,
+                    gamepadIndex: {type: 'integer'},
+                    mainColor: colorRef,
+                    altColor: colorRef,
+                    tracker: {type: 'boolean'},
+                    rayProjector: {type: 'object', required: ['colliders'], properties: {
+                        colliders: {type: 'array', items: {
+                            type: 'object', required: ['component', 'type', 'onCollision'],
+                            properties: {
+                                component: {type: 'string', check: (v, root) => (root.components || []).some(c => c.label === v) ? null : `no component labelled "${v}"`},
+                                type: {type: 'string'},
+                                onCollision: ref(collisionHandlers, 'collision handler'),
+                                params: {type: 'object'}
+                            }
+                        }}
+                    }},
+                    lightEditor: {type: 'boolean'},
+                    diagnosticsPanel: {type: 'object', check: needsComponent('glyphtext'), properties: {
+                        channels: {type: 'array', items: {type: 'string'}},
+                        position: {type: 'vec3'}
+                    }},
+                    wristMenu: {type: 'object', check: needsComponent('glyphtext'), properties: {
+                        offset: {type: 'vec3'}
+                    }},
+                    teleportArc: {type: 'object', properties: {
+                        maxDistance: {type: 'number'},
+                        launchSpeed: {type: 'number'},
+                        floorHeight: {type: 'number'},
+                        transition: {type: 'string', enum: ['none', 'fade', 'blink']},
+                        transitionTime: {type: 'number'},
+                        cursorLabel: {type: 'string'},
+                        raftLabel: {type: 'string'},
+                        bounds: zone,
+                        restrictedZones: {type: 'array', items: zone}
+                    }},
+                    buttons: {type: 'array', items: {
+                        type: 'object', required: ['button', 'state', 'action'],
+                        properties: {
+                            button: {type: 'string', enum: ['grip', 'menu', 'trigger', 'trackpad']},
+                            state: {type: 'string', enum: ['up', 'down', 'pressed', 'released', 'held', 'touched']},
+                            action: actionRef,
+                            args: {type: 'array'}
+                        }
+                    }},
+                    behaviors: {type: 'array', items: {
+                        type: 'object', required: ['name'],
+                        properties: {name: ref(behaviors, 'behavior'), label: {type: 'string'}, params: {type: 'object'}}
+                    }}
+                }
+            }}
+        }
+    };
+
+    var isVec = n => v => Array.isArray(v) && v.length === n && v.every(isNum);
+    var typeChecks = {
+        object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+        map: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+        array: v => Array.isArray(v),
+        string: v => typeof v === 'string',
+        number: isNum,
+        integer: v => isNum(v) && Math.floor(v) === v,
+        boolean: v => typeof v === 'boolean',
+        vec3: isVec(3),
+        vec4: isVec(4),
+        xyz: v => v !== null && typeof v === 'object' && ['x', 'y', 'z'].every(k => isNum(v[k])),
+        any: v => true
+    };
+    var typeNames = {
+        object: 'an object', map: 'an object', array: 'an array', string: 'a string', number: 'a number',
+        integer: 'an integer', boolean: 'true or false', vec3: 'an array of 3 numbers', vec4: 'an array of 4 numbers',
+        xyz: 'an object with numeric x, y and z'
+    };
+
+    /* Array members are named by index, and by label if they have one, so the error points at something findable */
+    var memberPath = (path, idx, member) => {
+        let p = `${path}[${idx}]`;
+        return (member && typeof member.label === 'string') ? `${p} (${member.label})` : p;
+    }
+
+    var validateNode = (value, node, path, root) => {
+        if (value === null && node.nullable) return;
+        if (!typeChecks[node.type](value)) {
+            throw new SceneDescriptionError(path, `expected ${typeNames[node.type]}`);
+        }
+        if (node.enum && node.enum.indexOf(value) < 0) {
+            throw new SceneDescriptionError(path, `expected one of ${node.enum.map(e => JSON.stringify(e)).join(', ')}`);
+        }
+        if (node.type === 'object') {
+            (node.required || []).forEach(k => {
+                if (value[k] === undefined) throw new SceneDescriptionError(path, `missing required "${k}"`);
+            });
+            Object.keys(node.properties || {}).forEach(k => {
+                if (value[k] !== undefined) validateNode(value[k], node.properties[k], path ? `${path}.${k}` : k, root);
+            });
+        }
+        else if (node.type === 'array' && node.items) {
+            value.forEach((member, idx) => validateNode(member, node.items, memberPath(path, idx, member), root));
+        }
+        else if (node.type === 'map' && node.items) {
+            Object.keys(value).forEach(k => validateNode(value[k], node.items, `${path}.${k}`, root));
+        }
+        let problem = node.check && node.check(value, root);
+        if (problem) throw new SceneDescriptionError(path, problem);
+    }
+
+    /* Children are made from their parent's library, so it has to provide them */
+    var checkChildren = (desc, entry, path) => (entry.children || []).forEach((child, idx) => {
+        let childPath = `${path}.${memberPath('children', idx, child)}`;
+        if (listedComponent(desc, child.component).library !== listedComponent(desc, entry.component).library) {
+            throw new SceneDescriptionError(childPath, `"${child.component}" isn't in the same library as its parent`);
+        }
+        checkChildren(desc, child, childPath);
+    });
+
+    /* Throws SceneDescriptionError if the description is no good; returns it otherwise */
+    var validate = function (desc) {
+        validateNode(desc, schema, '', desc);
+        (desc.components || []).forEach((entry, idx) => checkChildren(desc, entry, memberPath('components', idx, entry)));
+        let labels = {};
+        (desc.components || []).concat(desc.controllers || []).forEach(c => {
+            if (labels[c.label]) throw new SceneDescriptionError(`"${c.label}"`, 'label is used more than once');
+            labels[c.label] = true;
+        });
+        return desc;
+    }
+
+
+    /* === === === LOADING === === === */
+
+    var load = function (url) {
+        return fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`Couldn't load scene description ${url} (${response.status} ${response.statusText})`);
+            return response.json();
+        })
+        .then(validate);
+    }
+
+
+    /* === === === BUILDING === === === */
+
+    /* Without an assetBase, asset URLs come from the AssetResolver (see assets.js) */
+    var assetPath = (base, assetType, assetName, extn) => base
+        ? `${base}/${assetType}/${assetName}.${extn}`
+        : AssetResolver.url('assets', `${assetType}/${assetName}.${extn}`);
+
+    /* Build the libraries and the scene.prerequisites structure. Called from the scene constructor. */
+    var prerequisites = function (scene, desc) {
+        let base = desc.assetBase || null;
+        let pre = desc.prerequisites || {};
+        scene.componentLibraries = {};
+        Object.keys(desc.libraries || {}).forEach(k => {
+            let url = desc.libraries[k] === 'default' ? AssetResolver.base('components') : desc.libraries[k];
+            let lib = Diagnostics.instrumentLibrary(new $$.component.ComponentLibrary(url));
+            lib.sourceURL = url;
+            lib = Replay.instrumentLibrary(Snapshot.instrumentLibrary(Manipulate.instrumentLibrary(lib), k));
+            scene.componentLibraries[k] = Compose.instrumentLibrary(lib);
+        });
+        return {
+            shaders: (pre.shaders || []).map(s => ({
+                label: s.label,
+                srcVertexShader: s.srcVertexShader || assetPath(base, 'shaders', `${s.shader}/shader`, 'vs'),
+                srcFragmentShader: s.srcFragmentShader || assetPath(base, 'shaders', `${s.shader}/shader`, 'fs')
+            })),
+            meshes: pre.meshes || [],
+            colors: pre.colors || [],
+            textures: (pre.textures || []).map(t => ({
+                label: t.label,
+                src: t.src || assetPath(base, 'textures', t.texture, 'jpg')
+            })),
+            materials: (pre.materials || []).map(m => ({
+                label: m.label,
+                color: m.color || null,
+                textureLabel: m.textureLabel || null,
+                shaderLabel: m.shaderLabel || null,
+                ambient: m.ambient,
+                diffuse: m.diffuse,
+                specular: m.specular
+            })),
+            components: (pre.components || []).map(c => ({
+                library: scene.componentLibraries[c.library],
+                globalName: c.globalName,
+                localName: c.localName
+            }))
+        };
+    }
+
+    /* Deep-copy the light definitions, so that editing the scene's lights doesn't edit the description */
+    var lighting = function (desc) {
+        let pool = JSON.parse(JSON.stringify(desc.lightPool || {}));
+        return {
+            lightPool: pool,
+            lights: (desc.lights || Object.keys(pool)).map(k => k === null ? null : pool[k])
+        };
+    }
+
+    /* Find the library that provides a component, by its local name */
+    var libraryFor = (scene, desc, localName, path) => {
+        let entry = ((desc.prerequisites || {}).components || []).find(c => c.localName === localName);
+        if (!entry) throw new SceneDescriptionError(path, `component "${localName}" is not listed in prerequisites.components`);
+        return scene.componentLibraries[entry.library];
+    }
+
+    /* A colour as a texture. The framework's named colours make their own; those in prerequisites.colors */
+    /* were made into textures by the framework, under scene.textures.<label>. */
+    var colorTexture = (scene, name) => $$.colors[name] ? $$.colors[name].asTexture() : scene.textures[name];
+
+    var makeBehaviors = (scene, list) => (list || []).map(b => ({
+        function: behaviors[b.name](scene, b.params || {}),
+        label: b.label || b.name
+    }));
+
+    var componentConfig = (scene, desc, entry) => {
+        let toRad = desc.angles === 'radians' ? (a => a) : DEG;
+        let cfg = JSON.parse(JSON.stringify(entry));
+        delete cfg.component;
+        delete cfg.grabbable;
+        if (cfg.draw && cfg.draw.orientation) {
+            let o = cfg.draw.orientation;
+            cfg.draw.orientation = {x: toRad(o.x), y: toRad(o.y), z: toRad(o.z)};
+        }
+        /* "size": "stage" gives a partition the size of the player's play area, as for the raft */
+        if (cfg.draw && cfg.draw.size === 'stage') {
+            let ex = scene.stageParams.sizeX / 2, ez = scene.stageParams.sizeZ / 2;
+            cfg.draw.size = {minX: -1*ex, maxX: ex, minY: -1*ez, maxY: ez};
+        }
+        cfg.behaviors = makeBehaviors(scene, entry.behaviors);
+        if (entry.children) cfg.children = entry.children.map(child => componentConfig(scene, desc, child));
+        return cfg;
+    }
+
+    var resolveAction = (scene, name, args) => {
+        if (actions[name]) return c => actions[name].apply(null, [scene, c].concat(args));
+        if (typeof scene[name] === 'function') return c => scene[name].apply(scene, args);
+        throw new SceneDescriptionError('', `unknown action "${name}" (not registered and not a scene method)`);
+    }
+
+    /* Build everything in the description into the scene. Called from setupScene. */
+    /* Returns a promise that resolves once every component has been prepared and added. */
+    var build = function (scene, desc) {
+        let $addToScene = o => {scene.addObject(o); return o;};
+        let built = {};
+
+        /* With an input section, controllers feed an input mapper (see inputmap.js) as well as any direct bindings */
+        if (desc.input) {
+            scene.inputMap = InputMap.defineStandardActions(new InputMap.Mapper(scene, {
+                profile: desc.input.profile || {},
+                handedness: desc.input.handedness || 'right'
+            }));
+            Object.keys(actions).forEach(name => {
+                if (!scene.inputMap.actions[name]) {
+                    scene.inputMap.defineAction(name, (scene, c, gesture, ...args) => actions[name].apply(null, [scene, c].concat(args)));
+                }
+            });
+        }
+
+        /* Grabbable components are handed to a manipulator, which runs from the controllers' behaviors */
+        if (desc.manipulation || (desc.components || []).some(c => c.grabbable)) {
+            scene.manipulator = new Manipulate.Manipulator(scene, desc.manipulation || {});
+        }
+
+        /* Walls at the edge of the play area (see chaperone.js) */
+        if (desc.chaperone) {
+            scene.chaperone = new Chaperone.Boundary(scene, desc.chaperone);
+        }
+
+        /* Pictures from feeds (see gallery.js), on picboards; they appear once the feed and pictures arrive */
+        (desc.galleries || []).forEach((entry, idx) => {
+            let path = memberPath('galleries', idx, entry);
+            let toRad = desc.angles === 'radians' ? (a => a) : DEG;
+            let opts = Object.assign({}, entry, {library: libraryFor(scene, desc, 'picboard', path)});
+            ['yaw', 'tilt'].forEach(k => {
+                if (entry[k] !== undefined) opts[k] = toRad(entry[k]);
+            });
+            let show = new Gallery.Show(scene, opts);
+            scene.galleries.push(show);
+            show.load().catch(err => console.warn(`${path}: ${err.message}`));
+        });
+
+        /* A shared session (see presence.js) needs vivecontroller for the other people's hands */
+        if (scene.presenceOptions) {
+            let lib = libraryFor(scene, desc, 'vivecontroller', 'presence');
+            scene.presence = new Presence.Session(scene, Object.assign({library: lib}, scene.presenceOptions));
+        }
+
+        let componentPromises = (desc.components || []).map((entry, idx) => {
+            let path = memberPath('components', idx, entry);
+            let lib = libraryFor(scene, desc, entry.component, path);
+            let inst;
+            try {
+                inst = lib.new(entry.component)(componentConfig(scene, desc, entry));
+            }
+            catch (err) {
+                throw new SceneDescriptionError(path, err.message);
+            }
+            built[entry.label] = inst;
+            if (entry.grabbable) scene.manipulator.add(inst);
+            return inst.prepare().then($addToScene);
+        });
+
+        /* Widgets (see ui.js) can be pointed at with any controller, once there's a wrist menu to point at */
+        let wristMenuEntry = (desc.controllers || []).find(entry => entry.wristMenu);
+        if (wristMenuEntry) {
+            scene.ui = new UI.Toolkit(scene, {library: libraryFor(scene, desc, 'glyphtext', memberPath('controllers', desc.controllers.indexOf(wristMenuEntry), wristMenuEntry))});
+        }
+
+        let controllerPromises = (desc.controllers || []).map((entry, idx) => {
+            let path = memberPath('controllers', idx, entry);
+            let localName = entry.component || 'vivecontroller';
+            let lib = libraryFor(scene, desc, localName, path);
+            let $ctrl = lib.componentClass(localName);
+            let behaviorList = [];
+
+            if (entry.tracker !== false) {
+                let tracker = $ctrl.makeTracker(scene, entry.gamepadIndex, null);
+                scene.trackers[entry.gamepadIndex === 0 ? 'a' : 'b'] = tracker;
+                behaviorList.push({function: tracker, label: 'tracker'});
+            }
+            if (entry.rayProjector) {
+                let colliders = entry.rayProjector.colliders.map(c => {
+                    let collider = built[c.component].getCollider(c.type);
+                    collider.callback = collisionHandlers[c.onCollision](scene, c.params || {});
+                    return collider;
+                });
+                let projector = colliders.some(c => c instanceof Manipulate.BoundsCollider)
+                    ? Manipulate.makeRayProjector(scene, entry.gamepadIndex, colliders, $ctrl)
+                    : $ctrl.makeRayProjector(scene, entry.gamepadIndex, colliders);
+                behaviorList.push({function: projector, label: 'rayProjector'});
+            }
+            if (entry.teleportArc) {
+                scene.teleporter = new Teleport.Teleporter(scene, Object.assign({gamepadIndex: entry.gamepadIndex}, entry.teleportArc));
+                behaviorList.push({function: scene.teleporter.behavior, label: 'teleportArc'});
+            }
+            if (entry.lightEditor) {
+                scene.lightEditor = new LightEditor.Editor(scene, {gamepadIndex: entry.gamepadIndex});
+                /* With an input mapper, the editor's buttons are bound in the input profile instead */
+                if (!scene.inputMap) {
+                    behaviorList.push({function: $ctrl.makeButtonHandler(entry.gamepadIndex, scene.lightEditor.buttonBindings()), label: 'lightEditorButtons'});
+                }
+                behaviorList.push({function: scene.lightEditor.behavior, label: 'lightEditor'});
+            }
+            if (scene.inputMap) {
+                behaviorList.push({function: $ctrl.makeButtonHandler(entry.gamepadIndex, scene.inputMap.feedBindings(entry.gamepadIndex)), label: 'inputMap'});
+            }
+            behaviorList.push({function: $ctrl.makeButtonHandler(entry.gamepadIndex, Replay.buttonBindings(entry.gamepadIndex)), label: 'replayButtons'});
+            if (scene.ui) {
+                behaviorList.push({function: scene.ui.pointer(entry.gamepadIndex), label: 'uiPointer'});
+                behaviorList.push({function: scene.ui.behavior, label: 'ui'});
+            }
+            if (scene.manipulator) {
+                behaviorList.push({function: scene.manipulator.behavior, label: 'manipulator'});
+            }
+            if (scene.animator) {
+                behaviorList.push({function: scene.animator.behavior, label: 'animator'});
+            }
+            if (scene.chaperone) {
+                behaviorList.push({function: scene.chaperone.behavior, label: 'chaperone'});
+            }
+            if (scene.presence) {
+                behaviorList.push({function: scene.presence.behavior, label: 'presence'});
+            }
+            if (entry.diagnosticsPanel) {
+                scene.diagnosticsPanel = new Diagnostics.Panel(scene, Object.assign({library: libraryFor(scene, desc, 'glyphtext', path), gamepadIndex: entry.gamepadIndex}, entry.diagnosticsPanel));
+                behaviorList.push({function: scene.diagnosticsPanel.behavior, label: 'diagnosticsPanel'});
+            }
+            if (entry.buttons && entry.buttons.length) {
+                let bindings = entry.buttons.map((b, bIdx) => {
+                    try {
+                        return {trigger: c => c.buttons[b.button][b.state], action: resolveAction(scene, b.action, b.args || [])};
+                    }
+                    catch (err) {
+                        throw new SceneDescriptionError(`${path}.buttons[${bIdx}]`, err.message);
+                    }
+                });
+                behaviorList.push({function: $ctrl.makeButtonHandler(entry.gamepadIndex, bindings), label: 'buttonHandler'});
+            }
+
+            let cfg = {
+                label: entry.label,
+                behaviors: behaviorList.concat(makeBehaviors(scene, entry.behaviors)),
+                config: {
+                    mainTexture: colorTexture(scene, entry.mainColor || 'white'),
+                    altTexture: colorTexture(scene, entry.altColor || 'white'),
+                    gamepadIndex: entry.gamepadIndex
+                }
+            };
+            return lib.new(localName)(cfg).prepare().then($addToScene);
+        });
+        /* Built once all the controllers' settings (the teleporter's, say) are in place */
+        if (wristMenuEntry) {
+            scene.wristMenu = UI.wristMenu(scene, scene.ui, Object.assign({gamepadIndex: wristMenuEntry.gamepadIndex}, wristMenuEntry.wristMenu));
+        }
+
+        /* The teleporter and the light editor follow whichever hand is the primary one */
+        if (scene.inputMap) {
+            let followPrimaryHand = map => {
+                let idx = map.handIndex('primary');
+                if (scene.teleporter) scene.teleporter.options.gamepadIndex = idx;
+                if (scene.lightEditor) scene.lightEditor.options.gamepadIndex = idx;
+            };
+            scene.inputMap.onChange(followPrimaryHand);
+            followPrimaryHand(scene.inputMap);
+        }
+        if (scene.presence) scene.presence.connect();
+
+        return Promise.all(componentPromises.concat(controllerPromises));
+    }
+
+    return {
+        SceneDescriptionError: SceneDescriptionError,
+        schema: schema,
+        validate: validate,
+        load: load,
+        prerequisites: prerequisites,
+        lighting: lighting,
+        build: build,
+        behaviors: behaviors,
+        collisionHandlers: collisionHandlers,
+        actions: actions,
+        registerBehavior: (name, factory) => {behaviors[name] = factory;},
+        registerCollisionHandler: (name, factory) => {collisionHandlers[name] = factory;},
+        registerAction: (name, fn) => {actions[name] = fn;}
+    };
+})();
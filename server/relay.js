@@ -0,0 +1,256 @@
+
+/*
+A small relay for shared sessions (see presence.js). It has no dependencies beyond Node itself.
+
+    node server/relay.js [port]
+
+It serves the boilerplate's files over http on the port (8080 by default), leaving out hidden ones such as .git, and
+relays WebSocket messages at /relay.
+Clients join a room (/relay?room=name, 'lobby' if not given) and every message a client sends is passed on to
+everyone else in the same room, tagged with the sender's id. The relay itself only sends:
+    {type: 'welcome', id, peers: [{id, name}]}      to a client when it connects
+    {type: 'join', id, name}                        to the others when a client says hello ({type: 'hello', name})
+    {type: 'leave', id}                             to the others when a client goes
+Messages are JSON text frames; anything else is dropped.
+
+So to try it out, run the relay and open http://localhost:8080/?desktop&presence&name=alice in one tab, and the
+same with another name in a second tab.
+*/
+
+"use strict";
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+const ROOT = path.resolve(__dirname, '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 1024*1024;
+const PING_INTERVAL = 30000;
+
+const MIME = {
+    '.html': 'text/html', '.js': 'application/javascript', '.json': 'application/json', '.css': 'text/css',
+    '.png': 'image/png', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml', '.rss': 'application/rss+xml',
+    '.obj': 'text/plain', '.vs': 'text/plain', '.fs': 'text/plain'
+};
+
+
+/* === Static files === */
+
+const serveFile = (req, res) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.parse(req.url).pathname);
+    }
+    catch (err) {
+        res.writeHead(400);
+        return res.end();
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+    let file = path.resolve(ROOT, '.' + pathname);
+    /* Nothing outside the boilerplate's folder, and nothing hidden inside it (.git and the like) */
+    if ((file !== ROOT && !file.startsWith(ROOT + path.sep)) || pathname.split(/[\\/]/).some(part => part.startsWith('.'))) {
+        res.writeHead(403);
+        return res.end();
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            return res.end('Not found');
+        }
+        res.writeHead(200, {'Content-Type': MIME[path.extname(file)] || 'application/octet-stream'});
+        res.end(data);
+    });
+}
+
+
+/* === WebSocket framing === */
+
+/* An unmasked frame, as servers send them */
+const frame = (opcode, payload) => {
+    let len = payload.length, header;
+    if (len < 126) {
+        header = Buffer.from([0x80 | opcode, len]);
+    }
+    else if (len < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    }
+    else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(0, 2);
+        header.writeUInt32BE(len, 6);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/* Take as many complete frames off the front of buf as there are. Returns {frames, rest}, or null if it's garbage. */
+const parseFrames = buf => {
+    let frames = [];
+    while (buf.length >= 2) {
+        let fin = (buf[0] & 0x80) !== 0, opcode = buf[0] & 0x0f;
+        let masked = (buf[1] & 0x80) !== 0;
+        let len = buf[1] & 0x7f, offset = 2;
+        if (len === 126) {
+            if (buf.length < 4) break;
+            len = buf.readUInt16BE(2);
+            offset = 4;
+        }
+        else if (len === 127) {
+            if (buf.length < 10) break;
+            if (buf.readUInt32BE(2) !== 0) return null;
+            len = buf.readUInt32BE(6);
+            offset = 10;
+        }
+        /* Clients must mask what they send */
+        if (!masked || len > MAX_PAYLOAD) return null;
+        if (buf.length < offset + 4 + len) break;
+        let mask = buf.slice(offset, offset + 4);
+        let payload = Buffer.alloc(len);
+        for (let i=0; i<len; i++) payload[i] = buf[offset + 4 + i] ^ mask[i % 4];
+        frames.push({fin: fin, opcode: opcode, payload: payload});
+        buf = buf.slice(offset + 4 + len);
+    }
+    return {frames: frames, rest: buf};
+}
+
+
+/* === Clients and rooms === */
+
+const rooms = new Map();            /* room name -> Set of clients */
+let nextId = 1;
+
+function Client(socket, room) {
+    this.id = String(nextId++);
+    this.socket = socket;
+    this.room = room;
+    this.name = null;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;          /* payloads of a fragmented message so far */
+    this.alive = true;
+    this.closed = false;
+}
+
+Client.prototype.send = function (msg) {
+    if (!this.closed) this.socket.write(frame(0x1, Buffer.from(JSON.stringify(msg))));
+}
+
+Client.prototype.close = function (code) {
+    if (this.closed) return;
+    this.closed = true;
+    let payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code || 1000, 0);
+    this.socket.end(frame(0x8, payload));
+    leave(this);
+}
+
+Client.prototype.others = function () {
+    return Array.from(rooms.get(this.room) || []).filter(c => c !== this);
+}
+
+Client.prototype.receive = function (data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let parsed = parseFrames(this.buffer);
+    if (!parsed) return this.close(1002);
+    this.buffer = parsed.rest;
+    parsed.frames.forEach(f => {
+        if (this.closed) return;
+        if (f.opcode === 0x8) return this.close(1000);
+        if (f.opcode === 0x9) return this.socket.write(frame(0xA, f.payload));
+        if (f.opcode === 0xA) {
+            this.alive = true;
+            return;
+        }
+        if (f.opcode === 0x1) this.fragments = [];
+        else if (f.opcode !== 0x0 || !this.fragments) return;
+        this.fragments.push(f.payload);
+        if (!f.fin) return;
+        let text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = null;
+        this.message(text);
+    });
+}
+
+Client.prototype.message = function (text) {
+    let msg;
+    try {
+        msg = JSON.parse(text);
+    }
+    catch (err) {
+        return;
+    }
+    if (!msg || typeof msg !== 'object') return;
+    msg.from = this.id;
+    if (msg.type === 'hello') {
+        this.name = String(msg.name || '').slice(0, 40) || `guest ${this.id}`;
+        this.others().forEach(c => c.send({type: 'join', id: this.id, name: this.name}));
+        return;
+    }
+    let out = frame(0x1, Buffer.from(JSON.stringify(msg)));
+    this.others().forEach(c => {
+        if (!c.closed) c.socket.write(out);
+    });
+}
+
+const leave = client => {
+    let room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (!room.size) rooms.delete(client.room);
+    room.forEach(c => c.send({type: 'leave', id: client.id}));
+    console.log(`${client.name || client.id} left ${client.room} (${room.size} still there)`);
+}
+
+const upgrade = (req, socket) => {
+    let parsed = url.parse(req.url, true);
+    let key = req.headers['sec-websocket-key'];
+    if (parsed.pathname !== '/relay' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    let accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    let roomName = String(parsed.query.room || 'lobby');
+    let client = new Client(socket, roomName);
+    if (!rooms.has(roomName)) rooms.set(roomName, new Set());
+    client.send({type: 'welcome', id: client.id, peers: client.others().map(c => ({id: c.id, name: c.name}))});
+    rooms.get(roomName).add(client);
+    console.log(`client ${client.id} joined ${roomName} (${rooms.get(roomName).size} there)`);
+
+    socket.on('data', data => client.receive(data));
+    socket.on('close', () => {
+        client.closed = true;
+        leave(client);
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+/* Drop clients that stop answering pings */
+const heartbeat = () => rooms.forEach(room => room.forEach(c => {
+    if (!c.alive) {
+        c.socket.destroy();
+        return;
+    }
+    c.alive = false;
+    c.socket.write(frame(0x9, Buffer.alloc(0)));
+}));
+
+
+const server = http.createServer(serveFile);
+server.on('upgrade', upgrade);
+server.listen(PORT, () => console.log(`Serving ${ROOT} and relaying at ws://localhost:${PORT}/relay`));
+setInterval(heartbeat, PING_INTERVAL).unref();
@@ -0,0 +1,365 @@
+
+/*
+Snapshots: save the state of a running scene as JSON, and put it back later.
+
+A snapshot records
+- where the player is
+- the lights, including any that are switched off (and which lightPool names they had)
+- every labelled component: which library and component it came from, where it is now (position, orientation and
+  scale, straight from its drawable), its config and input, the labels of its behaviors, and whether it can be
+  picked up (see manipulate.js)
+
+To know what components there are and how they were made, Snapshot has to see them being made: call
+Snapshot.instrumentLibrary(library, name) straight after making each component library, with the name the library
+goes by (the boilerplate's is 'core'; a scene description's are its "libraries" keys). Components made with
+"transient": true in their config are left out, as are controllers (their trackers put them where they need to be).
+Child components (see compose.js) are saved as part of their parent's config, where they were declared.
+
+Behaviors are functions and can't be saved, so only their labels are. When a snapshot is restored, behaviors are
+re-attached by looking their labels up in the SceneDescription behavior registry (see scenedesc.js) - the raft's
+'followPlayer' and the cursor's 'spin' are both in there. Register your own with SceneDescription.registerBehavior()
+under the same label you give them when you attach them. Labels that aren't registered are listed in
+snapshot.unrestorable when saving, and skipped when restoring.
+
+    var snap = Snapshot.capture(scene);         // a plain object, ready for JSON.stringify
+    Snapshot.saveLocal(snap);                   // or Snapshot.download(snap)
+    ...
+    Snapshot.restore(freshScene, Snapshot.loadLocal());
+
+restore() waits for the scene's own components to be ready, moves those that are in the snapshot to where the
+snapshot has them, replaces any whose config or input has changed with new ones, builds any that the scene doesn't
+have, and hides any labelled components that aren't in the snapshot. index.html restores the locally saved snapshot when the
+page is opened with ?snapshot, and has buttons for saving, loading, downloading and uploading.
+*/
+
+window.Snapshot = (function () {
+    "use strict";
+
+    var FORMAT = 'carnival-snapshot';
+    var VERSION = 1;
+    var STORAGE_PREFIX = 'carnival.snapshot.';
+    var SKIP_COMPONENTS = ['vivecontroller'];
+
+    function SnapshotError(message) {
+        this.name = 'SnapshotError';
+        this.message = message;
+        this.stack = (new Error(message)).stack;
+    }
+    SnapshotError.prototype = Object.create(Error.prototype);
+    SnapshotError.prototype.constructor = SnapshotError;
+
+    var libraries = {};             /* name -> component library */
+    var records = {};               /* label -> {library, component, cfg, instance, ready} */
+
+
+    /* === Recording === */
+
+    /*  Keep only what JSON can hold. Textures, meshes and the like are objects with prototypes, which don't survive
+        the trip; they're dropped, so components that depend on them can only be moved, not rebuilt.
+    */
+    var plain = v => {
+        if (v === null || typeof v === 'string' || typeof v === 'boolean') return v;
+        if (typeof v === 'number') return isFinite(v) ? v : null;
+        if (Array.isArray(v)) return v.map(plain);
+        if (typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype) {
+            var out = {};
+            Object.keys(v).forEach(k => {
+                var p = plain(v[k]);
+                if (p !== undefined) out[k] = p;
+            });
+            return out;
+        }
+        return undefined;
+    }
+
+    var instrumentLibrary = function (library, name) {
+        libraries[name] = library;
+        var makeFactory = library.new.bind(library);
+        library.new = function (componentName) {
+            var factory = makeFactory(componentName);
+            return function (cfg) {
+                var inst = factory(cfg);
+                if (inst && cfg && cfg.label && !cfg.transient && !cfg.parent && SKIP_COMPONENTS.indexOf(componentName) < 0) {
+                    var record = {library: name, component: componentName, cfg: cfg, instance: inst, ready: null};
+                    var prepare = inst.prepare.bind(inst);
+                    inst.prepare = function () {
+                        record.ready = prepare.apply(null, arguments);
+                        return record.ready;
+                    };
+                    records[cfg.label] = record;
+                }
+                return inst;
+            };
+        };
+        return library;
+    }
+
+
+    /* === Capturing === */
+
+    var xyzOf = v => ({x: v.x, y: v.y, z: v.z});
+
+    var captureLights = scene => {
+        var pool = scene.lightPool || {};
+        var poolNames = Object.keys(pool);
+        var switchedOff = (scene.lightEditor && scene.lightEditor.switchedOff) || {};
+        return scene.lights.map((light, i) => {
+            var def = light || switchedOff[i] || null;
+            if (!def) return null;
+            return {name: poolNames.find(n => pool[n] === def) || null, on: !!light, definition: plain(def)};
+        });
+    }
+
+    var captureObject = (scene, label, record, unrestorable) => {
+        var obj = scene.getObjectByLabel(label);
+        var d = obj.drawable;
+        var cfg = plain(Object.assign({}, record.cfg, {behaviors: undefined})) || {};
+        cfg.draw = cfg.draw || {};
+        if (d) {
+            cfg.draw.position = xyzOf(d.pos);
+            if (d.currentOrientation) cfg.draw.orientation = xyzOf(d.currentOrientation);
+            if (d.scale !== undefined) cfg.draw.scale = plain(d.scale);
+            cfg.hidden = !!d.hidden;
+        }
+        /* Children's behaviors are run by their parent, but saved with the children */
+        var behaviors = (record.cfg.behaviors || []).filter(b => !b.child).map(b => b.label).filter(l => l);
+        behaviors.filter(l => !SceneDescription.behaviors[l]).forEach(l => unrestorable.push(`${label}/${l}`));
+        var childLabels = (children, path) => (children || []).forEach(child => {
+            var childPath = `${path}/${child.label}`;
+            (child.behaviors || []).map(b => b.label).filter(l => l && !SceneDescription.behaviors[l])
+                .forEach(l => unrestorable.push(`${childPath}/${l}`));
+            childLabels(child.children, childPath);
+        });
+        childLabels(cfg.children, label);
+        var manip = scene.manipulator;
+        return {
+            label: label,
+            library: record.library,
+            component: record.component,
+            config: cfg,
+            behaviors: behaviors,
+            grabbable: !!(manip && manip.colliders.some(c => c.component === record.instance || c.component === obj))
+        };
+    }
+
+    /* The state of the scene as a plain object */
+    var capture = function (scene) {
+        var unrestorable = [];
+        var objects = Object.keys(records)
+            .filter(label => scene.getObjectByLabel(label))
+            .map(label => captureObject(scene, label, records[label], unrestorable));
+        return {
+            format: FORMAT,
+            version: VERSION,
+            savedAt: new Date().toISOString(),
+            angles: 'radians',
+            player: xyzOf(scene.playerLocation),
+            lights: captureLights(scene),
+            objects: objects,
+            unrestorable: unrestorable
+        };
+    }
+
+
+    /* === Checking === */
+
+    /* Throws SnapshotError if snap isn't a snapshot this version can restore; returns it otherwise */
+    var check = function (snap) {
+        if (!snap || snap.format !== FORMAT) throw new SnapshotError('not a scene snapshot');
+        if (snap.version !== VERSION) throw new SnapshotError(`snapshot is version ${snap.version}; only version ${VERSION} can be restored`);
+        if (!(snap.player && Array.isArray(snap.lights) && Array.isArray(snap.objects))) {
+            throw new SnapshotError('snapshot is missing its player, lights or objects');
+        }
+        snap.objects.forEach((o, i) => {
+            if (!(o && o.label && o.component && o.config)) throw new SnapshotError(`objects[${i}] needs a label, component and config`);
+        });
+        return snap;
+    }
+
+    var fromJSON = function (text) {
+        var snap;
+        try {
+            snap = JSON.parse(text);
+        }
+        catch (err) {
+            throw new SnapshotError(`snapshot isn't valid JSON (${err.message})`);
+        }
+        return check(snap);
+    }
+
+    var toJSON = snap => JSON.stringify(snap, null, 2);
+
+
+    /* === Restoring === */
+
+    var restoreLights = (scene, lights) => {
+        scene.lightPool = scene.lightPool || {};
+        scene.lights = lights.map(l => {
+            if (!l) return null;
+            if (l.name) scene.lightPool[l.name] = l.definition;
+            return l.on ? l.definition : null;
+        });
+        if (scene.lightEditor) {
+            scene.lightEditor.switchedOff = {};
+            lights.forEach((l, i) => {
+                if (l && !l.on) scene.lightEditor.switchedOff[i] = l.definition;
+            });
+            if (scene.lightEditor.active) scene.lightEditor.rebuildLamps();
+        }
+        scene.updateLighting();
+    }
+
+    var place = (d, draw) => {
+        if (draw.position) {
+            d.pos.x = draw.position.x;
+            d.pos.y = draw.position.y;
+            d.pos.z = draw.position.z;
+        }
+        if (draw.orientation) d.currentOrientation = xyzOf(draw.orientation);
+        if (draw.scale !== undefined) d.scale = draw.scale;
+    }
+
+    var comparable = cfg => JSON.stringify({config: cfg.config || null, input: cfg.input || null, children: cfg.children || null});
+
+    var makeBehaviors = (scene, labels) => labels.filter(l => SceneDescription.behaviors[l]).map(l => ({
+        function: SceneDescription.behaviors[l](scene, {}),
+        label: l
+    }));
+
+    /* Children keep their behaviors as {label}s, which need functions again */
+    var rebuildChildren = (scene, children) => (children || []).map(child => Object.assign({}, child, {
+        behaviors: makeBehaviors(scene, (child.behaviors || []).map(b => b.label).filter(l => l)),
+        children: child.children ? rebuildChildren(scene, child.children) : undefined
+    }));
+
+    var build = (scene, o) => {
+        var lib = libraries[o.library];
+        if (!lib) throw new SnapshotError(`${o.label}: no library called "${o.library}"`);
+        var cfg = JSON.parse(JSON.stringify(o.config));
+        delete cfg.hidden;
+        cfg.behaviors = makeBehaviors(scene, o.behaviors);
+        if (cfg.children) cfg.children = rebuildChildren(scene, cfg.children);
+        var inst = lib.new(o.component)(cfg);
+        if (o.grabbable && scene.manipulator) scene.manipulator.add(inst);
+        return inst.prepare().then(c => {
+            scene.addObject(c);
+            return c;
+        });
+    }
+
+    /* Put the scene into the state recorded in snap. Resolves once everything's in place. */
+    var restore = function (scene, snap) {
+        check(snap);
+        var ready = Object.keys(records).map(label => records[label].ready).filter(p => p);
+        return Promise.all(ready).then(() => {
+            scene.movePlayerTo(xyzOf(snap.player));
+            restoreLights(scene, snap.lights);
+            var wanted = {};
+            var building = snap.objects.map(o => {
+                wanted[o.label] = true;
+                var record = records[o.label];
+                var existing = record ? scene.getObjectByLabel(o.label) : null;
+                var unchanged = existing && comparable(o.config) === comparable(plain(record.cfg));
+                /* A component whose config or input has changed is replaced with a new one */
+                if (existing && !unchanged) Compose.remove(scene, existing);
+                return (unchanged ? Promise.resolve(existing) : build(scene, o)).then(inst => {
+                    if (!inst.drawable) return;
+                    /* Anything the scene set moving as it started (see animate.js) would carry it off again */
+                    if (scene.animator) scene.animator.cancel(inst);
+                    place(inst.drawable, o.config.draw || {});
+                    inst.drawable.hidden = !!o.config.hidden;
+                });
+            });
+            Object.keys(records).forEach(label => {
+                var obj = !wanted[label] && scene.getObjectByLabel(label);
+                if (obj && obj.drawable) obj.drawable.hidden = true;
+            });
+            return Promise.all(building);
+        })
+        .then(() => snap);
+    }
+
+
+    /* === Storage === */
+
+    /* Throws SnapshotError if the browser won't store it (eg. it's over the storage quota) */
+    var saveLocal = function (snap, slot) {
+        try {
+            localStorage.setItem(STORAGE_PREFIX + (slot || 'default'), toJSON(snap));
+        }
+        catch (err) {
+            throw new SnapshotError(`couldn't save the snapshot in the browser (${err.message})`);
+        }
+        return snap;
+    }
+
+    /* The snapshot saved in slot, or null if there isn't one */
+    var loadLocal = function (slot) {
+        var text = localStorage.getItem(STORAGE_PREFIX + (slot || 'default'));
+        return text === null ? null : fromJSON(text);
+    }
+
+    var download = function (snap, filename) {
+        var url = URL.createObjectURL(new Blob([toJSON(snap)], {type: 'application/json'}));
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = filename || `snapshot-${snap.savedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /*  Ask the user for a snapshot file. Resolves with the snapshot, or with null if they cancel; rejects if the file
+        can't be read or isn't a snapshot.
+    */
+    var upload = function () {
+        return new Promise((resolve, reject) => {
+            var input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('cancel', () => resolve(null));
+            /* Browsers without the cancel event give the page focus back when the picker closes, before any change */
+            var onFocus = () => {
+                window.removeEventListener('focus', onFocus);
+                setTimeout(() => {
+                    if (!input.files.length) resolve(null);
+                }, 1000);
+            };
+            window.addEventListener('focus', onFocus);
+            input.addEventListener('change', () => {
+                var file = input.files[0];
+                if (!file) return resolve(null);
+                var reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        resolve(fromJSON(reader.result));
+                    }
+                    catch (err) {
+                        reject(err);
+                    }
+                };
+                reader.onerror = () => reject(new SnapshotError(`couldn't read ${file.name}`));
+                reader.readAsText(file);
+            });
+            input.click();
+        });
+    }
+
+    return {
+        SnapshotError: SnapshotError,
+        VERSION: VERSION,
+        instrumentLibrary: instrumentLibrary,
+        capture: capture,
+        check: check,
+        fromJSON: fromJSON,
+        toJSON: toJSON,
+        restore: restore,
+        saveLocal: saveLocal,
+        loadLocal: loadLocal,
+        download: download,
+        upload: upload,
+        libraries: libraries,
+        records: records
+    };
+})();
@@ -0,0 +1,273 @@
+
+/*
+Arc teleport.
+
+A Teleporter projects a parabolic arc from a controller - as if the controller were throwing something - and finds
+where it lands on the floor. That point is the teleport target. Each frame it:
+- draws the arc as a trail of small cubes, green if the target is valid and red if it isn't
+- moves the scene's cursor to the target, or swaps it for a red marker if the target is invalid
+
+A target is invalid if it's outside the bounds, inside one of the restricted zones, or further than maxDistance
+(measured across the floor from the player's head). If the arc doesn't come down at all, there's no target.
+
+teleport() moves the player to the target, if it's valid. The player is placed so that their head (rather than the
+centre of their play area) ends up over the target, and the raft is moved in the same frame so that the two never
+disagree. The framework moves the play area but never turns it, so the player keeps facing the way they were, and
+the raft is squared up with the play area (keeping its tilt) as it lands. The move can be instant or hidden behind
+a transition, which is less uncomfortable for some people:
+- 'fade'    a pair of eyelids close slowly, the player moves, and they open again
+- 'blink'   the eyelids snap shut, stay shut while the player moves, and snap open again
+
+onTeleport listeners are given the new and old player locations and the way the player's head is facing, as a yaw
+in radians (or null if there's no head pose).
+
+Usage:
+    scene.teleporter = new Teleport.Teleporter(scene, {gamepadIndex: 0, maxDistance: 6, transition: 'fade'});
+and attach scene.teleporter.behavior to the controller, in place of a ray projector.
+
+Zones (for bounds and restrictedZones) are either rectangles {minX, maxX, minZ, maxZ} or circles {x, z, radius}.
+*/
+
+window.Teleport = (function () {
+    "use strict";
+
+    var defaults = {
+        gamepadIndex: 0,
+        cursorLabel: 'cursor',
+        raftLabel: 'raft',
+        floorHeight: 0,
+        launchSpeed: 7.0,           /* metres per second; higher throws the arc further */
+        gravity: 9.8,
+        arcTimeStep: 0.03,          /* seconds of flight between arc samples */
+        arcSteps: 60,               /* give up if the arc hasn't landed after this many samples */
+        arcDots: 24,
+        maxDistance: 8,
+        bounds: null,
+        restrictedZones: [],
+        transition: 'fade',         /* 'none', 'fade' or 'blink' */
+        transitionTime: 300,        /* milliseconds, for the whole close - move - open sequence */
+        blinkTime: 0.25,            /* fraction of the transition a blink takes to close, and again to open */
+        landHeadOnTarget: true,
+        validColor: {r:0.2, g:0.9, b:0.3},
+        invalidColor: {r:0.9, g:0.1, b:0.1}
+    };
+
+    var inZone = (zone, x, z) => (zone.radius !== undefined)
+        ? ((x-zone.x)*(x-zone.x) + (z-zone.z)*(z-zone.z)) <= zone.radius*zone.radius
+        : (x >= zone.minX && x <= zone.maxX && z >= zone.minZ && z <= zone.maxZ);
+
+    function Teleporter(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        this.restrictedZones = this.options.restrictedZones.slice();
+        this.arc = null;            /* {points, hit} from the most recent frame */
+        this.target = null;         /* [x, y, z] or null */
+        this.validity = {valid: false, reason: 'no target'};
+        this.enabled = true;
+        this.listeners = [];
+        this.pending = null;        /* a teleport waiting for its transition to start */
+        this.transitionState = null;
+        this.built = false;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    /* Sample the arc from origin in direction dir until it drops below the floor */
+    Teleporter.prototype.computeArc = function (origin, dir) {
+        var opts = this.options;
+        var v = vec3.scale(vec3.create(), dir, opts.launchSpeed);
+        var points = [vec3.clone(origin)];
+        var p = vec3.clone(origin);
+        for (var i=0; i<opts.arcSteps; i++) {
+            var t = opts.arcTimeStep;
+            var next = vec3.fromValues(p[0] + v[0]*t, p[1] + v[1]*t - 0.5*opts.gravity*t*t, p[2] + v[2]*t);
+            v[1] -= opts.gravity*t;
+            if (next[1] <= opts.floorHeight) {
+                /* Interpolate to where this step crossed the floor */
+                var frac = (p[1] - opts.floorHeight) / (p[1] - next[1]);
+                var hit = vec3.lerp(vec3.create(), p, next, frac);
+                hit[1] = opts.floorHeight;
+                points.push(hit);
+                return {points: points, hit: hit};
+            }
+            points.push(next);
+            p = next;
+        }
+        return {points: points, hit: null};
+    }
+
+    /* Returns {valid, reason} */
+    Teleporter.prototype.validate = function (target) {
+        var opts = this.options;
+        if (!target) return {valid: false, reason: 'no target'};
+        if (opts.bounds && !inZone(opts.bounds, target[0], target[2])) return {valid: false, reason: 'out of bounds'};
+        var zone = this.restrictedZones.find(z => inZone(z, target[0], target[2]));
+        if (zone) return {valid: false, reason: `restricted${zone.label ? ' (' + zone.label + ')' : ''}`};
+        var head = VRPose.head(this.scene);
+        var from = head ? head.position : [this.scene.playerLocation.x, 0, this.scene.playerLocation.z];
+        var dx = target[0] - from[0], dz = target[2] - from[2];
+        if (Math.sqrt(dx*dx + dz*dz) > opts.maxDistance) return {valid: false, reason: 'too far'};
+        return {valid: true, reason: null};
+    }
+
+    Teleporter.prototype.addRestrictedZone = function (zone) {
+        this.restrictedZones.push(zone);
+    }
+
+    Teleporter.prototype.removeRestrictedZone = function (zoneOrLabel) {
+        this.restrictedZones = this.restrictedZones.filter(z => z !== zoneOrLabel && z.label !== zoneOrLabel);
+    }
+
+    /* fn(newLocation, oldLocation, facing) is called after every teleport */
+    Teleporter.prototype.onTeleport = function (fn) {
+        this.listeners.push(fn);
+    }
+
+    var makeCube = (scene, pos, size, tex, group) => {
+        var c = new FCShapes.SimpleCuboid(
+            {x:pos[0], y:pos[1], z:pos[2]}, size, null, {texture:tex, shaderLabel:'basic', groupLabel:group}
+        );
+        c.hidden = true;
+        scene.addObject(c);
+        return c;
+    }
+
+    /* The arc, the invalid-target marker and the eyelids are built on first use, once the scene is running */
+    Teleporter.prototype.build = function () {
+        var scene = this.scene, opts = this.options;
+        var validTex = scene.addTextureFromColor(opts.validColor);
+        var invalidTex = scene.addTextureFromColor(opts.invalidColor);
+        var blackTex = scene.addTextureFromColor({r:0, g:0, b:0});
+        var dotSize = {w:0.03, h:0.03, d:0.03};
+        this.validDots = [];
+        this.invalidDots = [];
+        for (var i=0; i<opts.arcDots; i++) {
+            this.validDots.push(makeCube(scene, [0, -10, 0], dotSize, validTex, 'teleportArc'));
+            this.invalidDots.push(makeCube(scene, [0, -10, 0], dotSize, invalidTex, 'teleportArc'));
+        }
+        this.invalidMarker = makeCube(scene, [0, -10, 0], {w:0.3, h:0.05, d:0.3}, invalidTex, 'teleportArc');
+        this.lids = [
+            makeCube(scene, [0, -10, 0], {w:1.2, h:0.6, d:0.01}, blackTex, 'teleportLids'),
+            makeCube(scene, [0, -10, 0], {w:1.2, h:0.6, d:0.01}, blackTex, 'teleportLids')
+        ];
+        this.built = true;
+    }
+
+    var place = (drawable, p) => {
+        drawable.pos.x = p[0];
+        drawable.pos.y = p[1];
+        drawable.pos.z = p[2];
+    }
+
+    Teleporter.prototype.showArc = function () {
+        var valid = this.validity.valid;
+        var points = this.arc ? this.arc.points : [];
+        var shown = valid ? this.validDots : this.invalidDots;
+        this.validDots.concat(this.invalidDots).forEach(d => {d.hidden = true;});
+        if (this.enabled && points.length > 1) {
+            /* Spread the dots evenly along the samples */
+            for (var i=0; i<shown.length; i++) {
+                var at = (i / (shown.length-1)) * (points.length-1);
+                var lo = Math.floor(at), hi = Math.min(points.length-1, lo+1);
+                place(shown[i], vec3.lerp(vec3.create(), points[lo], points[hi], at-lo));
+                shown[i].hidden = false;
+            }
+        }
+
+        var cursor = this.scene.getObjectByLabel(this.options.cursorLabel);
+        var target = this.enabled ? this.target : null;
+        if (cursor) {
+            cursor.drawable.hidden = !(target && valid);
+            if (target && valid) place(cursor.drawable, target);
+        }
+        this.invalidMarker.hidden = !(target && !valid);
+        if (target && !valid) place(this.invalidMarker, target);
+    }
+
+    /* openness runs from 0 (closed) to 1 (open) */
+    Teleporter.prototype.showLids = function (openness) {
+        var head = VRPose.head(this.scene);
+        if (!head || openness >= 1) {
+            this.lids.forEach(l => {l.hidden = true;});
+            return;
+        }
+        var fwd = VRPose.forward(head.orientation), up = VRPose.up(head.orientation);
+        var centre = vec3.scaleAndAdd(vec3.create(), head.position, fwd, 0.12);
+        var offset = 0.3 + 0.6*openness;
+        var orientation = {x: Math.asin(fwd[1]), y: Math.atan2(-fwd[0], -fwd[2]), z: 0};
+        [1, -1].forEach((side, idx) => {
+            var lid = this.lids[idx];
+            place(lid, vec3.scaleAndAdd(vec3.create(), centre, up, side*offset));
+            lid.currentOrientation = orientation;
+            lid.hidden = false;
+        });
+    }
+
+    /* Move the player (and the raft with them) so that they land on target */
+    Teleporter.prototype.land = function (target) {
+        var scene = this.scene;
+        var old = {x: scene.playerLocation.x, y: scene.playerLocation.y, z: scene.playerLocation.z};
+        var dest = {x: target[0], y: target[1], z: target[2]};
+        var head = this.options.landHeadOnTarget && VRPose.head(scene);
+        if (head) {
+            dest.x -= head.stagePosition[0];
+            dest.z -= head.stagePosition[2];
+        }
+        scene.movePlayerTo(dest);
+        var raft = scene.getObjectByLabel(this.options.raftLabel);
+        if (raft) {
+            place(raft.drawable, [scene.playerLocation.x, scene.playerLocation.y, scene.playerLocation.z]);
+            var o = raft.drawable.currentOrientation || {x: 0, y: 0, z: 0};
+            raft.drawable.currentOrientation = {x: o.x, y: 0, z: o.z};
+        }
+        var fwd = head && VRPose.forward(head.orientation);
+        var facing = fwd ? Math.atan2(-fwd[0], -fwd[2]) : null;
+        this.listeners.forEach(fn => fn(dest, old, facing));
+        return dest;
+    }
+
+    /* Teleport to the current target. Resolves with the new player location, or rejects if the target isn't valid. */
+    Teleporter.prototype.teleport = function () {
+        if (!this.enabled || !this.target || !this.validity.valid) {
+            return Promise.reject(new Error(`Can't teleport: ${this.enabled ? this.validity.reason : 'teleporter disabled'}`));
+        }
+        if (this.pending || this.transitionState) return Promise.reject(new Error(`Can't teleport: already teleporting`));
+        var target = vec3.clone(this.target);
+        if (this.options.transition === 'none') return Promise.resolve(this.land(target));
+        return new Promise(resolve => {this.pending = {target: target, resolve: resolve};});
+    }
+
+    Teleporter.prototype.updateTransition = function (timePoint) {
+        if (this.pending) {
+            this.transitionState = Object.assign({start: timePoint, landed: null}, this.pending);
+            this.pending = null;
+        }
+        var ts = this.transitionState;
+        if (!ts) return;
+        var half = this.options.transitionTime / 2;
+        var elapsed = timePoint - ts.start;
+        if (elapsed >= half && !ts.landed) ts.landed = this.land(ts.target);
+        /* A fade opens and closes across the whole transition, a blink only at its ends */
+        var edge = (this.options.transition === 'blink') ? 2*half*this.options.blinkTime : half;
+        var openness = Math.max(0, Math.min(1, (Math.abs(elapsed - half) - (half - edge)) / edge));
+        this.showLids(openness);
+        if (elapsed >= 2*half) {
+            this.transitionState = null;
+            ts.resolve(ts.landed);
+        }
+    }
+
+    Teleporter.prototype.update = function (timePoint) {
+        if (!this.built) this.build();
+        var ctrl = VRPose.controller(this.scene, this.options.gamepadIndex);
+        this.arc = ctrl ? this.computeArc(ctrl.position, VRPose.forward(ctrl.orientation)) : null;
+        this.target = this.arc && this.arc.hit;
+        this.validity = this.validate(this.target);
+        this.showArc();
+        this.updateTransition(timePoint);
+    }
+
+    return {
+        Teleporter: Teleporter,
+        defaults: defaults
+    };
+})();
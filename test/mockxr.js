@@ -0,0 +1,133 @@
+/*
+Stand-ins for the browser, for running webxr.js and vrshim.js under Node (see webxr.test.js).
+
+browser() puts a window, navigator and CustomEvent in the global scope. The page's animation frames are queued on
+window.pageFrames rather than run, and events dispatched on the window are kept in window.events, so a test can see
+both. gl-matrix isn't available, and of it the shim only needs mat4.create() while a session drives it, so that's
+all there is.
+
+session(options) gives a mock XRSystem (xr) and everything start() wants with it:
+    xr              isSessionSupported() and requestSession(), which resolves with session
+    session         an XRSession with inputSources, requestReferenceSpace(), requestAnimationFrame() (queued on
+                    session.frames until runFrame() is called), updateRenderState() and end()
+    gl, canvas      a WebGL context that records which framebuffer is bound, and a canvas
+    XRWebGLLayer    a layer with a framebuffer and its size
+    runFrame(timestamp, poses)
+                    runs the session's queued frame callbacks with an XRFrame giving poses.head and
+                    poses[targetRaySpace] as the viewer's and the input sources' poses
+options: {boundsGeometry: [{x, z}, ...], inputSources: [...], supported: false}
+Without boundsGeometry the session refuses 'bounded-floor', as a headset with no boundary would.
+
+inputSource(handedness, profiles, buttons, axes) makes an input source; buttons are true (pressed), false or null
+(missing) in xr-standard order.
+*/
+
+"use strict";
+
+const identity = () => new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+function browser() {
+    const window = {
+        pageFrames: [],
+        events: [],
+        requestAnimationFrame: callback => window.pageFrames.push(callback),
+        cancelAnimationFrame: handle => {window.pageFrames[handle - 1] = null;},
+        dispatchEvent: evt => {window.events.push(evt);}
+    };
+    global.window = window;
+    global.navigator = {};
+    global.CustomEvent = function (type, init) {
+        this.type = type;
+        this.detail = (init || {}).detail;
+    };
+    global.mat4 = {create: identity};
+    return window;
+}
+
+const transform = (position, orientation) => ({
+    position: {x: position[0], y: position[1], z: position[2]},
+    orientation: {x: orientation[0], y: orientation[1], z: orientation[2], w: orientation[3]},
+    inverse: {matrix: identity()}
+});
+
+const inputSource = (handedness, profiles, buttons, axes) => ({
+    handedness: handedness,
+    profiles: profiles,
+    targetRaySpace: `${handedness}-ray`,
+    gamepad: {
+        buttons: buttons.map(b => b === null ? null : {pressed: b, touched: b, value: b ? 1 : 0}),
+        axes: axes || []
+    }
+});
+
+function session(options) {
+    const opts = options || {};
+    const mock = {ended: false};
+
+    mock.session = {
+        inputSources: opts.inputSources || [],
+        frames: [],
+        listeners: {},
+        renderState: null,
+        addEventListener(type, fn) {
+            (this.listeners[type] = this.listeners[type] || []).push(fn);
+        },
+        updateRenderState(state) {
+            this.renderState = state;
+        },
+        requestReferenceSpace(type) {
+            if (type === 'bounded-floor' && !opts.boundsGeometry) return Promise.reject(new Error('NotSupportedError'));
+            return Promise.resolve({type: type, boundsGeometry: type === 'bounded-floor' ? opts.boundsGeometry : undefined});
+        },
+        requestAnimationFrame(callback) {
+            return this.frames.push(callback);
+        },
+        cancelAnimationFrame(handle) {
+            this.frames[handle - 1] = null;
+        },
+        end() {
+            mock.ended = true;
+            (this.listeners.end || []).forEach(fn => fn({session: this}));
+            return Promise.resolve();
+        }
+    };
+
+    mock.xr = {
+        isSessionSupported: mode => Promise.resolve(opts.supported !== false && mode === 'immersive-vr'),
+        requestSession: () => Promise.resolve(mock.session)
+    };
+
+    mock.gl = {
+        FRAMEBUFFER: 0x8D40,
+        bound: null,
+        bindFramebuffer(target, framebuffer) {
+            this.bound = framebuffer;
+        }
+    };
+
+    mock.canvas = {width: 300, height: 150, clientWidth: 300, clientHeight: 150};
+
+    mock.XRWebGLLayer = function (session, gl) {
+        this.framebuffer = {layerOf: session};
+        this.framebufferWidth = 2016;
+        this.framebufferHeight = 1120;
+    };
+
+    mock.runFrame = (timestamp, poses) => {
+        const pose = space => poses[space] ? {transform: transform(poses[space], [0, 0, 0, 1])} : null;
+        const frame = {
+            getViewerPose: () => poses.head ? {
+                transform: transform(poses.head, [0, 0, 0, 1]),
+                views: ['left', 'right'].map(eye => ({eye: eye, projectionMatrix: identity(), transform: transform(poses.head, [0, 0, 0, 1])}))
+            } : null,
+            getPose: space => pose(space)
+        };
+        const callbacks = mock.session.frames;
+        mock.session.frames = [];
+        callbacks.forEach(callback => callback && callback(timestamp, frame));
+    };
+
+    return mock;
+}
+
+module.exports = {browser, session, inputSource};
@@ -0,0 +1,178 @@
+/*
+Checks for webxr.js, run under Node against the mock XRSystem in mockxr.js:
+
+    node test/webxr.test.js
+
+It covers the input mapping (gamepadIndexFor, mapButtons), the play area (stageFromBounds, and a session's bounds
+reaching the scene), a session driving the shim's display and gamepads, and the page taking the frames back when
+the session ends. Exits with status 1 if any check fails.
+*/
+
+"use strict";
+
+const assert = require('assert');
+const path = require('path');
+const mock = require('./mockxr');
+
+const window = mock.browser();
+require(path.join(__dirname, '..', 'vrshim.js'));
+global.VRShim = window.VRShim;
+require(path.join(__dirname, '..', 'webxr.js'));
+const WebXR = window.WebXR;
+
+const checks = [];
+const check = (name, fn) => checks.push({name, fn});
+
+const pad = () => new VRShim.Gamepad(0, 'right');
+const pressed = p => p.buttons.map(b => b.pressed ? 1 : 0).join('');
+
+const vive = (buttons, axes) => mock.inputSource('right', ['htc-vive', 'generic-trigger-squeeze-touchpad'], buttons, axes);
+const touch = (buttons, axes) => mock.inputSource('left', ['oculus-touch', 'generic-trigger-squeeze-thumbstick'], buttons, axes);
+
+
+/* === Mapping === */
+
+check('gamepadIndexFor puts right on 0 and left on 1', () => {
+    assert.strictEqual(WebXR.gamepadIndexFor('right', []), 0);
+    assert.strictEqual(WebXR.gamepadIndexFor('left', []), 1);
+});
+
+check('gamepadIndexFor gives a source with no hand, or a taken one, whichever is free', () => {
+    assert.strictEqual(WebXR.gamepadIndexFor('none', []), 0);
+    assert.strictEqual(WebXR.gamepadIndexFor('none', [0]), 1);
+    assert.strictEqual(WebXR.gamepadIndexFor('right', [0]), 1);
+    assert.strictEqual(WebXR.gamepadIndexFor('left', [0, 1]), undefined);
+});
+
+check('mapButtons maps a touchpad controller onto the Vive layout', () => {
+    /* trigger, squeeze, touchpad, thumbstick, primary: Vive order is trackpad, trigger, grip, menu */
+    const p = pad();
+    WebXR.mapButtons(vive([true, false, true, null, true], [0.25, -0.5]), p);
+    assert.strictEqual(pressed(p), '1101');
+    assert.deepStrictEqual(p.axes, [0.25, -0.5]);
+});
+
+check('mapButtons uses the thumbstick and its axes when there is no touchpad', () => {
+    const p = pad();
+    WebXR.mapButtons(touch([false, true, false, true, false, false], [0, 0, 0.5, -0.75]), p);
+    assert.strictEqual(pressed(p), '1010');
+    assert.deepStrictEqual(p.axes, [0.5, -0.75]);
+});
+
+check('mapButtons takes menu from the second face button if there is only one', () => {
+    const p = pad();
+    WebXR.mapButtons(touch([false, false, null, false, null, true], [0, 0, 0, 0]), p);
+    assert.strictEqual(pressed(p), '0001');
+});
+
+check('mapButtons counts a pressed button as touched, and lets go of everything without a gamepad', () => {
+    const p = pad();
+    WebXR.mapButtons(vive([true, false, false], []), p);
+    assert.strictEqual(p.buttons[VRShim.BUTTON.trigger].touched, true);
+    WebXR.mapButtons({profiles: []}, p);
+    assert.strictEqual(pressed(p), '0000');
+    assert.deepStrictEqual(p.axes, [0, 0]);
+});
+
+check('stageFromBounds measures the outline, and needs at least three points', () => {
+    const bounds = [{x: -1.5, z: -1}, {x: 1.5, z: -1}, {x: 1.5, z: 1}, {x: -1.5, z: 1}];
+    assert.deepStrictEqual(WebXR.stageFromBounds(bounds), {sizeX: 3, sizeZ: 2});
+    assert.strictEqual(WebXR.stageFromBounds(bounds.slice(0, 2)), null);
+    assert.strictEqual(WebXR.stageFromBounds(undefined), null);
+});
+
+
+/* === Sessions === */
+
+const xr = mock.session({
+    boundsGeometry: [{x: -2, z: -1.5}, {x: 2, z: -1.5}, {x: 2, z: 1.5}, {x: -2, z: 1.5}],
+    inputSources: [
+        touch([true, false, false, false, false, false], [0, 0, 0.1, 0.2]),
+        vive([false, true, false, null, false], [0.3, 0.4])
+    ]
+});
+let chaperoneRebuilt = false;
+const scene = {stageParams: {sizeX: 2, sizeZ: 2}, chaperone: {teardown: () => {chaperoneRebuilt = true;}}};
+const display = () => WebXR.shim.display;
+
+check('isSupported asks the XRSystem for immersive-vr', () => {
+    return Promise.all([WebXR.isSupported({xr: xr.xr}), WebXR.isSupported({xr: mock.session({supported: false}).xr})])
+    .then(results => assert.deepStrictEqual(results, [true, false]));
+});
+
+check('start() takes the play area from a bounded-floor space', () => {
+    WebXR.install({xr: xr.xr, gl: xr.gl, XRWebGLLayer: xr.XRWebGLLayer, canvas: xr.canvas, scene: scene});
+    return WebXR.start().then(session => {
+        assert.strictEqual(session, xr.session);
+        assert.strictEqual(WebXR.referenceSpaceType, 'bounded-floor');
+        assert.strictEqual(display().stageParameters.sizeX, 4);
+        assert.strictEqual(display().stageParameters.sizeZ, 3);
+        assert.deepStrictEqual(scene.stageParams, {sizeX: 4, sizeZ: 3});
+        assert.ok(chaperoneRebuilt);
+    });
+});
+
+check('a session frame drives the shim, then binds the layer and runs the framework', () => {
+    let ran = null;
+    return display().requestPresent([{source: xr.canvas}]).then(() => {
+        display().requestAnimationFrame(t => {
+            ran = {t: t, bound: xr.gl.bound, width: xr.canvas.width};
+        });
+        assert.strictEqual(window.pageFrames.length, 0);
+        xr.runFrame(1000, {head: [0, 1.6, 0], 'left-ray': [-0.2, 1, -0.3], 'right-ray': [0.2, 1, -0.3]});
+        assert.deepStrictEqual(ran, {t: 1000, bound: WebXR.layer.framebuffer, width: 2016});
+        assert.deepStrictEqual(Array.from(display().pose.position).map(v => +v.toFixed(2)), [0, 1.6, 0]);
+        const pads = navigator.getGamepads();
+        assert.strictEqual(+pads[0].pose.position[0].toFixed(2), 0.2);
+        assert.strictEqual(+pads[1].pose.position[0].toFixed(2), -0.2);
+        assert.strictEqual(pressed(pads[0]), '0010');
+        assert.strictEqual(pressed(pads[1]), '0100');
+        assert.deepStrictEqual(pads[1].axes, [0.1, 0.2]);
+    });
+});
+
+check('a controller that goes away is disconnected and lets go', () => {
+    xr.session.inputSources = [xr.session.inputSources[1]];
+    display().requestAnimationFrame(() => {});
+    xr.runFrame(1011, {head: [0, 1.6, 0], 'right-ray': [0.2, 1, -0.3]});
+    const pads = navigator.getGamepads();
+    assert.strictEqual(pads[1].connected, false);
+    assert.strictEqual(pressed(pads[1]), '0000');
+    assert.strictEqual(pads[0].connected, true);
+});
+
+check('when the session ends, the page gets the frame the framework was waiting for', () => {
+    let ranAt = null;
+    window.events.length = 0;
+    display().requestAnimationFrame(t => {ranAt = t;});
+    return display().exitPresent().then(() => {
+        assert.ok(xr.ended);
+        assert.strictEqual(WebXR.session, null);
+        assert.strictEqual(display().isPresenting, false);
+        assert.strictEqual(xr.gl.bound, null);
+        assert.deepStrictEqual(window.events.map(e => e.type), ['vrdisplaypresentchange']);
+        /* The session is gone, so it's the page's frame that runs it */
+        assert.strictEqual(xr.session.frames.filter(f => f).length, 1);
+        assert.strictEqual(window.pageFrames.length, 1);
+        window.pageFrames.shift()(2000);
+        assert.strictEqual(ranAt, 2000);
+        /* ...and the framework's frames after that are the page's too */
+        display().requestAnimationFrame(() => {});
+        assert.strictEqual(window.pageFrames.length, 1);
+    });
+});
+
+
+/* Run them in order, as the session checks follow on from each other */
+let failed = 0;
+checks.reduce((prev, c) => prev.then(() => c.fn()).then(
+    () => console.log(`ok - ${c.name}`),
+    err => {
+        failed++;
+        console.log(`not ok - ${c.name}\n    ${err.message.split('\n').join('\n    ')}`);
+    }
+), Promise.resolve())
+.then(() => {
+    console.log(`${checks.length - failed}/${checks.length} passed`);
+    process.exitCode = failed ? 1 : 0;
+});
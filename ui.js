@@ -0,0 +1,599 @@
+
+/*
+Widgets: buttons, toggles, sliders and lists on panels in the world, worked by pointing a controller at them.
+
+Everything is made of the library's own components - 'shape' for plates, tracks and knobs, and 'glyphtext' for
+labels - so a library that provides those two (the boilerplate's does) is all it needs. Widgets are pointed at with
+a ray from either controller (made with Manipulate.makeRayProjector, against bounds colliders on the widgets' plates)
+and worked with the trigger:
+- hover         a highlight appears behind whatever the ray is on
+- press         the highlight changes colour, and the widget takes hold of that hand until it's released
+- drag          while held, the ray is followed across the panel even if it slides off the widget (for sliders)
+A hand that's pointing at a widget can't pick things up (see manipulate.js).
+
+    var ui = scene.ui = new UI.Toolkit(scene, {library: $clib});
+    var panel = ui.panel({title: 'Lights', position: [0, 1.5, -1], yaw: 0});
+    panel.add(ui.button('Switch lights', () => scene.switchLights()));
+    panel.add(ui.toggle('Editor', false, on => scene.toggleLightEditor(on)));
+    panel.add(ui.slider('Range', {min: 2, max: 15, step: 0.5, value: 8}, v => ...));
+    panel.add(ui.list(['none', 'fade', 'blink'], 'fade', item => ...));
+then add ui.pointer(gamepadIndex) and ui.behavior to the controllers' behaviors, and bind the 'ui.press' and
+'ui.release' actions (see inputmap.js) to the triggers.
+
+Panels are either fixed (position, yaw) or attached to a controller ({gamepadIndex, offset}), in which case they go
+wherever it goes and turn to face the head. Widgets are stacked down the panel in the order they're added. Panel
+coordinates are metres, x to the right and y up, as seen by someone facing the panel.
+
+UI.wristMenu(scene, ui, options) builds the boilerplate's wrist menu: a panel on the secondary controller with the
+lights, the light editor, the readouts, snapping and the teleport settings.
+*/
+
+window.UI = (function () {
+    "use strict";
+
+    var defaults = {
+        library: null,              /* provides 'shape' and 'glyphtext' (required) */
+        fontTag: 'lato-bold',
+        textScale: 0.1,
+        textColor: 'white',
+        width: 0.32,                /* of widgets */
+        rowHeight: 0.05,
+        gap: 0.012,
+        depth: 0.01,
+        plateColor: '#2a2a38',
+        hoverColor: '#e0c020',
+        pressColor: '#20c0e0',
+        onColor: '#30c050',
+        offColor: '#606060',
+        trackColor: '#808090',
+        knobColor: 'white',
+        panelColor: '#101018',
+        gamepadIndices: [0, 1]
+    };
+
+    var widgetCount = 0;
+
+
+    /* === Pieces === */
+
+    /*  A Piece is one component of a widget - a plate, a label, a knob - kept at a position relative to the widget.
+        Glyph text has to be rebuilt to change, so setText() makes a new one and swaps it in when it's ready.
+    */
+    function Piece(toolkit, group, make) {
+        this.toolkit = toolkit;
+        this.group = group;
+        this.make = make;           /* () => component config, for the library */
+        this.local = [0, 0, 0];
+        this.visible = true;
+        this.component = null;
+        this.generation = 0;
+        this.onReady = null;
+    }
+
+    Piece.prototype.build = function (componentName) {
+        var scene = this.toolkit.scene, generation = ++this.generation;
+        this.componentName = componentName || this.componentName;
+        var cfg = Object.assign({label: this.group, groupLabel: this.group, transient: true}, this.make());
+        cfg.draw = Object.assign({position: {x: 0, y: -10, z: 0}, orientation: {x: 0, y: 0, z: 0}, groupLabel: this.group}, cfg.draw);
+        var inst = this.toolkit.options.library.new(this.componentName)(cfg);
+        return inst.prepare().then(c => {
+            /* A newer version may have been started (or the widget removed) while this one was building */
+            if (generation !== this.generation) return;
+            scene.removeObjectsInGroup(this.group);
+            c.drawable.hidden = true;
+            scene.addObject(c);
+            this.component = c;
+            if (this.onReady) this.onReady(c, inst);
+        });
+    }
+
+    /* Put the piece where it belongs on a panel with the given pose, offset by the widget's own position */
+    Piece.prototype.place = function (pose, at, shown) {
+        if (!this.component) return;
+        var d = this.component.drawable;
+        var local = [at[0] + this.local[0], at[1] + this.local[1], at[2] + this.local[2]];
+        var p = vec3.add(vec3.create(), pose.position, vec3.transformQuat(vec3.create(), local, pose.rotation));
+        d.pos.x = p[0];
+        d.pos.y = p[1];
+        d.pos.z = p[2];
+        d.currentOrientation = pose.euler;
+        d.hidden = !(shown && this.visible);
+    }
+
+    Piece.prototype.remove = function () {
+        this.generation++;
+        this.component = null;
+        this.toolkit.scene.removeObjectsInGroup(this.group);
+    }
+
+    var plate = (toolkit, group, w, h, color, depth) => {
+        var piece = new Piece(toolkit, group, () => ({
+            shape: 'cuboid',
+            draw: {size: {width: w, height: h, depth: depth || toolkit.options.depth}, color: color}
+        }));
+        piece.build('shape');
+        return piece;
+    }
+
+    var text = (toolkit, group, initial) => {
+        var opts = toolkit.options;
+        var piece = new Piece(toolkit, group, () => ({
+            draw: {color: opts.textColor, scale: opts.textScale},
+            config: {fontTag: opts.fontTag},
+            input: {text: piece.text}
+        }));
+        piece.text = initial;
+        piece.setText = t => {
+            if (t === piece.text) return;
+            piece.text = t;
+            piece.build();
+        };
+        piece.build('glyphtext');
+        return piece;
+    }
+
+
+    /* === Widgets === */
+
+    /*  The base for all widgets. A widget has
+        - local         [x, y, z] of its middle on its panel, set by the panel's layout
+        - size          {w, h}
+        - pieces        components placed relative to local; the one called 'plate' is what gets pointed at
+        - children      widgets placed relative to it (lists use these for their rows)
+        and may define onPress(hand, point), onDrag(hand, point) and onRelease(hand, stillOver), where points are in
+        panel coordinates.
+    */
+    function Widget(toolkit, size) {
+        this.toolkit = toolkit;
+        this.id = `ui${widgetCount++}`;
+        this.local = [0, 0, 0];
+        this.size = size;
+        this.pieces = {};
+        this.children = [];
+        this.collider = null;
+        this.enabled = true;
+    }
+
+    Widget.prototype.piece = function (name, piece, local) {
+        piece.local = local || [0, 0, 0];
+        this.pieces[name] = piece;
+        return piece;
+    }
+
+    /* A plate to point at, with highlights behind it for hovering and pressing */
+    Widget.prototype.addPlate = function (color) {
+        var tk = this.toolkit, opts = tk.options, w = this.size.w, h = this.size.h;
+        var border = 0.006;
+        var p = this.piece('plate', plate(tk, `${this.id}.plate`, w, h, color || opts.plateColor));
+        p.onReady = (c, inst) => {
+            this.collider = (inst.getCollider && inst.getCollider('bounds')) || (c.getCollider && c.getCollider('bounds'));
+            if (this.collider) this.collider.callback = info => tk.pointedAt(this, info);
+        };
+        this.piece('hover', plate(tk, `${this.id}.hover`, w + border*2, h + border*2, opts.hoverColor, opts.depth/2), [0, 0, -opts.depth/2]).visible = false;
+        this.piece('press', plate(tk, `${this.id}.press`, w + border*2, h + border*2, opts.pressColor, opts.depth/2), [0, 0, -opts.depth/2]).visible = false;
+    }
+
+    /* A label, starting at the left of the widget */
+    Widget.prototype.addLabel = function (initial, x) {
+        var opts = this.toolkit.options;
+        return this.piece('label', text(this.toolkit, `${this.id}.label`, initial),
+            [x === undefined ? -this.size.w/2 + 0.012 : x, -opts.rowHeight*0.25, opts.depth]);
+    }
+
+    Widget.prototype.place = function (pose, offset, shown) {
+        var at = [offset[0] + this.local[0], offset[1] + this.local[1], offset[2] + this.local[2]];
+        var state = this.toolkit.stateOf(this);
+        if (this.pieces.hover) this.pieces.hover.visible = state === 'hover';
+        if (this.pieces.press) this.pieces.press.visible = state === 'press';
+        Object.keys(this.pieces).forEach(k => this.pieces[k].place(pose, at, shown));
+        this.children.forEach(child => child.place(pose, at, shown));
+    }
+
+    Widget.prototype.remove = function () {
+        Object.keys(this.pieces).forEach(k => this.pieces[k].remove());
+        this.children.forEach(child => child.remove());
+        this.collider = null;
+    }
+
+    /* The colliders of this widget and its children */
+    Widget.prototype.colliders = function () {
+        return this.children.reduce((all, child) => all.concat(child.colliders()), (this.collider && this.enabled) ? [this.collider] : []);
+    }
+
+    /* Panel coordinates of the widget's middle, for widgets inside other widgets */
+    Widget.prototype.origin = function () {
+        return this.parent ? vec3.add(vec3.create(), this.parent.origin(), this.local) : this.local;
+    }
+
+
+    function Button(toolkit, label, onPress) {
+        Widget.call(this, toolkit, {w: toolkit.options.width, h: toolkit.options.rowHeight});
+        this.onClick = onPress;
+        this.addPlate();
+        this.label = this.addLabel(label);
+    }
+    Button.prototype = Object.create(Widget.prototype);
+    Button.prototype.constructor = Button;
+
+    /* Buttons go off when they're let go of, and only if the ray is still on them */
+    Button.prototype.onRelease = function (hand, stillOver) {
+        if (stillOver && this.onClick) this.onClick(this);
+    }
+
+    Button.prototype.setLabel = function (label) {
+        this.label.setText(label);
+    }
+
+
+    function Toggle(toolkit, label, value, onChange) {
+        Widget.call(this, toolkit, {w: toolkit.options.width, h: toolkit.options.rowHeight});
+        var opts = toolkit.options, lamp = opts.rowHeight * 0.5;
+        this.value = !!value;
+        this.onChange = onChange;
+        this.addPlate();
+        this.addLabel(label);
+        var x = this.size.w/2 - lamp;
+        this.piece('on', plate(toolkit, `${this.id}.on`, lamp, lamp, opts.onColor), [x, 0, opts.depth]);
+        this.piece('off', plate(toolkit, `${this.id}.off`, lamp, lamp, opts.offColor), [x, 0, opts.depth]);
+        this.show();
+    }
+    Toggle.prototype = Object.create(Widget.prototype);
+    Toggle.prototype.constructor = Toggle;
+
+    Toggle.prototype.show = function () {
+        this.pieces.on.visible = this.value;
+        this.pieces.off.visible = !this.value;
+    }
+
+    Toggle.prototype.onRelease = function (hand, stillOver) {
+        if (!stillOver) return;
+        this.value = !this.value;
+        this.show();
+        var result = this.onChange ? this.onChange(this.value, this) : undefined;
+        /* The callback can say what actually happened, eg. if the thing couldn't be switched on */
+        if (typeof result === 'boolean' && result !== this.value) this.set(result);
+    }
+
+    /* Change the value without calling onChange, to keep the toggle in step with what it controls */
+    Toggle.prototype.set = function (value) {
+        this.value = !!value;
+        this.show();
+    }
+
+
+    function Slider(toolkit, label, range, onChange) {
+        Widget.call(this, toolkit, {w: toolkit.options.width, h: toolkit.options.rowHeight * 1.6});
+        var opts = toolkit.options;
+        this.range = Object.assign({min: 0, max: 1, step: 0, value: 0, format: v => v.toFixed(2)}, range || {});
+        this.name = label;
+        this.onChange = onChange;
+        this.value = this.range.value;
+        this.trackWidth = this.size.w - 0.04;
+        this.addPlate();
+        this.text = this.addLabel(this.describe());
+        this.text.local[1] = this.size.h/2 - opts.rowHeight*0.55;
+        this.piece('track', plate(toolkit, `${this.id}.track`, this.trackWidth, 0.006, opts.trackColor), [0, -this.size.h/4, opts.depth]);
+        this.piece('knob', plate(toolkit, `${this.id}.knob`, 0.014, 0.03, opts.knobColor, opts.depth*2), [0, -this.size.h/4, opts.depth]);
+        this.show();
+    }
+    Slider.prototype = Object.create(Widget.prototype);
+    Slider.prototype.constructor = Slider;
+
+    Slider.prototype.describe = function () {
+        return `${this.name} ${this.range.format(this.value)}`;
+    }
+
+    Slider.prototype.show = function () {
+        var r = this.range;
+        var f = r.max > r.min ? (this.value - r.min) / (r.max - r.min) : 0;
+        this.pieces.knob.local[0] = (f - 0.5) * this.trackWidth;
+        this.text.setText(this.describe());
+    }
+
+    Slider.prototype.set = function (value) {
+        var r = this.range;
+        value = Math.max(r.min, Math.min(r.max, value));
+        if (r.step) value = r.min + Math.round((value - r.min) / r.step) * r.step;
+        this.value = value;
+        this.show();
+    }
+
+    /* Wherever the ray is across the track sets the value */
+    Slider.prototype.onDrag = function (hand, point) {
+        var x = point[0] - this.origin()[0];
+        var r = this.range, old = this.value;
+        this.set(r.min + (x / this.trackWidth + 0.5) * (r.max - r.min));
+        if (this.value !== old && this.onChange) this.onChange(this.value, this);
+    }
+    Slider.prototype.onPress = Slider.prototype.onDrag;
+
+
+    /* A column of rows to choose one from; items are strings, or {label, value} */
+    function List(toolkit, items, selected, onSelect) {
+        Widget.call(this, toolkit, {w: toolkit.options.width, h: 0});
+        this.onSelect = onSelect;
+        this.selected = selected === undefined ? null : selected;
+        this.setItems(items);
+    }
+    List.prototype = Object.create(Widget.prototype);
+    List.prototype.constructor = List;
+
+    var itemValue = item => (item && typeof item === 'object') ? item.value : item;
+    var itemLabel = item => (item && typeof item === 'object') ? item.label : String(item);
+
+    List.prototype.setItems = function (items) {
+        var opts = this.toolkit.options;
+        this.children.forEach(row => row.remove());
+        this.items = items.slice();
+        this.size.h = items.length * opts.rowHeight + Math.max(0, items.length - 1) * opts.gap/2;
+        this.children = items.map((item, i) => {
+            var row = new Toggle(this.toolkit, itemLabel(item), itemValue(item) === this.selected, () => {
+                this.select(itemValue(item));
+                if (this.onSelect) this.onSelect(itemValue(item), this);
+                return true;
+            });
+            row.parent = this;
+            row.local = [0, this.size.h/2 - opts.rowHeight/2 - i * (opts.rowHeight + opts.gap/2), 0];
+            return row;
+        });
+        if (this.panel) this.panel.layout();
+    }
+
+    /* Change the selection without calling onSelect */
+    List.prototype.select = function (value) {
+        this.selected = value;
+        this.children.forEach((row, i) => row.set(itemValue(this.items[i]) === value));
+    }
+
+
+    /* === Panels === */
+
+    function Panel(toolkit, options) {
+        this.toolkit = toolkit;
+        this.options = Object.assign({
+            title: null,
+            position: [0, 1.5, -1],
+            yaw: 0,
+            gamepadIndex: undefined,        /* attach to this controller, at offset */
+            offset: [0, 0.12, 0],
+            refresh: null,                  /* (panel) => ..., called every frame before the panel is placed */
+            padding: 0.02
+        }, options || {});
+        this.id = `ui${widgetCount++}`;
+        this.widgets = [];
+        this.visible = true;
+        this.background = null;
+        this.backgroundSize = null;
+        this.backgroundStale = false;
+        this.title = this.options.title ? text(toolkit, `${this.id}.title`, this.options.title) : null;
+        this.layout();
+    }
+
+    Panel.prototype.add = function (widget) {
+        widget.panel = this;
+        this.widgets.push(widget);
+        this.layout();
+        return widget;
+    }
+
+    /* Stack the widgets down the panel, and fit the background to them */
+    Panel.prototype.layout = function () {
+        var tk = this.toolkit, opts = tk.options, pad = this.options.padding;
+        var width = this.widgets.reduce((w, widget) => Math.max(w, widget.size.w), opts.width) + pad*2;
+        var y = -pad - (this.title ? opts.rowHeight : 0);
+        this.widgets.forEach(widget => {
+            widget.local = [0, y - widget.size.h/2, opts.depth];
+            y -= widget.size.h + opts.gap;
+        });
+        var height = -y - opts.gap + pad;
+        if (this.title) this.title.local = [-width/2 + pad, -pad - opts.rowHeight*0.75, opts.depth];
+        /* The background is made to fit on the next update, so adding several widgets only makes it once */
+        if (!this.backgroundSize || this.backgroundSize.w !== width || this.backgroundSize.h !== height) {
+            this.backgroundSize = {w: width, h: height};
+            this.backgroundStale = true;
+        }
+    }
+
+    /* {position, rotation, euler} of the top middle of the panel, or null if it has nowhere to be */
+    Panel.prototype.pose = function () {
+        var opts = this.options, scene = this.toolkit.scene, position, yaw;
+        if (opts.gamepadIndex === undefined) {
+            position = vec3.clone(opts.position);
+            yaw = opts.yaw;
+        }
+        else {
+            var ctrl = VRPose.controller(scene, opts.gamepadIndex);
+            if (!ctrl) return null;
+            var fwd = VRPose.forward(ctrl.orientation);
+            var ctrlYaw = quat.setAxisAngle(quat.create(), [0, 1, 0], Math.atan2(-fwd[0], -fwd[2]));
+            position = vec3.add(vec3.create(), ctrl.position, vec3.transformQuat(vec3.create(), opts.offset, ctrlYaw));
+            /* Turn to face the head */
+            var head = VRPose.head(scene);
+            yaw = head ? Math.atan2(head.position[0] - position[0], head.position[2] - position[2]) : 0;
+        }
+        var rotation = quat.setAxisAngle(quat.create(), [0, 1, 0], yaw);
+        return {position: position, rotation: rotation, euler: {x: 0, y: yaw, z: 0}};
+    }
+
+    Panel.prototype.setVisible = function (state) {
+        this.visible = state === undefined ? !this.visible : !!state;
+        return this.visible;
+    }
+
+    Panel.prototype.update = function () {
+        if (this.options.refresh) this.options.refresh(this);
+        if (this.backgroundStale) {
+            var size = this.backgroundSize;
+            if (this.background) this.background.remove();
+            this.background = plate(this.toolkit, `${this.id}.background`, size.w, size.h, this.toolkit.options.panelColor);
+            this.background.local = [0, -size.h/2, 0];
+            this.backgroundStale = false;
+        }
+        var pose = this.pose();
+        this.lastPose = pose;
+        var shown = this.visible && !!pose;
+        if (!pose) pose = {position: [0, -10, 0], rotation: quat.create(), euler: {x: 0, y: 0, z: 0}};
+        var origin = [0, 0, 0];
+        if (this.background) this.background.place(pose, origin, shown);
+        if (this.title) this.title.place(pose, origin, shown);
+        this.widgets.forEach(w => w.place(pose, origin, shown));
+    }
+
+    Panel.prototype.colliders = function () {
+        return this.visible ? this.widgets.reduce((all, w) => all.concat(w.colliders()), []) : [];
+    }
+
+    /* Where the ray from the controller crosses the panel, in panel coordinates, or null if it doesn't */
+    Panel.prototype.rayPoint = function (gamepadIndex) {
+        var pose = this.lastPose, ctrl = VRPose.controller(this.toolkit.scene, gamepadIndex);
+        if (!(pose && ctrl)) return null;
+        var normal = vec3.transformQuat(vec3.create(), [0, 0, 1], pose.rotation);
+        var dir = VRPose.forward(ctrl.orientation);
+        var facing = vec3.dot(normal, dir);
+        if (Math.abs(facing) < 1e-6) return null;
+        var t = vec3.dot(normal, vec3.sub(vec3.create(), pose.position, ctrl.position)) / facing;
+        if (t < 0) return null;
+        var hit = vec3.scaleAndAdd(vec3.create(), ctrl.position, dir, t);
+        var inv = quat.invert(quat.create(), pose.rotation);
+        return vec3.transformQuat(vec3.create(), vec3.sub(vec3.create(), hit, pose.position), inv);
+    }
+
+
+    /* === The toolkit === */
+
+    function Toolkit(scene, options) {
+        this.scene = scene;
+        this.options = Object.assign({}, defaults, options || {});
+        if (!this.options.library) throw new Error('UI.Toolkit needs a component library');
+        this.panels = [];
+        this.hovered = {};          /* gamepad index -> widget */
+        this.held = {};             /* gamepad index -> widget */
+        this.lastTimePoint = null;
+        this.behavior = (drawable, timePoint) => this.update(timePoint);
+    }
+
+    Toolkit.prototype.panel = function (options) {
+        var panel = new Panel(this, options);
+        this.panels.push(panel);
+        return panel;
+    }
+
+    Toolkit.prototype.button = function (label, onPress) {
+        return new Button(this, label, onPress);
+    }
+
+    Toolkit.prototype.toggle = function (label, value, onChange) {
+        return new Toggle(this, label, value, onChange);
+    }
+
+    Toolkit.prototype.slider = function (label, range, onChange) {
+        return new Slider(this, label, range, onChange);
+    }
+
+    Toolkit.prototype.list = function (items, selected, onSelect) {
+        return new List(this, items, selected, onSelect);
+    }
+
+    Toolkit.prototype.colliders = function () {
+        return this.panels.reduce((all, p) => all.concat(p.colliders()), []);
+    }
+
+    /* A ray projector for the controller, to put in its behaviors */
+    Toolkit.prototype.pointer = function (gamepadIndex) {
+        return Manipulate.makeRayProjector(this.scene, gamepadIndex, () => this.colliders());
+    }
+
+    /* Called by the widgets' colliders, for each controller, every frame */
+    Toolkit.prototype.pointedAt = function (widget, info) {
+        var hand = info.gamepadIndex;
+        if (info.hit) this.hovered[hand] = widget;
+        else if (this.hovered[hand] === widget) delete this.hovered[hand];
+    }
+
+    /* Whether the hand is pointing at (or holding) a widget */
+    Toolkit.prototype.pointing = function (hand) {
+        return !!(this.hovered[hand] || this.held[hand]);
+    }
+
+    Toolkit.prototype.stateOf = function (widget) {
+        if (Object.keys(this.held).some(h => this.held[h] === widget)) return 'press';
+        return Object.keys(this.hovered).some(h => this.hovered[h] === widget) ? 'hover' : null;
+    }
+
+    var panelOf = widget => widget.panel || (widget.parent && panelOf(widget.parent));
+
+    Toolkit.prototype.press = function (hand) {
+        var widget = this.hovered[hand];
+        if (!widget || this.held[hand]) return false;
+        this.held[hand] = widget;
+        var point = panelOf(widget).rayPoint(hand);
+        if (widget.onPress && point) widget.onPress(hand, point);
+        return true;
+    }
+
+    Toolkit.prototype.release = function (hand) {
+        var widget = this.held[hand];
+        if (!widget) return false;
+        delete this.held[hand];
+        if (widget.onRelease) widget.onRelease(hand, this.hovered[hand] === widget);
+        return true;
+    }
+
+    Toolkit.prototype.update = function (timePoint) {
+        if (timePoint === this.lastTimePoint) return;
+        this.lastTimePoint = timePoint;
+        this.panels.forEach(p => p.update());
+        /* Widgets that have been hidden aren't pointed at any more, so they can't say the ray has left them */
+        var pointable = this.colliders();
+        Object.keys(this.hovered).forEach(hand => {
+            if (pointable.indexOf(this.hovered[hand].collider) < 0) delete this.hovered[hand];
+        });
+        Object.keys(this.held).forEach(hand => {
+            var widget = this.held[hand];
+            var point = widget.onDrag && panelOf(widget).rayPoint(Number(hand));
+            if (point) widget.onDrag(Number(hand), point);
+        });
+    }
+
+
+    /* === The wrist menu === */
+
+    /*  A panel on the secondary controller with the scene's switches. options: {gamepadIndex, offset}. Toggles are
+        kept in step with what they switch, as those can be changed by buttons as well.
+    */
+    var wristMenu = function (scene, ui, options) {
+        var opts = Object.assign({gamepadIndex: 1, offset: [0.18, 0.06, 0]}, options || {});
+        var panel = ui.panel({title: 'Menu', gamepadIndex: opts.gamepadIndex, offset: opts.offset});
+        panel.add(ui.button('Show lamps', () => scene.switchLights()));
+        var editor = panel.add(ui.toggle('Light editor', false, on => scene.toggleLightEditor(on)));
+        var readouts = panel.add(ui.toggle('Readouts', true, on => scene.toggleDiagnosticsPanel(on)));
+        var snapping = panel.add(ui.toggle('Snapping', false, on => {
+            if (scene.manipulator) scene.manipulator.setSnapping({snapToFloor: on, grid: on ? 0.25 : null, snapAngle: on ? 15 : null});
+        }));
+        var tp = scene.teleporter;
+        if (tp) {
+            panel.add(ui.slider('Teleport range', {min: 2, max: 20, step: 1, value: tp.options.maxDistance, format: v => `${v}m`},
+                v => {tp.options.maxDistance = v;}));
+            panel.add(ui.list(['none', 'fade', 'blink'], tp.options.transition, t => {tp.options.transition = t;}));
+        }
+        panel.options.refresh = () => {
+            editor.set(!!(scene.lightEditor && scene.lightEditor.active));
+            readouts.set(!!(scene.diagnosticsPanel && scene.diagnosticsPanel.visible));
+            snapping.set(!!(scene.manipulator && scene.manipulator.options.snapToFloor));
+        };
+        return panel;
+    }
+
+    return {
+        Toolkit: Toolkit,
+        Panel: Panel,
+        Widget: Widget,
+        Button: Button,
+        Toggle: Toggle,
+        Slider: Slider,
+        List: List,
+        Piece: Piece,
+        wristMenu: wristMenu,
+        defaults: defaults
+    };
+})();
@@ -0,0 +1,75 @@
+
+/*
+VRPose gives the current head and controller poses in world coordinates, for code that needs to know where the player
+is rather than just attach something to them (which is what trackers are for).
+
+The poses reported by the hardware are in stage coordinates - relative to the centre of the player's play area, which
+the framework places at scene.playerLocation - so VRPose adds the player location to them.
+
+- VRPose.head(scene)              {position, orientation, stagePosition} for the headset, or null if there's no pose yet
+- VRPose.controller(scene, idx)   the same for the controller at gamepad index idx
+- VRPose.forward(orientation)     the direction something with that orientation is pointing in (its -Z axis)
+- VRPose.up(orientation)          its +Y axis
+
+position and stagePosition are [x, y, z] arrays, orientation is a quaternion [x, y, z, w].
+*/
+
+window.VRPose = (function () {
+    "use strict";
+
+    var display = null;
+    var frameData = null;
+    var lookingForDisplay = false;
+
+    /* The display is found asynchronously, so the first few calls may come back empty */
+    var getDisplay = () => {
+        if (!display && !lookingForDisplay && navigator.getVRDisplays) {
+            lookingForDisplay = true;
+            navigator.getVRDisplays().then(displays => {
+                display = displays[0] || null;
+                lookingForDisplay = false;
+            }, () => {lookingForDisplay = false;});
+        }
+        return display;
+    }
+
+    var toWorld = (scene, pose) => {
+        if (!pose || !pose.position || !pose.orientation) return null;
+        let pl = scene.playerLocation || {x:0, y:0, z:0};
+        let p = pose.position;
+        return {
+            position: [p[0] + pl.x, p[1] + pl.y, p[2] + pl.z],
+            orientation: [pose.orientation[0], pose.orientation[1], pose.orientation[2], pose.orientation[3]],
+            stagePosition: [p[0], p[1], p[2]]
+        };
+    }
+
+    var head = function (scene) {
+        var disp = getDisplay();
+        if (!disp) return null;
+        if (disp.getFrameData && window.VRFrameData) {
+            frameData = frameData || new VRFrameData();
+            if (!disp.getFrameData(frameData)) return null;
+            return toWorld(scene, frameData.pose);
+        }
+        return toWorld(scene, disp.getPose && disp.getPose());
+    }
+
+    var controller = function (scene, idx) {
+        var pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        var pad = pads && pads[idx];
+        return pad ? toWorld(scene, pad.pose) : null;
+    }
+
+    var forward = orientation => vec3.transformQuat(vec3.create(), [0, 0, -1], orientation);
+    var up = orientation => vec3.transformQuat(vec3.create(), [0, 1, 0], orientation);
+
+    return {
+        head: head,
+        controller: controller,
+        forward: forward,
+        up: up,
+        /* Forget the cached display, eg. after swapping in different hardware */
+        reset: () => {display = null; frameData = null;}
+    };
+})();
@@ -0,0 +1,219 @@
+
+/*
+VRShim stands in for VR hardware. It provides a WebVR 1.1 style display and a pair of gamepads whose state is
+written by JavaScript instead of being read from a headset, so that the framework (and everything built on its
+controller helpers - makeTracker, makeRayProjector, makeButtonHandler) can run unchanged without a headset attached.
+
+Something else has to drive the shim; see desktop.js for a keyboard and mouse driver, and replay.js for playing back
+a recording. A driver that needs to update the shim at the start of every frame, before the framework reads it, can
+set VRShim.driver to a function (timestamp); it's called first thing in every frame the display schedules.
+
+Usage:
+- VRShim.install() replaces navigator.getVRDisplays and navigator.getGamepads with versions that return the shim's
+  display and gamepads. It must be called before CARNIVAL.start() as that's when the framework looks for a display.
+- VRShim.display.setPose(position, orientation) sets the head pose, in stage (standing) coordinates.
+- VRShim.gamepads[i].setPose(position, orientation) and .setButton(idx, pressed, touched) and .setAxes(x, y)
+  set the controller state.
+
+Button indices follow the Vive controller as exposed by WebVR:
+- 0     trackpad (axes 0 and 1 give the touch point, -1 to 1)
+- 1     trigger
+- 2     grip
+- 3     menu
+*/
+
+window.VRShim = (function () {
+    "use strict";
+
+    var BUTTON = {trackpad: 0, trigger: 1, grip: 2, menu: 3};
+
+    /* The framework builds one of these to pass to getFrameData(), so make sure there's something to build */
+    function FrameData() {
+        this.timestamp = 0;
+        this.leftProjectionMatrix = mat4.create();
+        this.leftViewMatrix = mat4.create();
+        this.rightProjectionMatrix = mat4.create();
+        this.rightViewMatrix = mat4.create();
+        this.pose = null;
+    }
+
+    function Pose() {
+        this.position = new Float32Array([0, 0, 0]);
+        this.orientation = new Float32Array([0, 0, 0, 1]);
+        this.linearVelocity = null;
+        this.linearAcceleration = null;
+        this.angularVelocity = null;
+        this.angularAcceleration = null;
+        this.hasPosition = true;
+        this.hasOrientation = true;
+    }
+
+    var setPose = function (pose, position, orientation) {
+        if (position) pose.position.set(position);
+        if (orientation) pose.orientation.set(orientation);
+    }
+
+
+    /* The display. */
+    /* Eye offsets are zero (there's no IPD on a monitor) and each eye gets half of the canvas, so when "presenting" the */
+    /* framework renders the same view twice side by side. */
+    function Display(options) {
+        var opts = options || {};
+        this.displayId = 1;
+        this.displayName = opts.displayName || 'VRShim Display';
+        this.isConnected = true;
+        this.isPresenting = false;
+        this.depthNear = 0.01;
+        this.depthFar = 10000;
+        this.capabilities = {hasPosition: true, hasOrientation: true, hasExternalDisplay: false, canPresent: true, maxLayers: 1};
+        this.stageParameters = {
+            sittingToStandingTransform: mat4.create(),
+            sizeX: opts.sizeX || 2.0,
+            sizeZ: opts.sizeZ || 2.0
+        };
+        this.fieldOfView = opts.fieldOfView || 70; /* vertical, in degrees */
+        this.canvas = opts.canvas || null;
+        this.pose = new Pose();
+        this.layers = [];
+    }
+
+    Display.prototype.setPose = function (position, orientation) {
+        setPose(this.pose, position, orientation);
+    }
+
+    /* Width / height of one eye's viewport */
+    Display.prototype.getAspect = function () {
+        var cv = this.canvas;
+        if (!cv || !cv.clientHeight) return 1.0;
+        return this.isPresenting ? (cv.clientWidth / 2) / cv.clientHeight : cv.clientWidth / cv.clientHeight;
+    }
+
+    Display.prototype.getEyeParameters = function (whichEye) {
+        var cv = this.canvas;
+        var w = cv ? cv.clientWidth : 1024, h = cv ? cv.clientHeight : 768;
+        var halfV = this.fieldOfView / 2;
+        var halfH = Math.atan(Math.tan(halfV*Math.PI/180) * ((w/2)/h)) * 180/Math.PI;
+        return {
+            offset: new Float32Array([0, 0, 0]),
+            renderWidth: Math.floor(w / 2),
+            renderHeight: h,
+            fieldOfView: {upDegrees: halfV, downDegrees: halfV, leftDegrees: halfH, rightDegrees: halfH}
+        };
+    }
+
+    Display.prototype.getFrameData = function (frameData) {
+        var proj = mat4.perspective(mat4.create(), this.fieldOfView*Math.PI/180, this.getAspect(), this.depthNear, this.depthFar);
+        var view = mat4.fromRotationTranslation(mat4.create(), this.pose.orientation, this.pose.position);
+        mat4.invert(view, view);
+        frameData.timestamp = performance.now();
+        frameData.leftProjectionMatrix.set(proj);
+        frameData.rightProjectionMatrix.set(proj);
+        frameData.leftViewMatrix.set(view);
+        frameData.rightViewMatrix.set(view);
+        frameData.pose = this.pose;
+        return true;
+    }
+
+    Display.prototype.getPose = function () {
+        return this.pose;
+    }
+
+    Display.prototype.resetPose = function () {
+        this.setPose([0, this.pose.position[1], 0], [0, 0, 0, 1]);
+    }
+
+    Display.prototype.requestAnimationFrame = function (callback) {
+        return window.requestAnimationFrame(timestamp => {
+            if (shim.driver) shim.driver(timestamp);
+            callback(timestamp);
+        });
+    }
+
+    Display.prototype.cancelAnimationFrame = function (handle) {
+        window.cancelAnimationFrame(handle);
+    }
+
+    Display.prototype.requestPresent = function (layers) {
+        this.layers = layers || [];
+        this.isPresenting = true;
+        window.dispatchEvent(new CustomEvent('vrdisplaypresentchange', {detail: {display: this}}));
+        return Promise.resolve();
+    }
+
+    Display.prototype.exitPresent = function () {
+        this.isPresenting = false;
+        window.dispatchEvent(new CustomEvent('vrdisplaypresentchange', {detail: {display: this}}));
+        return Promise.resolve();
+    }
+
+    Display.prototype.getLayers = function () {
+        return this.layers;
+    }
+
+    Display.prototype.submitFrame = function () {}
+
+
+    /* The gamepads. */
+    function Gamepad(index, hand) {
+        this.id = 'OpenVR Gamepad';
+        this.index = index;
+        this.hand = hand || '';
+        this.connected = true;
+        this.mapping = '';
+        this.timestamp = performance.now();
+        this.displayId = 1;
+        this.pose = new Pose();
+        this.axes = [0, 0];
+        this.buttons = [];
+        for (var i=0; i<4; i++) {
+            this.buttons.push({pressed: false, touched: false, value: 0});
+        }
+    }
+
+    Gamepad.prototype.setPose = function (position, orientation) {
+        setPose(this.pose, position, orientation);
+        this.timestamp = performance.now();
+    }
+
+    /* idx may be a number or a button name (trackpad, trigger, grip, menu) */
+    Gamepad.prototype.setButton = function (idx, pressed, touched) {
+        var btn = this.buttons[typeof idx === 'string' ? BUTTON[idx] : idx];
+        btn.pressed = !!pressed;
+        btn.touched = !!(pressed || touched);
+        btn.value = pressed ? 1 : 0;
+        this.timestamp = performance.now();
+    }
+
+    Gamepad.prototype.setAxes = function (x, y) {
+        this.axes[0] = x;
+        this.axes[1] = y;
+        this.timestamp = performance.now();
+    }
+
+
+    var shim = {
+        BUTTON: BUTTON,
+        Display: Display,
+        Gamepad: Gamepad,
+        display: null,
+        gamepads: [],
+        driver: null,
+        installed: false
+    };
+
+    /* Replace the browser's VR and gamepad entry points with the shim. */
+    /* options are passed to the Display constructor: {canvas, sizeX, sizeZ, fieldOfView, displayName} */
+    shim.install = function (options) {
+        if (shim.installed) return shim;
+        shim.display = new Display(options);
+        shim.gamepads = [new Gamepad(0, 'right'), new Gamepad(1, 'left')];
+        navigator.getVRDisplays = () => Promise.resolve([shim.display]);
+        navigator.getGamepads = () => shim.gamepads;
+        /* A native VRFrameData has a read-only pose, so ours replaces it even when the browser has one */
+        window.VRFrameData = FrameData;
+        shim.installed = true;
+        return shim;
+    }
+
+    return shim;
+})();
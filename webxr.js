@@ -0,0 +1,294 @@
+
+/*
+WebXR: run the scene in a WebXR immersive session, in browsers that no longer have WebVR.
+
+The framework only knows WebVR, so this works the way desktop mode does: it installs VRShim (see vrshim.js) and, on
+every frame of the XR session, writes what the session reports into it. Everything that reads the shim - the
+framework's rendering, the controller helpers (makeTracker, makeRayProjector, makeButtonHandler) and VRPose - sees
+an ordinary WebVR display and a pair of gamepads at indices 0 and 1:
+- the head pose, and each eye's view and projection matrices, come from the viewer pose
+- frames are scheduled by the session, and drawn into its layer's framebuffer (which is bound, and the canvas sized
+  to match, before the framework's frame callback runs)
+- input sources become gamepads by hand: right is 0 and left is 1, as on the shim, and one with no hand takes
+  whichever is free. Their poses come from the target ray space (so rays point where the controller points),
+  and their buttons are mapped from the xr-standard layout onto the Vive's:
+      trackpad  <- the touchpad, or the thumbstick if there's no touchpad (with its axes)
+      trigger   <- the trigger
+      grip      <- the squeeze button
+      menu      <- the first face button (A / X), or the second if there's only one
+  so c.buttons in button handlers has the same shape and meaning as with WebVR.
+- the play area comes from a bounded-floor reference space's boundsGeometry, if the headset gives one; its size
+  replaces the display's stageParameters and scene.stageParams, and the chaperone (see chaperone.js) is rebuilt.
+
+    WebXR.isSupported().then(ok => { if (ok) WebXR.install({canvas, scene}); });     <- before CARNIVAL.start()
+    WebXR.start().then(() => CARNIVAL.initVR());                                       <- from a click on START VR
+index.html does this, and falls back to the WebVR path (CARNIVAL.initVR() on its own) when there's no immersive-vr
+support. start() has to be called from a user gesture, as browsers only allow sessions to start that way.
+
+When the session ends, the framework's next frame is handed back to the page and 'vrdisplaypresentchange' is
+dispatched, so the scene carries on in the page and index.html shows START VR again.
+
+options.xr, options.gl and options.XRWebGLLayer stand in for navigator.xr, the canvas's context and
+window.XRWebGLLayer where given. test/webxr.test.js gives it a mock XRSystem that way (see test/mockxr.js), to check
+the mapping and the session's start and end under Node: node test/webxr.test.js
+*/
+
+window.WebXR = (function () {
+    "use strict";
+
+    var defaults = {
+        xr: null,                   /* navigator.xr unless given */
+        canvas: null,               /* the framework's canvas */
+        gl: null,                   /* its WebGL context; found from the canvas if not given */
+        XRWebGLLayer: null,         /* window.XRWebGLLayer unless given */
+        scene: null,                /* gets its stageParams from the play area's bounds */
+        referenceSpaces: ['bounded-floor', 'local-floor', 'local'],     /* the first the session allows is used */
+        sessionInit: {optionalFeatures: ['bounded-floor', 'local-floor']}
+    };
+
+    /* xr-standard gamepad layout */
+    var XR_BUTTON = {trigger: 0, squeeze: 1, touchpad: 2, thumbstick: 3, primary: 4, secondary: 5};
+
+    var bridge = {
+        installed: false,
+        options: null,
+        shim: null,
+        session: null,
+        referenceSpace: null,
+        layer: null,
+        views: null,                /* the last frame's views, for getFrameData */
+        pending: null,              /* the framework's frame callback, until the session runs it */
+        timestamp: 0,
+        bounds: null                /* {sizeX, sizeZ} of the play area, if the headset reported one */
+    };
+
+    var xrOf = opts => opts.xr || navigator.xr || null;
+
+    /* Resolves true if an immersive VR session can be had */
+    bridge.isSupported = function (options) {
+        var xr = xrOf(options || {});
+        if (!(xr && xr.isSessionSupported)) return Promise.resolve(false);
+        return Promise.resolve(xr.isSessionSupported('immersive-vr')).catch(() => false);
+    }
+
+
+    /* === Mapping === */
+
+    /* Which of the shim's gamepads an input source drives; taken is the indices already used this frame */
+    var gamepadIndexFor = function (handedness, taken) {
+        var preferred = handedness === 'left' ? 1 : handedness === 'right' ? 0 : -1;
+        if (preferred >= 0 && taken.indexOf(preferred) < 0) return preferred;
+        return [0, 1].find(i => taken.indexOf(i) < 0);
+    }
+
+    var hasProfile = (source, word) => (source.profiles || []).some(p => p.indexOf(word) >= 0);
+
+    /* Copy an xr-standard gamepad's state onto one of the shim's (Vive layout) gamepads */
+    var mapButtons = function (source, pad) {
+        var xrPad = source.gamepad;
+        var btn = i => (xrPad && xrPad.buttons[i]) || null;
+        var copy = (to, from) => {
+            var b = pad.buttons[VRShim.BUTTON[to]];
+            b.pressed = !!(from && from.pressed);
+            b.touched = !!(from && (from.touched || from.pressed));
+            b.value = from ? (from.value || 0) : 0;
+        };
+        /* Without a touchpad, the thumbstick stands in for it */
+        var stick = !hasProfile(source, 'touchpad') && (hasProfile(source, 'thumbstick') || (xrPad && xrPad.axes.length >= 4 && !btn(XR_BUTTON.touchpad)));
+        var axes = xrPad ? xrPad.axes : [];
+        copy('trigger', btn(XR_BUTTON.trigger));
+        copy('grip', btn(XR_BUTTON.squeeze));
+        copy('trackpad', btn(stick ? XR_BUTTON.thumbstick : XR_BUTTON.touchpad));
+        copy('menu', btn(XR_BUTTON.primary) || btn(XR_BUTTON.secondary));
+        pad.axes[0] = axes[stick ? 2 : 0] || 0;
+        pad.axes[1] = axes[stick ? 3 : 1] || 0;
+        pad.timestamp = performance.now();
+    }
+
+    /* Width and depth of the play area outlined by boundsGeometry (points on the floor), or null */
+    var stageFromBounds = function (points) {
+        if (!(points && points.length >= 3)) return null;
+        var xs = Array.prototype.map.call(points, p => p.x), zs = Array.prototype.map.call(points, p => p.z);
+        return {
+            sizeX: Math.max.apply(null, xs) - Math.min.apply(null, xs),
+            sizeZ: Math.max.apply(null, zs) - Math.min.apply(null, zs)
+        };
+    }
+
+
+    /* === Frames === */
+
+    var setPoseFrom = (pose, transform) => {
+        var p = transform.position, o = transform.orientation;
+        pose.position.set([p.x, p.y, p.z]);
+        pose.orientation.set([o.x, o.y, o.z, o.w]);
+    }
+
+    /* Write the session's state for this frame into the shim */
+    bridge.frame = function (timestamp, frame) {
+        var shim = bridge.shim;
+        bridge.timestamp = timestamp;
+        var viewer = frame.getViewerPose(bridge.referenceSpace);
+        if (viewer) {
+            setPoseFrom(shim.display.pose, viewer.transform);
+            bridge.views = viewer.views;
+        }
+        var taken = [];
+        Array.prototype.forEach.call(bridge.session.inputSources || [], source => {
+            var idx = gamepadIndexFor(source.handedness, taken);
+            if (idx === undefined) return;
+            var pad = shim.gamepads[idx];
+            var pose = frame.getPose(source.targetRaySpace || source.gripSpace, bridge.referenceSpace);
+            if (pose) setPoseFrom(pad.pose, pose.transform);
+            mapButtons(source, pad);
+            pad.connected = true;
+            taken.push(idx);
+        });
+        /* A controller that's gone (switched off, or put down and lost) lets go of everything */
+        shim.gamepads.forEach((pad, i) => {
+            if (taken.indexOf(i) >= 0) return;
+            mapButtons({profiles: []}, pad);
+            pad.connected = false;
+        });
+    }
+
+    /* Point the framework at the session's framebuffer, at its size, before it draws */
+    var bindLayer = () => {
+        var opts = bridge.options, layer = bridge.layer, gl = opts.gl;
+        if (!(layer && gl)) return;
+        if (opts.canvas && (opts.canvas.width !== layer.framebufferWidth || opts.canvas.height !== layer.framebufferHeight)) {
+            opts.canvas.width = layer.framebufferWidth;
+            opts.canvas.height = layer.framebufferHeight;
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+    }
+
+    /* The shim's display, but driven by the session while there is one */
+    var patchDisplay = display => {
+        var proto = VRShim.Display.prototype;
+        display.requestAnimationFrame = function (callback) {
+            if (!bridge.session) return proto.requestAnimationFrame.call(display, callback);
+            bridge.pending = callback;
+            return bridge.session.requestAnimationFrame((timestamp, frame) => {
+                bridge.pending = null;
+                bridge.frame(timestamp, frame);
+                bindLayer();
+                callback(timestamp);
+            });
+        };
+        display.cancelAnimationFrame = function (handle) {
+            bridge.pending = null;
+            if (bridge.session) bridge.session.cancelAnimationFrame(handle);
+            else proto.cancelAnimationFrame.call(display, handle);
+        };
+        display.getFrameData = function (frameData) {
+            if (!(bridge.session && bridge.views)) return proto.getFrameData.call(display, frameData);
+            var eye = name => bridge.views.find(v => v.eye === name) || bridge.views[0];
+            frameData.timestamp = bridge.timestamp;
+            frameData.leftProjectionMatrix.set(eye('left').projectionMatrix);
+            frameData.rightProjectionMatrix.set(eye('right').projectionMatrix);
+            frameData.leftViewMatrix.set(eye('left').transform.inverse.matrix);
+            frameData.rightViewMatrix.set(eye('right').transform.inverse.matrix);
+            frameData.pose = display.pose;
+            return true;
+        };
+        display.getEyeParameters = function (whichEye) {
+            var params = proto.getEyeParameters.call(display, whichEye);
+            if (bridge.session && bridge.layer) {
+                params.renderWidth = Math.floor(bridge.layer.framebufferWidth / 2);
+                params.renderHeight = bridge.layer.framebufferHeight;
+            }
+            return params;
+        };
+        /* Ending presentation ends the session, and the 'end' handler does the rest */
+        display.exitPresent = function () {
+            return bridge.session ? bridge.session.end() : proto.exitPresent.call(display);
+        };
+    }
+
+    /* Install the shim for the session to drive. Call this before CARNIVAL.start(). */
+    /* options: {canvas, gl, scene, xr, XRWebGLLayer, referenceSpaces, sessionInit} */
+    bridge.install = function (options) {
+        if (bridge.installed) return bridge;
+        bridge.options = Object.assign({}, defaults, options || {});
+        bridge.shim = VRShim.install({canvas: bridge.options.canvas, displayName: 'WebXR'});
+        patchDisplay(bridge.shim.display);
+        bridge.installed = true;
+        return bridge;
+    }
+
+
+    /* === Sessions === */
+
+    /* The first reference space in the list that the session agrees to */
+    var requestSpace = (session, types) => types.reduce((prev, type) => prev.catch(() =>
+        session.requestReferenceSpace(type).then(space => ({type: type, space: space}))), Promise.reject(new Error('no reference space')));
+
+    /* Take the play area's size from a bounded reference space */
+    var useBounds = space => {
+        var stage = stageFromBounds(space.boundsGeometry);
+        bridge.bounds = stage;
+        if (!stage) return;
+        var scene = bridge.options.scene;
+        Object.assign(bridge.shim.display.stageParameters, stage);
+        if (scene) {
+            scene.stageParams = Object.assign(scene.stageParams || {}, stage);
+            if (scene.chaperone) scene.chaperone.teardown();
+        }
+    }
+
+    var onEnd = () => {
+        var display = bridge.shim.display;
+        bridge.session = null;
+        bridge.layer = null;
+        bridge.views = null;
+        if (bridge.options.gl) bridge.options.gl.bindFramebuffer(bridge.options.gl.FRAMEBUFFER, null);
+        display.isPresenting = false;
+        /* The session never runs the frame it was asked for last, so the page's own frames take over */
+        var pending = bridge.pending;
+        bridge.pending = null;
+        if (pending) VRShim.Display.prototype.requestAnimationFrame.call(display, pending);
+        window.dispatchEvent(new CustomEvent('vrdisplaypresentchange', {detail: {display: display}}));
+    }
+
+    /* Request an immersive session and start driving the shim from it. Resolves with the session. */
+    bridge.start = function () {
+        if (!bridge.installed) return Promise.reject(new Error('WebXR.install() has to be called before start()'));
+        if (bridge.session) return Promise.resolve(bridge.session);
+        var opts = bridge.options, xr = xrOf(opts);
+        if (!xr) return Promise.reject(new Error('WebXR is not available'));
+        var gl = opts.gl = opts.gl || (opts.canvas && (opts.canvas.getContext('webgl2') || opts.canvas.getContext('webgl')));
+        var Layer = opts.XRWebGLLayer || window.XRWebGLLayer;
+        if (!gl) return Promise.reject(new Error('WebXR needs the WebGL context (options.gl or options.canvas)'));
+        return xr.requestSession('immersive-vr', opts.sessionInit)
+        .then(session => Promise.resolve(gl.makeXRCompatible ? gl.makeXRCompatible() : null).then(() => session))
+        .then(session => {
+            bridge.layer = new Layer(session, gl);
+            session.updateRenderState({baseLayer: bridge.layer});
+            return requestSpace(session, opts.referenceSpaces).then(found => {
+                bridge.session = session;
+                bridge.referenceSpace = found.space;
+                bridge.referenceSpaceType = found.type;
+                if (found.type === 'bounded-floor') useBounds(found.space);
+                session.addEventListener('end', onEnd);
+                /* The display starts presenting when the framework asks it to (CARNIVAL.initVR()) */
+                return session;
+            }, err => {
+                session.end();
+                throw err;
+            });
+        });
+    }
+
+    bridge.end = function () {
+        return bridge.session ? bridge.session.end() : Promise.resolve();
+    }
+
+    bridge.XR_BUTTON = XR_BUTTON;
+    bridge.gamepadIndexFor = gamepadIndexFor;
+    bridge.mapButtons = mapButtons;
+    bridge.stageFromBounds = stageFromBounds;
+    bridge.defaults = defaults;
+
+    return bridge;
+})();